@@ -0,0 +1,88 @@
+// Builds the editor as a library into dist/, next to the app's own build:
+//
+//   dist/index.js    ES module of src/lib, with React left to the host
+//   dist/weight-editor.js  script registering <weight-editor>, React included
+//   dist/style.css   the Tailwind classes the editor uses, without the base reset
+//   dist/index.d.ts  types, copied from src/lib
+//
+// Run with `npm run build:lib`.
+
+process.env.NODE_ENV = 'production';
+process.env.BABEL_ENV = 'production';
+
+const fs = require('fs');
+const path = require('path');
+const webpack = require('webpack');
+const postcss = require('postcss');
+const tailwindcss = require('tailwindcss');
+const autoprefixer = require('autoprefixer');
+
+const root = path.resolve(__dirname, '..');
+const dist = path.join(root, 'dist');
+
+const shared = {
+  mode: 'production',
+  context: root,
+  resolve: { extensions: ['.js', '.jsx'] },
+  module: {
+    rules: [
+      {
+        test: /\.jsx?$/,
+        include: path.join(root, 'src'),
+        loader: require.resolve('babel-loader'),
+        options: {
+          babelrc: false,
+          configFile: false,
+          presets: [[require.resolve('babel-preset-react-app'), { runtime: 'automatic' }]],
+        },
+      },
+    ],
+  },
+  performance: { hints: false },
+};
+
+const configs = [
+  {
+    ...shared,
+    entry: './src/lib/index.js',
+    experiments: { outputModule: true },
+    output: { path: dist, filename: 'index.js', library: { type: 'module' } },
+    externalsType: 'module',
+    externals: ['react', 'react-dom', 'react-dom/client', 'react/jsx-runtime'],
+  },
+  {
+    ...shared,
+    entry: './src/embed/element.js',
+    output: { path: dist, filename: 'weight-editor.js' },
+  },
+];
+
+const bundle = () =>
+  new Promise((resolve, reject) => {
+    webpack(configs).run((error, stats) => {
+      if (error) return reject(error);
+      if (stats.hasErrors()) return reject(new Error(stats.toString({ all: false, errors: true })));
+      resolve();
+    });
+  });
+
+const styles = async () => {
+  const from = path.join(root, 'src/lib/style.css');
+  const to = path.join(dist, 'style.css');
+  const result = await postcss([tailwindcss(path.join(root, 'tailwind.config.js')), autoprefixer])
+    .process(fs.readFileSync(from, 'utf8'), { from, to });
+  fs.writeFileSync(to, result.css);
+};
+
+const main = async () => {
+  fs.rmSync(dist, { recursive: true, force: true });
+  await bundle();
+  await styles();
+  fs.copyFileSync(path.join(root, 'src/lib/index.d.ts'), path.join(dist, 'index.d.ts'));
+  console.log('Library built in dist/');
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
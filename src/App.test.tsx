@@ -1,9 +1,466 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { axe } from 'jest-axe';
 import App from './App';
+import { planHash } from './utils/shareUrl';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  window.localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+// Creatives' weights, not groups'
+const weights = () =>
+  screen.getAllByLabelText(/^Weight for (?!group )/).map(input => (input as HTMLInputElement).value);
+
+test('renders the weight distribution editor', () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /creatives/i })).toBeInTheDocument();
+  expect(screen.getByText(/distribution table/i)).toBeInTheDocument();
+});
+
+test('undo restores the distribution from before a preset', () => {
+  render(<App />);
+  const before = weights();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Evenly' }));
+  const editor = screen.getByRole('heading', { name: 'Creatives' });
+  expect(weights()).toEqual(['25', '25', '25', '25']);
+
+  // Keys pressed outside the editor are left alone
+  const outside = fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+  expect(outside).toBe(true);
+  expect(weights()).toEqual(['25', '25', '25', '25']);
+
+  fireEvent.keyDown(editor, { key: 'z', ctrlKey: true });
+  expect(weights()).toEqual(before);
+  // Nothing left to undo, so the page gets the key
+  expect(fireEvent.keyDown(editor, { key: 'z', ctrlKey: true })).toBe(true);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Redo' }));
+  expect(weights()).toEqual(['25', '25', '25', '25']);
+});
+
+test('chart handles can be moved from the keyboard', () => {
+  render(<App />);
+  const handle = screen.getByRole('slider', { name: 'Chart handle for Creative 1' });
+
+  fireEvent.keyDown(handle, { key: 'ArrowUp' });
+  expect(weights()).toEqual(['51', '24', '21', '4']);
+
+  fireEvent.keyDown(handle, { key: 'End' });
+  expect(weights()).toEqual(['100', '0', '0', '0']);
+  expect(handle).toHaveAttribute('aria-valuenow', '100');
+
+  // Consecutive key presses on one handle are a single undo step
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(weights()).toEqual(['50', '25', '21', '4']);
+});
+
+test('stacked bar and donut boundaries move weight between neighbours only', () => {
+  render(<App />);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Chart' }), { target: { value: 'stacked' } });
+  expect(screen.getByRole('group', { name: 'Weight distribution stacked bar' })).toBeInTheDocument();
+
+  const boundary = screen.getByRole('slider', { name: 'Boundary between Creative 2 and Creative 3' });
+  fireEvent.keyDown(boundary, { key: 'ArrowRight' });
+  fireEvent.keyDown(boundary, { key: 'ArrowRight', shiftKey: true });
+  expect(weights()).toEqual(['50', '31', '15', '4']);
+  expect(boundary).toHaveAttribute('aria-valuenow', '81');
+
+  // A boundary next to a locked creative stays put
+  fireEvent.click(screen.getByRole('button', { name: 'Lock Creative 4' }));
+  fireEvent.change(screen.getByRole('combobox', { name: 'Chart' }), { target: { value: 'donut' } });
+  const locked = screen.getByRole('slider', { name: 'Boundary between Creative 3 and Creative 4' });
+  expect(locked).toHaveAttribute('aria-disabled', 'true');
+  fireEvent.keyDown(locked, { key: 'ArrowRight' });
+  expect(weights()).toEqual(['50', '31', '15', '4']);
+});
+
+test('pairwise mode takes weight from the chosen donors only', () => {
+  render(<App />);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Drag' }), { target: { value: 'pairwise' } });
+
+  const handle = screen.getByRole('slider', { name: 'Chart handle for Creative 3' });
+  fireEvent.keyDown(handle, { key: 'ArrowUp', shiftKey: true });
+  expect(weights()).toEqual(['50', '25', '25', '0']);
+
+  // The neighbour has nothing left to give
+  fireEvent.keyDown(handle, { key: 'ArrowUp' });
+  expect(weights()).toEqual(['50', '25', '25', '0']);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Take from' }), { target: { value: 'largest' } });
+  fireEvent.keyDown(handle, { key: 'End' });
+  expect(weights()).toEqual(['0', '0', '100', '0']);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Take from' }), { target: { value: 'chosen' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Donor' }), { target: { value: '2' } });
+  fireEvent.keyDown(handle, { key: 'PageDown' });
+  expect(weights()).toEqual(['0', '5', '95', '0']);
+});
+
+test('a chosen donor at group level can be a group or a standalone creative', () => {
+  render(<App />);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Group of Creative 1' }), { target: { value: 'new' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Group of Creative 2' }), { target: { value: 'group:Group 1' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Show' }), { target: { value: 'groups' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Drag' }), { target: { value: 'pairwise' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Take from' }), { target: { value: 'chosen' } });
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Donor' }), { target: { value: 'group:Group 1' } });
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Chart handle for Creative 4' }), { key: 'PageUp' });
+  expect(weights()).toEqual(['47', '23', '21', '9']);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Donor' }), { target: { value: 'item:3' } });
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Chart handle for Creative 4' }), { key: 'PageUp' });
+  expect(weights()).toEqual(['47', '23', '16', '14']);
+});
+
+test('groups have their own weight, shares within the group, locks and collapsing', () => {
+  render(<App />);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Group of Creative 1' }), { target: { value: 'new' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Group of Creative 2' }), { target: { value: 'group:Group 1' } });
+
+  const groupWeight = screen.getByRole('spinbutton', { name: 'Weight for group Group 1' });
+  expect(groupWeight).toHaveValue(75);
+  expect(screen.getByRole('spinbutton', { name: 'Share of Creative 1 in Group 1' })).toHaveValue(66.7);
+
+  // The group's creatives keep their shares; everyone else makes up the rest
+  fireEvent.change(groupWeight, { target: { value: '50' } });
+  expect(weights()).toEqual(['33', '17', '42', '8']);
+
+  fireEvent.change(screen.getByRole('spinbutton', { name: 'Share of Creative 2 in Group 1' }), { target: { value: '50' } });
+  expect(weights()).toEqual(['25', '25', '42', '8']);
+
+  // A locked group holds its weight at the group level of the chart
+  fireEvent.click(screen.getByRole('button', { name: 'Lock group Group 1' }));
+  fireEvent.change(screen.getByRole('combobox', { name: 'Show' }), { target: { value: 'groups' } });
+  expect(screen.getByRole('slider', { name: 'Chart handle for Group 1' })).toHaveAttribute('aria-disabled', 'true');
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Chart handle for Creative 3' }), { key: 'ArrowUp', shiftKey: true });
+  expect(weights()).toEqual(['25', '25', '47', '3']);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Creatives in Group 1' }));
+  expect(screen.queryByRole('spinbutton', { name: 'Weight for Creative 1' })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Creatives in Group 1' })).toHaveAttribute('aria-expanded', 'false');
+});
+
+test('a group name can be cleared and retyped before it is renamed', () => {
+  render(<App />);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Group of Creative 1' }), { target: { value: 'new' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Group of Creative 2' }), { target: { value: 'group:Group 1' } });
+
+  const name = screen.getByRole('textbox', { name: 'Name of group Group 1' });
+  fireEvent.change(name, { target: { value: '' } });
+  expect(name).toHaveValue('');
+  expect(name).toBeInvalid();
+  fireEvent.change(name, { target: { value: 'Launch' } });
+  expect(screen.getByRole('spinbutton', { name: 'Weight for group Group 1' })).toBeInTheDocument();
+
+  fireEvent.blur(name);
+  expect(screen.getByRole('textbox', { name: 'Name of group Launch' })).toHaveValue('Launch');
+  expect(screen.getByRole('combobox', { name: 'Group of Creative 2' })).toHaveValue('group:Launch');
+
+  // An empty name goes back to the old one
+  const renamed = screen.getByRole('textbox', { name: 'Name of group Launch' });
+  fireEvent.change(renamed, { target: { value: ' ' } });
+  fireEvent.keyDown(renamed, { key: 'Enter' });
+  expect(renamed).toHaveValue('Launch');
+});
+
+test('flights keep their own weights and ramp between phases', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Add flights' }));
+  fireEvent.change(screen.getByLabelText('Phase 1 starts'), { target: { value: '2024-03-01' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Add phase' }));
+  expect(screen.getByRole('button', { name: 'Phase 2 · 2024-03-08' })).toHaveAttribute('aria-pressed', 'true');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Evenly' }));
+  expect(weights()).toEqual(['25', '25', '25', '25']);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Phase 1 · 2024-03-01' }));
+  expect(weights()).toEqual(['50', '25', '21', '4']);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Between phases' }), { target: { value: 'linear' } });
+  fireEvent.change(screen.getByLabelText('Weights on'), { target: { value: '2024-03-05' } });
+  expect(screen.getByRole('group', { name: 'Flights' }))
+    .toHaveTextContent('Creative 1 36%, Creative 2 25%, Creative 3 23%, Creative 4 16%');
+
+  // Switching phases is undoable
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(weights()).toEqual(['25', '25', '25', '25']);
+});
+
+test('two phases can\'t start on the same day, and a schedule where they do can\'t be exported', () => {
+  const weightsOf = (values: number[]) => Object.fromEntries(values.map((weight, index) => [index + 1, weight]));
+  const plan = {
+    id: 'plan-clash',
+    name: 'Clash',
+    precision: 'integer',
+    apportionment: 'largestRemainder',
+    items: [{ id: 1, name: 'Hero', weight: 60, locked: false }, { id: 2, name: 'Banner', weight: 40, locked: false }],
+    schedule: {
+      interpolation: 'step',
+      activePhaseId: 1,
+      phases: [
+        { id: 1, start: '2026-01-01', weights: weightsOf([60, 40]) },
+        { id: 2, start: '2026-01-08', weights: weightsOf([50, 50]) },
+        { id: 3, start: '2026-01-08', weights: weightsOf([40, 60]) },
+      ],
+    },
+  };
+  window.localStorage.setItem('custom-weights-graph:plans', JSON.stringify({ currentPlanId: plan.id, plans: [plan] }));
+  render(<App />);
+
+  const flights = screen.getByRole('group', { name: 'Flights' });
+  expect(flights).toHaveTextContent('Two phases start on 2026-01-08');
+  expect(screen.getByRole('button', { name: 'Export schedule as CSV' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Export schedule as JSON' })).toBeDisabled();
+
+  // Moving a phase onto another's date is refused
+  fireEvent.click(screen.getByRole('button', { name: 'Phase 3 · 2026-01-08' }));
+  fireEvent.change(screen.getByLabelText('Phase 3 starts'), { target: { value: '2026-01-15' } });
+  expect(screen.getByRole('button', { name: 'Export schedule as CSV' })).toBeEnabled();
+  fireEvent.change(screen.getByLabelText('Phase 3 starts'), { target: { value: '2026-01-01' } });
+  expect(flights).toHaveTextContent('Phase 1 already starts on 2026-01-01');
+  expect(screen.getByLabelText('Phase 3 starts')).toHaveValue('2026-01-15');
+  expect(screen.getByRole('button', { name: 'Export schedule as CSV' })).toBeEnabled();
+});
+
+test('bar chart tops drag like line chart handles', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.change(screen.getByRole('combobox', { name: 'Chart' }), { target: { value: 'bar' } });
+
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Chart handle for Creative 1' }), { key: 'ArrowUp' });
+  expect(weights()).toEqual(['51', '24', '21', '4']);
+});
+
+test('custom curves preview on the chart and apply around locked creatives', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Lock Creative 1' }));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Custom curve…' }));
+  expect(screen.getByRole('group', { name: 'Custom curve' })).toBeInTheDocument();
+  // Previewing leaves the weights alone
+  expect(weights()).toEqual(['50', '25', '21', '4']);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+  expect(weights()).toEqual(['50', '20', '20', '10']);
+  expect(screen.queryByRole('group', { name: 'Custom curve' })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Exponential' })).toBeEnabled();
+});
+
+test('a seeded random split is recorded and can be regenerated', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Seeded random…' }));
+  fireEvent.change(screen.getByLabelText('Seed'), { target: { value: 'launch' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Generate' }));
+
+  const generated = weights();
+  expect(screen.getByRole('group', { name: 'Seeded random' })).toHaveTextContent('Current weights came from seed launch');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Evenly' }));
+  expect(screen.getByRole('group', { name: 'Seeded random' })).not.toHaveTextContent('Current weights came from');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Generate' }));
+  expect(weights()).toEqual(generated);
+});
+
+test('reweights from metrics entered in the table', () => {
+  render(<App />);
+  fireEvent.click(screen.getByLabelText('Show metrics'));
+  const enter = (label: string, value: string) =>
+    fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+  enter('Impressions for Creative 1', '1000');
+  enter('Clicks for Creative 1', '10');
+  enter('Impressions for Creative 3', '1000');
+  enter('Clicks for Creative 3', '60');
+  // Entering metrics leaves the weights alone
+  expect(weights()).toEqual(['50', '25', '21', '4']);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Performance…' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Epsilon-greedy' }));
+  expect(weights()).toEqual(['3', '3', '92', '2']);
+});
+
+test('compares against a pinned baseline and reverts single creatives', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Pin baseline' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Evenly' }));
+
+  const rows = screen.getAllByRole('row').slice(1);
+  expect(rows.map(row => row.textContent)).toEqual([
+    expect.stringContaining('-25 pts'),
+    expect.stringContaining('±0 pts'),
+    expect.stringContaining('+4 pts'),
+    expect.stringContaining('+21 pts'),
+  ]);
+  expect(screen.getByRole('slider', { name: 'Chart handle for Creative 4' }))
+    .toHaveAttribute('aria-valuetext', '25% (+21 pts)');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Revert Creative 4 to baseline' }));
+  expect(weights()).toEqual(['32', '32', '32', '4']);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clear baseline' }));
+  expect(screen.queryByText('vs Baseline')).not.toBeInTheDocument();
+});
+
+test('ad server exports are previewed and blocked until they validate', async () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Export for ad server…' }));
+  const dialog = screen.getByRole('dialog', { name: 'Export for an ad server' });
+  expect(screen.getByRole('button', { name: 'Download' })).toBeDisabled();
+  expect(screen.getByRole('list', { name: 'Problems' })).toHaveTextContent('Creative 1 has no creative ID');
+
+  ['101', '102', '103', '104'].forEach((creativeId, index) => {
+    fireEvent.change(screen.getByLabelText(`Creative ID for Creative ${index + 1}`), { target: { value: creativeId } });
+  });
+  expect(screen.queryByRole('list', { name: 'Problems' })).not.toBeInTheDocument();
+  expect(screen.getByLabelText('Google Ad Manager CSV preview')).toHaveTextContent('101,Creative 1,50');
+  expect(screen.getByRole('button', { name: 'Download' })).toBeEnabled();
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Format' }), { target: { value: 'roundRobin' } });
+  expect(screen.getByLabelText('Weighted round robin preview')).toHaveTextContent('101,Creative 1,50');
+
+  expect(await axe(dialog)).toHaveNoViolations();
+  fireEvent.keyDown(dialog, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('a file the browser can\'t read is reported instead of imported', async () => {
+  const readAsText = jest.spyOn(FileReader.prototype, 'readAsText').mockImplementation(function (this: FileReader) {
+    this.onerror?.(new ProgressEvent('error') as ProgressEvent<FileReader>);
+  });
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Import creatives from a file'), {
+    target: { files: [new File(['name,weight'], 'plan.csv', { type: 'text/csv' })] },
+  });
+
+  expect(await screen.findByText('Nothing was imported from plan.csv')).toBeInTheDocument();
+  expect(screen.getByText('The file couldn\'t be read')).toBeInTheDocument();
+  expect(weights()).toEqual(['50', '25', '21', '4']);
+  readAsText.mockRestore();
+});
+
+test('simulates traffic over the current weights', async () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Simulate…' }));
+  const panel = screen.getByRole('group', { name: 'Simulation' });
+  fireEvent.change(screen.getByLabelText('Impressions'), { target: { value: '1000' } });
+  fireEvent.change(screen.getByLabelText('Daily cap'), { target: { value: '300' } });
+  fireEvent.change(screen.getByLabelText('Picker'), { target: { value: 'roundRobin' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Run' }));
+
+  expect(panel).toHaveTextContent('1,000 impressions, delivered over 4 days.');
+  const rows = within(screen.getByRole('table', { name: 'Simulated impressions' })).getAllByRole('row').slice(1);
+  expect(rows.map(row => row.textContent)).toEqual([
+    'Creative 150%500±050050.00%',
+    'Creative 225%250±025025.00%',
+    'Creative 321%210±021021.00%',
+    'Creative 44%40±0404.00%',
+  ]);
+  const days = within(screen.getByRole('table', { name: 'Impressions by day' })).getAllByRole('row').slice(1);
+  expect(days.map(row => row.textContent)).toEqual([
+    '1300150 / 15075 / 7563 / 6312 / 12',
+    '2300150 / 15075 / 7563 / 6312 / 12',
+    '3300150 / 15075 / 7563 / 6312 / 12',
+    '410050 / 5025 / 2521 / 214 / 4',
+  ]);
+  expect(await axe(panel)).toHaveNoViolations();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Evenly' }));
+  expect(panel).toHaveTextContent('The weights have changed since this run');
+});
+
+test('errors show on their rows and chart points and block saving and exporting', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Add flights' }));
+  const savedName = () => JSON.parse(window.localStorage.getItem('custom-weights-graph:plans') ?? '').plans[0].items[1].name;
+
+  fireEvent.change(screen.getByLabelText('Name of creative 2'), { target: { value: 'Creative 2b' } });
+  expect(savedName()).toBe('Creative 2b');
+
+  fireEvent.change(screen.getByLabelText('Name of creative 2'), { target: { value: '' } });
+  expect(screen.getByLabelText('Name of creative 2')).toHaveAttribute('aria-invalid', 'true');
+  expect(screen.getByLabelText('Name of creative 2')).toHaveAccessibleDescription('Error: Creative 2 has no name');
+  expect(screen.getAllByRole('slider', { name: /^Chart handle for/ })[1])
+    .toHaveAttribute('aria-valuetext', '25%; Creative 2 has no name');
+  expect(screen.getByRole('button', { name: 'Export CSV' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Export for ad server…' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Export schedule as CSV' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Download SVG' })).toBeDisabled();
+  expect(screen.getByRole('button', { name: 'Download PNG' })).toBeDisabled();
+  expect(screen.getByText('Not saved: fix the errors first')).toBeInTheDocument();
+  expect(savedName()).toBe('Creative 2b');
+
+  // Warnings are shown but block nothing, unless they're made errors
+  fireEvent.change(screen.getByLabelText('Name of creative 2'), { target: { value: 'Creative 1' } });
+  expect(screen.getByLabelText('Name of creative 2')).toHaveAccessibleDescription('Warning: 2 creatives are named "Creative 1"');
+  expect(screen.getByRole('button', { name: 'Export CSV' })).toBeEnabled();
+  expect(screen.getByRole('button', { name: 'Export schedule as CSV' })).toBeEnabled();
+  expect(screen.getByRole('button', { name: 'Download SVG' })).toBeEnabled();
+  expect(savedName()).toBe('Creative 1');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Checks…' }));
+  fireEvent.change(screen.getByRole('combobox', { name: 'Level of Names are unique' }), { target: { value: 'error' } });
+  expect(screen.getByRole('group', { name: 'Checks' })).toHaveTextContent('1 problem');
+  expect(screen.getByRole('button', { name: 'Export CSV' })).toBeDisabled();
+});
+
+test('has no detectable accessibility violations', async () => {
+  const { container } = render(<App />);
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('announces weights that redistribution changed', () => {
+  render(<App />);
+
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Chart handle for Creative 1' }), { key: 'ArrowUp' });
+  expect(screen.getByRole('status')).toHaveTextContent('Redistributed: Creative 2 24%');
+  expect(screen.getByRole('status')).not.toHaveTextContent('Creative 1');
+});
+
+test('rows can be reordered from the keyboard', () => {
+  render(<App />);
+  const moveButton = screen.getByRole('button', { name: 'Move Creative 1' });
+  moveButton.focus();
+
+  fireEvent.keyDown(moveButton, { key: 'ArrowDown' });
+  expect(weights()).toEqual(['25', '50', '21', '4']);
+  expect(moveButton).toHaveFocus();
+  expect(screen.getByRole('status')).toHaveTextContent('Creative 1 moved to position 2 of 4');
+
+  // Already at the top: nothing to do
+  fireEvent.keyDown(screen.getByRole('button', { name: 'Move Creative 2' }), { key: 'ArrowUp' });
+  expect(weights()).toEqual(['25', '50', '21', '4']);
+});
+
+test('lock buttons are labelled and report their state', () => {
+  render(<App />);
+  const lock = screen.getByRole('button', { name: 'Lock Creative 2' });
+
+  expect(lock).toHaveAttribute('aria-pressed', 'false');
+  fireEvent.click(lock);
+  expect(lock).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByLabelText('Weight for Creative 2')).toBeDisabled();
+});
+
+test('opens the distribution encoded in a shared link', () => {
+  const shared = {
+    name: 'Shared split',
+    precision: 'integer',
+    apportionment: 'largestRemainder',
+    items: [
+      { id: 1, name: 'Alpha', weight: 70, locked: true },
+      { id: 2, name: 'Beta', weight: 30, locked: false },
+    ],
+  };
+  window.history.replaceState(null, '', planHash(shared));
+
+  render(<App />);
+
+  expect(screen.getByLabelText('Plan name')).toHaveValue('Shared split');
+  expect(weights()).toEqual(['70', '30']);
+  expect(window.location.hash).toBe(planHash(shared));
 });
@@ -1,11 +1,11 @@
 import React from 'react';
 import './App.css';
-import GitDiffViewer from './components/GitDiffViewer';
+import PlanWorkspace from './components/PlanWorkspace';
 
 function App() {
   return (
     <div className="min-h-screen bg-gray-900">
-      <GitDiffViewer />
+      <PlanWorkspace />
     </div>
   );
 }
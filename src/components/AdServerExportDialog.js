@@ -0,0 +1,130 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { copyText, downloadText, toFileName } from '../utils/download';
+import { AD_SERVER_FORMATS, DEFAULT_AD_SERVER_FORMAT, exportForAdServer, validateExport } from '../utils/adServers';
+
+// Dialog previewing the creatives in an ad server's upload format (see
+// ../utils/adServers). Creative IDs can be filled in here; the format's
+// problems are listed above the preview, and errors keep it from being
+// downloaded or copied. Escape closes it.
+const AdServerExportDialog = ({ items, planName, onCreativeIdChange, onClose }) => {
+  const [format, setFormat] = useState(DEFAULT_AD_SERVER_FORMAT);
+  const [status, setStatus] = useState('');
+  const dialogRef = useRef(null);
+  const titleId = useId();
+
+  useEffect(() => {
+    dialogRef.current?.focus();
+  }, []);
+
+  const problems = validateExport(items, format);
+  const text = exportForAdServer(items, format);
+  const { label, extension, mimeType } = AD_SERVER_FORMATS[format];
+
+  const copyExport = async () => {
+    const copied = await copyText(text);
+    setStatus(copied ? 'Copied to the clipboard' : 'The browser blocked clipboard access');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  const buttonClass = 'px-3 py-1.5 rounded text-sm bg-gray-800 text-white hover:bg-gray-700';
+  const disabledClass = 'px-3 py-1.5 rounded text-sm bg-gray-800 text-gray-500 cursor-not-allowed';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75 p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        className="w-full max-w-2xl max-h-full overflow-y-auto p-6 rounded-lg border border-gray-700 bg-gray-900 text-sm text-gray-200 focus:outline-none"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id={titleId} className="text-xl font-medium text-white">Export for an ad server</h2>
+          <label className="flex items-center text-gray-400">
+            Format
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+            >
+              {Object.entries(AD_SERVER_FORMATS).map(([key, option]) => (
+                <option key={key} value={key}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <table className="w-full mb-4">
+          <thead>
+            <tr className="text-left text-xs text-gray-400 uppercase tracking-wider">
+              <th className="py-1 pr-3 font-medium">Creative</th>
+              <th className="py-1 pr-3 font-medium">Creative ID</th>
+              <th className="py-1 text-right font-medium">Weight</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(item => (
+              <tr key={item.id}>
+                <td className="py-1 pr-3">{item.name}</td>
+                <td className="py-1 pr-3">
+                  <input
+                    type="text"
+                    value={item.creativeId ?? ''}
+                    onChange={(e) => onCreativeIdChange(item.id, e.target.value)}
+                    aria-label={`Creative ID for ${item.name}`}
+                    className="bg-gray-800 border border-gray-700 rounded px-2 py-1 w-full text-white"
+                    style={{ userSelect: 'text' }}
+                  />
+                </td>
+                <td className="py-1 text-right">{item.weight}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {problems.length > 0 && (
+          <ul className="mb-4 list-disc list-inside" aria-label="Problems">
+            {problems.map((problem, index) => (
+              <li key={index} className={problem.level === 'error' ? 'text-pink-500' : 'text-yellow-500'}>
+                {problem.message}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <pre
+          className="mb-4 p-3 max-h-48 overflow-auto rounded border border-gray-800 bg-black text-xs text-gray-300"
+          aria-label={`${label} preview`}
+          style={{ userSelect: 'text' }}
+        >
+          {text ?? 'Fix the errors above to see the export.'}
+        </pre>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={() => downloadText(text, toFileName(`${planName} ${format}`, extension), mimeType)}
+            disabled={!text}
+            className={text ? buttonClass : disabledClass}
+          >
+            Download
+          </button>
+          <button onClick={copyExport} disabled={!text} className={text ? buttonClass : disabledClass}>
+            Copy
+          </button>
+          {status && <span className="text-gray-400">{status}</span>}
+          <button onClick={onClose} className={`${buttonClass} ml-auto`}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdServerExportDialog;
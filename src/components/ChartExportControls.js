@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { EXPORT_BACKGROUNDS, PNG_SCALES, serializeChart, svgToPng } from '../utils/chartExport';
+import { downloadBlob, downloadText, toFileName } from '../utils/download';
+
+// Download buttons for the chart referenced by `svgRef`, disabled while
+// `exportBlocked` holds a reason
+const ChartExportControls = ({ svgRef, fileName, exportBlocked = null }) => {
+  const [background, setBackground] = useState('dark');
+  const [scale, setScale] = useState(2);
+  const [error, setError] = useState('');
+
+  const exportSvg = () => {
+    const { svg } = serializeChart(svgRef.current, { background });
+    downloadText(svg, toFileName(fileName, 'svg'), 'image/svg+xml');
+  };
+
+  const exportPng = async () => {
+    const { svg, width, height } = serializeChart(svgRef.current, { background });
+
+    try {
+      const blob = await svgToPng(svg, width, height, scale);
+      downloadBlob(blob, toFileName(fileName, 'png'));
+      setError('');
+    } catch (exportError) {
+      setError(exportError.message);
+    }
+  };
+
+  const buttonClass = exportBlocked
+    ? 'px-3 py-1.5 rounded text-sm bg-gray-800 text-gray-500 cursor-not-allowed'
+    : 'px-3 py-1.5 rounded text-sm bg-gray-800 text-white hover:bg-gray-700';
+  const exportProps = { disabled: Boolean(exportBlocked), title: exportBlocked ?? undefined, className: buttonClass };
+  const selectClass = 'ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white';
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mt-4 text-sm">
+      <label className="flex items-center text-gray-400">
+        Background
+        <select value={background} onChange={(e) => setBackground(e.target.value)} className={selectClass}>
+          {Object.entries(EXPORT_BACKGROUNDS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <button onClick={exportSvg} {...exportProps}>Download SVG</button>
+
+      <label className="flex items-center text-gray-400">
+        Scale
+        <select value={scale} onChange={(e) => setScale(Number(e.target.value))} className={selectClass}>
+          {PNG_SCALES.map(value => (
+            <option key={value} value={value}>{value}x</option>
+          ))}
+        </select>
+      </label>
+      <button onClick={exportPng} {...exportProps}>Download PNG</button>
+
+      {error && <span className="text-pink-500">{error}</span>}
+    </div>
+  );
+};
+
+export default ChartExportControls;
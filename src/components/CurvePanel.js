@@ -0,0 +1,55 @@
+import React from 'react';
+import { CURVES, defaultParams, paramMax } from '../utils/curves';
+
+// Pick a curve and tune its parameters. The editor previews the result on
+// the chart while this is open and only changes the weights on Apply.
+const CurvePanel = ({ curve, params, itemCount, onChange, onApply, onCancel }) => {
+  const selectClass = 'ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white';
+
+  return (
+    <div className="mb-4 p-3 rounded border border-gray-800 bg-black text-sm" role="group" aria-label="Custom curve">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center text-gray-400">
+          Curve
+          <select
+            value={curve}
+            onChange={(e) => onChange(e.target.value, defaultParams(e.target.value))}
+            className={selectClass}
+          >
+            {Object.entries(CURVES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {CURVES[curve].params.map(param => (
+          <label key={param.key} className="flex items-center text-gray-400">
+            {param.label}
+            <input
+              type="range"
+              min={param.min}
+              max={paramMax(param, itemCount)}
+              step={param.step}
+              value={params[param.key]}
+              onChange={(e) => onChange(curve, { ...params, [param.key]: Number(e.target.value) })}
+              className="mx-2 w-28"
+            />
+            <span className="w-12 text-white">{params[param.key]}{param.unit}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex items-center space-x-3 mt-3">
+        <button onClick={onApply} className="px-3 py-1.5 rounded bg-pink-600 text-white hover:bg-pink-700">
+          Apply
+        </button>
+        <button onClick={onCancel} className="px-3 py-1.5 rounded bg-gray-800 text-white hover:bg-gray-700">
+          Cancel
+        </button>
+        <span className="text-gray-500">The dashed line on the chart previews the result.</span>
+      </div>
+    </div>
+  );
+};
+
+export default CurvePanel;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { downloadText, toFileName } from '../utils/download';
+import { FILE_FORMATS } from '../utils/itemsFile';
+import { formatWeight } from '../utils/precision';
+import {
+  INTERPOLATIONS,
+  activePhase,
+  findScheduleError,
+  findStartClash,
+  scheduleToCsv,
+  scheduleToJson,
+  weightsOn,
+} from '../utils/schedule';
+
+// Timeline of the plan's flights (see ../utils/schedule): pick the phase the
+// chart and table edit, move its start date, choose how weights get from one
+// phase to the next, preview the weights on any day and export the schedule.
+// Without a schedule it only offers to start one. While `exportBlocked` holds
+// a reason, or two phases start on the same day, the schedule can't be
+// exported; a start date another phase already has is refused.
+const FlightsPanel = ({
+  schedule,
+  items,
+  engineOptions,
+  planName,
+  exportBlocked = null,
+  onCreate,
+  onSelect,
+  onAdd,
+  onRemove,
+  onRemoveAll,
+  onStartChange,
+  onInterpolationChange,
+}) => {
+  const [previewDate, setPreviewDate] = useState('');
+  const [refusedStart, setRefusedStart] = useState(null);
+
+  const buttonClass = 'px-3 py-1.5 rounded text-sm bg-gray-800 text-white hover:bg-gray-700';
+  const fieldClass = 'ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white';
+
+  if (!schedule) {
+    return (
+      <div className="mb-4 flex items-center gap-3 text-sm text-gray-400">
+        <button onClick={onCreate} className={buttonClass} title="Split the campaign into dated phases with their own weights">
+          Add flights
+        </button>
+        Weights stay the same for the whole campaign.
+      </div>
+    );
+  }
+
+  const active = activePhase(schedule);
+  const activeNumber = schedule.phases.indexOf(active) + 1;
+  const error = findScheduleError(schedule);
+  const blocked = exportBlocked ?? (error && `Fix the schedule before exporting: ${error}`);
+  const clash = refusedStart && findStartClash(schedule, refusedStart.phaseId, refusedStart.start);
+  const refusal = clash && refusedStart.phaseId === active.id
+    ? `Phase ${schedule.phases.indexOf(clash) + 1} already starts on ${clash.start}`
+    : null;
+
+  const changeStart = (start) => {
+    if (findStartClash(schedule, active.id, start)) {
+      setRefusedStart({ phaseId: active.id, start });
+      return;
+    }
+    setRefusedStart(null);
+    onStartChange(active.id, start);
+  };
+  const preview = previewDate && weightsOn(schedule, items, previewDate, engineOptions);
+
+  const exportSchedule = (format) => {
+    const { extension, mimeType } = FILE_FORMATS[format];
+    const text = format === 'json'
+      ? scheduleToJson(schedule, items, engineOptions)
+      : scheduleToCsv(schedule, items, engineOptions);
+    downloadText(text, toFileName(`${planName} schedule`, extension), mimeType);
+  };
+
+  return (
+    <div className="mb-4 p-3 rounded border border-gray-800 bg-black text-sm" role="group" aria-label="Flights">
+      <div className="flex flex-wrap items-center gap-2">
+        {schedule.phases.map((phase, index) => (
+          <React.Fragment key={phase.id}>
+            {index > 0 && <span className="text-gray-600" aria-hidden="true">→</span>}
+            <button
+              onClick={() => onSelect(phase.id)}
+              aria-pressed={phase.id === schedule.activePhaseId}
+              className={`px-3 py-1.5 rounded ${phase.id === schedule.activePhaseId
+                ? 'bg-pink-600 text-white'
+                : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+            >
+              Phase {index + 1} · {phase.start}
+            </button>
+          </React.Fragment>
+        ))}
+        <button onClick={onAdd} className={buttonClass}>Add phase</button>
+
+        <label className="flex items-center text-gray-400 ml-auto">
+          Between phases
+          <select
+            value={schedule.interpolation}
+            onChange={(e) => onInterpolationChange(e.target.value)}
+            className={fieldClass}
+          >
+            {Object.entries(INTERPOLATIONS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-3">
+        <label className="flex items-center text-gray-400">
+          Phase {activeNumber} starts
+          <input
+            type="date"
+            value={active.start}
+            onChange={(e) => changeStart(e.target.value)}
+            className={fieldClass}
+            style={{ userSelect: 'text' }}
+          />
+        </label>
+        {schedule.phases.length > 1 && (
+          <button onClick={() => onRemove(active.id)} className="text-pink-600 hover:text-pink-400">
+            Remove phase {activeNumber}
+          </button>
+        )}
+        <button onClick={onRemoveAll} className="text-gray-400 hover:text-white underline">
+          Remove flights
+        </button>
+        {(refusal || error) && <span className="text-pink-500">{refusal ?? error}</span>}
+
+        <span className="flex items-center gap-2 ml-auto">
+          {Object.entries(FILE_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              onClick={() => exportSchedule(format)}
+              disabled={Boolean(blocked)}
+              title={blocked || undefined}
+              className={blocked ? 'px-3 py-1.5 rounded text-sm bg-gray-800 text-gray-500 cursor-not-allowed' : buttonClass}
+            >
+              Export schedule as {label}
+            </button>
+          ))}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-3 text-gray-400">
+        <label className="flex items-center">
+          Weights on
+          <input
+            type="date"
+            value={previewDate}
+            onChange={(e) => setPreviewDate(e.target.value)}
+            className={fieldClass}
+            style={{ userSelect: 'text' }}
+          />
+        </label>
+        {preview && (
+          <span aria-live="polite">
+            {items.map((item, index) => `${item.name} ${formatWeight(preview[index], engineOptions.precision)}`).join(', ')}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FlightsPanel;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+// Undo/redo buttons plus the list of recorded edits. Entries after the current
+// one are the redo stack and are shown dimmed; clicking any entry jumps to it.
+const HistoryPanel = ({ entries, index, canUndo, canRedo, onUndo, onRedo, onJump }) => {
+  const buttonClass = (enabled) =>
+    `px-3 py-1.5 rounded text-sm bg-gray-800 ${enabled ? 'text-white hover:bg-gray-700' : 'text-gray-500 cursor-not-allowed'}`;
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-medium text-white">History</h2>
+        <div className="flex space-x-3">
+          <button onClick={onUndo} disabled={!canUndo} className={buttonClass(canUndo)} title="Undo (Ctrl+Z)">
+            Undo
+          </button>
+          <button onClick={onRedo} disabled={!canRedo} className={buttonClass(canRedo)} title="Redo (Ctrl+Shift+Z)">
+            Redo
+          </button>
+        </div>
+      </div>
+
+      <ol className="max-h-48 overflow-y-auto rounded-lg border border-gray-800 divide-y divide-gray-800">
+        {entries.map((entry, entryIndex) => (
+          <li key={entryIndex}>
+            <button
+              onClick={() => onJump(entryIndex)}
+              className={`w-full text-left px-4 py-2 text-sm hover:bg-gray-900 ${
+                entryIndex === index
+                  ? 'text-pink-500'
+                  : entryIndex > index ? 'text-gray-600' : 'text-gray-300'
+              }`}
+              aria-current={entryIndex === index ? 'step' : undefined}
+            >
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default HistoryPanel;
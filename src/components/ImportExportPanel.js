@@ -0,0 +1,153 @@
+import React, { useRef, useState } from 'react';
+import AdServerExportDialog from './AdServerExportDialog';
+import { copyText, downloadText, readFileText, toFileName } from '../utils/download';
+import { FILE_FORMATS, detectFormat, parseItemsFile, serializeItems } from '../utils/itemsFile';
+
+// Import creatives from CSV/JSON (file picker or drag and drop) and export the
+// table in the same formats, as a download or to the clipboard, or in an ad
+// server's upload format. Files with more than `maxItems` creatives are cut
+// short. While `exportBlocked` holds a reason, nothing can be exported.
+const ImportExportPanel = ({ items, planName, maxItems = Infinity, exportBlocked = null, onImport, onCreativeIdChange }) => {
+  const [report, setReport] = useState(null);
+  const [isAdServerDialogOpen, setIsAdServerDialogOpen] = useState(false);
+  const [status, setStatus] = useState('');
+  const [isDropTarget, setIsDropTarget] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const importFile = async (file) => {
+    if (!file) return;
+
+    let text;
+    try {
+      text = await readFileText(file);
+    } catch (error) {
+      // The browser couldn't read it: gone since it was picked, or not allowed
+      const reason = error?.message ? `: ${error.message}` : '';
+      setReport({ fileName: file.name, imported: 0, errors: [{ row: null, message: `The file couldn't be read${reason}` }] });
+      setStatus('');
+      return;
+    }
+
+    const parsed = parseItemsFile(text, detectFormat(file.name, text));
+    const imported = parsed.items.slice(0, maxItems);
+    const dropped = parsed.items.length - imported.length;
+    const errors = dropped > 0
+      ? [...parsed.errors, { row: null, message: `Left out the last ${dropped}: at most ${maxItems} creatives are allowed` }]
+      : parsed.errors;
+
+    if (imported.length > 0) {
+      onImport(imported, file.name);
+    }
+    setReport({ fileName: file.name, imported: imported.length, errors });
+    setStatus('');
+  };
+
+  const handleFileChange = (e) => {
+    importFile(e.target.files[0]);
+    // Allow picking the same file again after fixing it
+    e.target.value = '';
+  };
+
+  // Only react to files, not to table rows being dragged around
+  const isFileDrag = (e) => Array.from(e.dataTransfer.types).includes('Files');
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDropTarget(true);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setIsDropTarget(false);
+    importFile(e.dataTransfer.files[0]);
+  };
+
+  const exportFile = (format) => {
+    const { extension, mimeType } = FILE_FORMATS[format];
+    downloadText(serializeItems(items, format), toFileName(planName, extension), mimeType);
+  };
+
+  const copyToClipboard = async (format) => {
+    const copied = await copyText(serializeItems(items, format));
+    setStatus(copied ? `Copied ${FILE_FORMATS[format].label} to the clipboard` : 'The browser blocked clipboard access');
+  };
+
+  const buttonClass = exportBlocked
+    ? 'px-3 py-1.5 rounded text-sm bg-gray-800 text-gray-500 cursor-not-allowed'
+    : 'px-3 py-1.5 rounded text-sm bg-gray-800 text-white hover:bg-gray-700';
+  const skippedRows = report ? report.errors.filter(error => error.row !== null).length : 0;
+  const exportProps = { disabled: Boolean(exportBlocked), title: exportBlocked ?? undefined, className: buttonClass };
+
+  return (
+    <div className="mb-8">
+      <h2 className="text-xl font-medium text-white mb-4">Import / Export</h2>
+
+      <div
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDropTarget(false)}
+        onDrop={handleDrop}
+        onClick={() => fileInputRef.current.click()}
+        className={`mb-4 p-6 rounded-lg border-2 border-dashed text-center text-sm cursor-pointer ${
+          isDropTarget ? 'border-pink-500 text-pink-500' : 'border-gray-700 text-gray-400 hover:border-gray-500'
+        }`}
+      >
+        Drop a CSV or JSON file here, or click to choose one
+        <p className="mt-1 text-xs text-gray-500">Columns: name, weight, locked (optional), id (optional), min, max, creative_id</p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={handleFileChange}
+          className="hidden"
+          aria-label="Import creatives from a file"
+        />
+      </div>
+
+      {report && (
+        <div className="mb-4 text-sm">
+          <p className={report.imported > 0 ? 'text-gray-300' : 'text-pink-500'}>
+            {report.imported > 0
+              ? `Imported ${report.imported} creative${report.imported === 1 ? '' : 's'} from ${report.fileName}`
+              : `Nothing was imported from ${report.fileName}`}
+            {skippedRows > 0 && ` (${skippedRows} row${skippedRows === 1 ? '' : 's'} skipped)`}
+          </p>
+          {report.errors.length > 0 && (
+            <ul className="mt-2 text-pink-500 list-disc list-inside">
+              {report.errors.map((error, index) => (
+                <li key={index}>{error.row === null ? error.message : `Row ${error.row}: ${error.message}`}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        {Object.entries(FILE_FORMATS).map(([format, { label }]) => (
+          <React.Fragment key={format}>
+            <button onClick={() => exportFile(format)} {...exportProps}>Export {label}</button>
+            <button onClick={() => copyToClipboard(format)} {...exportProps}>Copy {label}</button>
+          </React.Fragment>
+        ))}
+        <button onClick={() => setIsAdServerDialogOpen(true)} {...exportProps}>
+          Export for ad server…
+        </button>
+        {exportBlocked ? (
+          <span className="text-sm text-pink-500">{exportBlocked}</span>
+        ) : status && <span className="text-sm text-gray-400">{status}</span>}
+      </div>
+
+      {isAdServerDialogOpen && !exportBlocked && (
+        <AdServerExportDialog
+          items={items}
+          planName={planName}
+          onCreativeIdChange={onCreativeIdChange}
+          onClose={() => setIsAdServerDialogOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ImportExportPanel;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { METRIC_GOALS } from '../utils/metrics';
+
+// Strategies that allocate weight by the creatives' performance metrics
+const METRIC_STRATEGIES = [
+  { key: 'rateProportional', label: 'Proportional to rate', title: 'Weights proportional to each creative\'s estimated rate' },
+  { key: 'thompson', label: 'Thompson sampling', title: 'Weights equal to the chance each creative is the best' },
+  { key: 'epsilonGreedy', label: 'Epsilon-greedy', title: 'The best creative gets everything but the exploration floor' },
+];
+
+// Reweighting from impressions, clicks and conversions. `hasData` is false
+// until at least one unlocked creative has metrics.
+const MetricsPanel = ({ goal, epsilon, hasData, onGoalChange, onEpsilonChange, onApply }) => {
+  const buttonClass = `px-3 py-1.5 rounded ${hasData
+    ? 'bg-gray-800 text-white hover:bg-gray-700'
+    : 'bg-gray-800 text-gray-500 cursor-not-allowed'}`;
+
+  return (
+    <div className="mb-4 p-3 rounded border border-gray-800 bg-black text-sm" role="group" aria-label="Performance">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center text-gray-400">
+          Optimise for
+          <select
+            value={goal}
+            onChange={(e) => onGoalChange(e.target.value)}
+            className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+          >
+            {Object.entries(METRIC_GOALS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex items-center text-gray-400" title="Share spread evenly by epsilon-greedy to keep exploring">
+          Exploration floor
+          <input
+            type="range"
+            min="0"
+            max="100"
+            step="1"
+            value={epsilon}
+            onChange={(e) => onEpsilonChange(Number(e.target.value))}
+            className="mx-2 w-28"
+          />
+          <span className="w-10 text-white">{epsilon}%</span>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-3">
+        {METRIC_STRATEGIES.map(({ key, label, title }) => (
+          <button key={key} onClick={() => onApply(key, label)} disabled={!hasData} className={buttonClass} title={title}>
+            {label}
+          </button>
+        ))}
+        {!hasData && (
+          <span className="text-gray-500">Import metrics or enter them in the table to use these.</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MetricsPanel;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { copyText } from '../utils/download';
+import { createPlan } from '../utils/planStorage';
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+
+// Toolbar for picking, creating, renaming, duplicating, deleting and sharing
+// plans. `isSaved` is false while the current plan's errors keep it from
+// being saved.
+const PlanSwitcher = ({ plans, currentPlan, shareUrl, isSaved = true, onSelect, onAdd, onRename, onDuplicate, onDelete }) => {
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const handleNew = () => {
+    onAdd(createPlan(`Plan ${plans.length + 1}`));
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${currentPlan.name}"? This can't be undone.`)) {
+      onDelete(currentPlan.id);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    const copied = await copyText(shareUrl);
+    setCopyStatus(copied ? 'Link copied' : 'Copy failed');
+    setTimeout(() => setCopyStatus(''), 2000);
+  };
+
+  const buttonClass = 'px-3 py-1.5 rounded text-sm bg-gray-800 text-white hover:bg-gray-700';
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-6">
+      <label className="flex items-center text-sm text-gray-400">
+        Plan
+        <select
+          value={currentPlan.id}
+          onChange={(e) => onSelect(e.target.value)}
+          className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+        >
+          {plans.map(plan => (
+            <option key={plan.id} value={plan.id}>{plan.name || 'Untitled plan'}</option>
+          ))}
+        </select>
+      </label>
+
+      <input
+        type="text"
+        value={currentPlan.name}
+        onChange={(e) => onRename(currentPlan.id, e.target.value)}
+        className="bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white"
+        aria-label="Plan name"
+        style={{ userSelect: 'text' }}
+      />
+
+      <button onClick={handleNew} className={buttonClass}>New</button>
+      <button onClick={() => onDuplicate(currentPlan.id)} className={buttonClass}>Duplicate</button>
+      <button
+        onClick={handleDelete}
+        disabled={plans.length <= 1}
+        className={plans.length <= 1 ? 'px-3 py-1.5 rounded text-sm bg-gray-800 text-gray-500 cursor-not-allowed' : buttonClass}
+        title={plans.length <= 1 ? 'The last plan cannot be deleted' : 'Delete this plan'}
+      >
+        Delete
+      </button>
+      <button onClick={handleCopyLink} className={buttonClass} title="Copy a link that opens this distribution">
+        Copy link
+      </button>
+      {copyStatus && <span className="text-sm text-gray-400">{copyStatus}</span>}
+
+      {isSaved ? (
+        <span className="text-xs text-gray-500 ml-auto">
+          Last modified {formatTimestamp(currentPlan.updatedAt)}
+        </span>
+      ) : (
+        <span className="text-xs text-pink-500 ml-auto">
+          Not saved: fix the errors first
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default PlanSwitcher;
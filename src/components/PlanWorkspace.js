@@ -0,0 +1,54 @@
+import React from 'react';
+import PlanSwitcher from './PlanSwitcher';
+import WeightDistributionEditor from './WeightDistributionEditor';
+import usePlans from '../hooks/usePlans';
+import useShareableUrl from '../hooks/useShareableUrl';
+import { createPlan } from '../utils/planStorage';
+import { hasErrors, validatePlan } from '../utils/validation';
+
+// Plans failing their error-level checks aren't saved until they're fixed
+const canSavePlan = (plan) => !hasErrors(validatePlan(plan));
+
+// The standalone app: named plans saved in the browser and shareable links,
+// around an editor controlling the current plan. Every change the editor
+// makes goes straight back into the plan, and from there into storage.
+const PlanWorkspace = () => {
+  const {
+    plans,
+    currentPlan,
+    selectPlan,
+    addPlan,
+    updatePlan,
+    updateCurrentPlan,
+    duplicatePlan,
+    deletePlan,
+  } = usePlans(undefined, { canSave: canSavePlan });
+
+  // Mirror the plan into the URL hash; opening a shared link adds it as a plan
+  const shareUrl = useShareableUrl(currentPlan, plans, {
+    onOpenShared: (shared) => addPlan(createPlan(shared.name, shared)),
+    onSelectExisting: selectPlan,
+  });
+
+  return (
+    <WeightDistributionEditor
+      plan={currentPlan}
+      onPlanChange={updateCurrentPlan}
+      header={
+        <PlanSwitcher
+          plans={plans}
+          currentPlan={currentPlan}
+          shareUrl={shareUrl}
+          isSaved={canSavePlan(currentPlan)}
+          onSelect={selectPlan}
+          onAdd={addPlan}
+          onRename={(id, name) => updatePlan(id, { name })}
+          onDuplicate={duplicatePlan}
+          onDelete={deletePlan}
+        />
+      }
+    />
+  );
+};
+
+export default PlanWorkspace;
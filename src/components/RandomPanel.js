@@ -0,0 +1,93 @@
+import React from 'react';
+import { RANDOM_GENERATORS } from '../utils/random';
+
+// Settings for a reproducible random split. `recorded` holds the settings
+// behind the current weights, if they came from a random split, so the same
+// split can be regenerated later.
+const RandomPanel = ({ settings, recorded, error, onChange, onNewSeed, onGenerate, onUse }) => {
+  const fieldClass = 'ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white';
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="mb-4 p-3 rounded border border-gray-800 bg-black text-sm" role="group" aria-label="Seeded random">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center text-gray-400">
+          Seed
+          <input
+            type="text"
+            value={settings.seed}
+            placeholder="New seed"
+            onChange={(e) => update({ seed: e.target.value })}
+            className={`${fieldClass} w-28`}
+            style={{ userSelect: 'text' }}
+          />
+        </label>
+        <button onClick={onNewSeed} className="px-2 py-1 rounded bg-gray-800 text-white hover:bg-gray-700">
+          New seed
+        </button>
+
+        <label className="flex items-center text-gray-400">
+          Generator
+          <select value={settings.generator} onChange={(e) => update({ generator: e.target.value })} className={fieldClass}>
+            {Object.entries(RANDOM_GENERATORS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {settings.generator === 'dirichlet' && (
+          <label className="flex items-center text-gray-400" title="Below 1 favours lopsided splits, above 1 even ones">
+            Concentration
+            <input
+              type="range"
+              min="0.1"
+              max="10"
+              step="0.1"
+              value={settings.concentration}
+              onChange={(e) => update({ concentration: Number(e.target.value) })}
+              className="mx-2 w-28"
+            />
+            <span className="w-8 text-white">{settings.concentration}</span>
+          </label>
+        )}
+
+        <label className="flex items-center text-gray-400">
+          Minimum share
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={settings.minShare}
+            onChange={(e) => update({ minShare: Math.max(0, Number(e.target.value) || 0) })}
+            className={`${fieldClass} w-20 text-right`}
+            style={{ userSelect: 'text' }}
+          />
+          <span className="ml-1 text-pink-500">%</span>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-3">
+        <button
+          onClick={onGenerate}
+          disabled={Boolean(error)}
+          className={`px-3 py-1.5 rounded ${error ? 'bg-gray-800 text-gray-500 cursor-not-allowed' : 'bg-pink-600 text-white hover:bg-pink-700'}`}
+        >
+          Generate
+        </button>
+        {error ? (
+          <span className="text-pink-500">{error}</span>
+        ) : recorded && (
+          <span className="text-gray-400">
+            Current weights came from seed <span className="font-mono text-white">{recorded.seed}</span>
+            {' '}({RANDOM_GENERATORS[recorded.generator].label}
+            {recorded.generator === 'dirichlet' && `, concentration ${recorded.concentration}`}
+            {recorded.minShare > 0 && `, minimum ${recorded.minShare}%`}).{' '}
+            <button onClick={onUse} className="text-pink-500 hover:text-pink-400 underline">Use these settings</button>
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RandomPanel;
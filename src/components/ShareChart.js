@@ -0,0 +1,247 @@
+import React, { useRef, useState } from 'react';
+import { donutSlicePath, percentAroundCircle, pointOnCircle, segmentsOf, truncateLabel } from '../utils/chartLayout';
+import { formatWeight, weightStep } from '../utils/precision';
+
+const DEFAULT_COLORS = { unlocked: '#ff007f', locked: '#f59e0b' };
+
+const COARSE_STEP = 5;
+
+const BAR_TOP = 40;
+const BAR_HEIGHT = 56;
+const LEGEND_ROW = 22;
+const LEGEND_COLUMN = 170;
+const LEGEND_CHARS = 14;
+
+// Every other unlocked segment is paler, so neighbours' boundaries stay visible
+const fillOpacityOf = (item, index) => (item.locked || index % 2 === 0 ? 1 : 0.6);
+
+// The whole split as a single 100% stacked bar or a donut. Dragging the
+// boundary between two neighbours, or focusing it and using the arrow keys,
+// moves weight between just those two; boundaries next to a locked creative
+// don't move. `onBoundaryChange(index, weight, mergeKey)` asks for
+// `items[index]` to take `weight` from or give it to `items[index + 1]`;
+// `onDragStart` and `onDragEnd` bracket each pointer drag.
+const ShareChart = ({
+  type,
+  items,
+  precision,
+  width,
+  height,
+  svgRef,
+  tooltipLabel,
+  colors = DEFAULT_COLORS,
+  readOnly = false,
+  onBoundaryChange,
+  onDragStart,
+  onDragEnd,
+}) => {
+  const [activeBoundary, setActiveBoundary] = useState(null);
+  const [focusedBoundary, setFocusedBoundary] = useState(null);
+  const gestureRef = useRef(0);
+
+  const segments = segmentsOf(items);
+  const isDonut = type === 'donut';
+
+  // Bar geometry
+  const barLeft = 20;
+  const barWidth = width - 40;
+  const xAt = (percent) => barLeft + (percent / 100) * barWidth;
+
+  // Donut geometry, with the legend to its right
+  const outer = Math.max(60, Math.min(height - 60, width / 2 - 40) / 2);
+  const inner = outer * 0.6;
+  const cx = 20 + outer;
+  const cy = height / 2;
+
+  const legendLeft = isDonut ? cx + outer + 30 : barLeft;
+  const legendTop = isDonut ? 30 : BAR_TOP + BAR_HEIGHT + 40;
+  const columns = Math.max(1, Math.floor((width - legendLeft) / LEGEND_COLUMN));
+  const svgHeight = Math.max(height, legendTop + Math.ceil(items.length / columns) * LEGEND_ROW + 10);
+
+  const canMove = (index) => !readOnly && !items[index].locked && !items[index + 1].locked;
+  const fillOf = (item) => (item.locked ? colors.locked : colors.unlocked);
+
+  // Pointer position in chart pixels, in case the SVG is drawn scaled
+  const pointerAt = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (width / (rect.width || width)),
+      y: (e.clientY - rect.top) * (svgHeight / (rect.height || svgHeight)),
+    };
+  };
+
+  const startDrag = (index, e) => {
+    if (!canMove(index)) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    gestureRef.current += 1;
+    setActiveBoundary(index);
+    onDragStart?.();
+  };
+
+  const handlePointerMove = (e) => {
+    if (activeBoundary === null || !svgRef.current) return;
+
+    const { x, y } = pointerAt(e);
+    const { start } = segments[activeBoundary];
+    let percent;
+    if (isDonut) {
+      percent = percentAroundCircle(cx, cy, x, y);
+      // Past 12 o'clock the angle wraps to 0; keep it on this boundary's side
+      if (percent < start - 25) percent += 100;
+    } else {
+      percent = ((x - barLeft) / barWidth) * 100;
+    }
+
+    onBoundaryChange(activeBoundary, percent - start, `boundary-${gestureRef.current}`);
+  };
+
+  const endDrag = () => {
+    if (activeBoundary === null) return;
+    setActiveBoundary(null);
+    onDragEnd?.();
+  };
+
+  const handleKeyDown = (index, e) => {
+    const step = e.shiftKey ? COARSE_STEP : weightStep(precision);
+    const deltas = {
+      ArrowRight: step,
+      ArrowUp: step,
+      ArrowLeft: -step,
+      ArrowDown: -step,
+      PageUp: COARSE_STEP,
+      PageDown: -COARSE_STEP,
+    };
+    if (!(e.key in deltas) || !canMove(index)) return;
+
+    e.preventDefault();
+    onBoundaryChange(index, items[index].weight + deltas[e.key], `boundary-key-${index}`);
+  };
+
+  const boundaryPosition = (index) =>
+    isDonut
+      ? { from: pointOnCircle(cx, cy, inner - 6, segments[index].end), to: pointOnCircle(cx, cy, outer + 6, segments[index].end) }
+      : { from: { x: xAt(segments[index].end), y: BAR_TOP - 6 }, to: { x: xAt(segments[index].end), y: BAR_TOP + BAR_HEIGHT + 6 } };
+
+  return (
+    <svg
+      ref={svgRef}
+      width={width}
+      height={svgHeight}
+      className="block"
+      role="group"
+      aria-label={isDonut ? 'Weight distribution donut chart' : 'Weight distribution stacked bar'}
+    >
+      {/* Segments */}
+      {items.map((item, index) => {
+        const { start, end } = segments[index];
+        if (end <= start) return null;
+
+        return isDonut ? (
+          <path
+            key={`segment-${item.id}`}
+            d={donutSlicePath(cx, cy, inner, outer, start, end)}
+            fill={fillOf(item)}
+            fillOpacity={fillOpacityOf(item, index)}
+            stroke="#111827"
+            strokeWidth="2"
+          />
+        ) : (
+          <rect
+            key={`segment-${item.id}`}
+            x={xAt(start)}
+            y={BAR_TOP}
+            width={xAt(end) - xAt(start)}
+            height={BAR_HEIGHT}
+            fill={fillOf(item)}
+            fillOpacity={fillOpacityOf(item, index)}
+            stroke="#111827"
+            strokeWidth="2"
+          />
+        );
+      })}
+
+      {/* Weights inside bar segments wide enough to hold them */}
+      {!isDonut && items.map((item, index) => {
+        const { start, end } = segments[index];
+        const label = formatWeight(item.weight, precision);
+        if (xAt(end) - xAt(start) < label.length * 7 + 8) return null;
+
+        return (
+          <text
+            key={`segment-label-${item.id}`}
+            x={(xAt(start) + xAt(end)) / 2}
+            y={BAR_TOP + BAR_HEIGHT / 2 + 4}
+            textAnchor="middle"
+            fill="#ffffff"
+            fontSize="12"
+            aria-hidden="true"
+          >
+            {label}
+          </text>
+        );
+      })}
+
+      {/* Legend */}
+      {items.map((item, index) => {
+        const x = legendLeft + (index % columns) * LEGEND_COLUMN;
+        const y = legendTop + Math.floor(index / columns) * LEGEND_ROW;
+        const name = truncateLabel(item.name, LEGEND_CHARS);
+
+        return (
+          <g key={`legend-${item.id}`} aria-hidden="true">
+            <rect x={x} y={y - 10} width={12} height={12} rx="2" fill={fillOf(item)} fillOpacity={fillOpacityOf(item, index)} />
+            <text x={x + 18} y={y} fill="#888888" fontSize="12">
+              {name !== item.name && <title>{item.name}</title>}
+              {name} <tspan fill="#ffffff">{tooltipLabel(item)}</tspan>
+            </text>
+          </g>
+        );
+      })}
+
+      {/* Focusable boundaries: pointer drags and arrow keys */}
+      {items.slice(0, -1).map((item, index) => {
+        const next = items[index + 1];
+        const movable = canMove(index);
+        const { from, to } = boundaryPosition(index);
+
+        return (
+          <g
+            key={`boundary-${item.id}`}
+            tabIndex={0}
+            role="slider"
+            aria-label={`Boundary between ${item.name} and ${next.name}`}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={segments[index].end}
+            aria-valuetext={`${item.name} ${formatWeight(item.weight, precision)}, ${next.name} ${formatWeight(next.weight, precision)}`}
+            aria-disabled={!movable}
+            aria-readonly={readOnly || undefined}
+            style={{ cursor: movable ? (isDonut ? 'grab' : 'ew-resize') : 'not-allowed', touchAction: 'none', outline: 'none' }}
+            onPointerDown={(e) => startDrag(index, e)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+            onKeyDown={(e) => handleKeyDown(index, e)}
+            onFocus={() => setFocusedBoundary(index)}
+            onBlur={() => setFocusedBoundary(null)}
+          >
+            {/* Wider invisible target for fingers */}
+            <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke="transparent" strokeWidth="18" />
+            <line
+              x1={from.x}
+              y1={from.y}
+              x2={to.x}
+              y2={to.y}
+              stroke={focusedBoundary === index || activeBoundary === index ? '#ffffff' : '#d1d5db'}
+              strokeWidth={focusedBoundary === index ? 4 : 2}
+              strokeOpacity={movable ? 1 : 0.3}
+            />
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default ShareChart;
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { DEFAULT_SIMULATION_SETTINGS, PICKERS, findSimulationError, simulateTraffic } from '../utils/simulation';
+
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 120;
+
+const formatCount = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 1 });
+
+// What a run depends on, to tell when the weights have moved on since
+const weightsKey = (items) => items.map(item => `${item.id}:${item.weight}`).join(',');
+
+// Each creative's realised share minus its share of the total weight, in
+// points, against the impressions served so far; the lines close in on zero
+// as the split converges, whether or not the weights add up to 100
+const ConvergenceChart = ({ result, color }) => {
+  const { convergence, creatives, impressions } = result;
+  const gaps = convergence.map(point => point.shares.map((share, index) => share - creatives[index].share));
+  const extent = Math.max(1, ...gaps.flat().map(Math.abs));
+  const x = (count) => (count / impressions) * CHART_WIDTH;
+  const y = (gap) => CHART_HEIGHT / 2 - (gap / extent) * (CHART_HEIGHT / 2 - 4);
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full max-w-lg h-32"
+      role="img"
+      aria-label={`Realised share minus weight over ${formatCount(impressions)} impressions, within ±${extent.toFixed(1)} points`}
+    >
+      <line x1="0" y1={y(0)} x2={CHART_WIDTH} y2={y(0)} stroke="#4b5563" strokeDasharray="4 4" />
+      {creatives.map((creative, index) => (
+        <polyline
+          key={creative.id}
+          points={convergence.map((point, step) => `${x(point.impressions)},${y(gaps[step][index])}`).join(' ')}
+          fill="none"
+          stroke={color}
+          strokeOpacity={index % 2 === 0 ? 1 : 0.55}
+          strokeWidth="1.5"
+        >
+          <title>{creative.name}</title>
+        </polyline>
+      ))}
+    </svg>
+  );
+};
+
+// Serves simulated impressions over the current weights to show what the
+// split means in practice: the impressions each creative should expect, how
+// far a run can stray from that, and how quickly the realised split settles.
+// Runs are seeded, so they repeat exactly.
+const SimulationPanel = ({ items, color }) => {
+  const [settings, setSettings] = useState(DEFAULT_SIMULATION_SETTINGS);
+  const [run, setRun] = useState(null);
+
+  const fieldClass = 'ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white';
+  const update = (changes) => setSettings({ ...settings, ...changes });
+  const error = findSimulationError(items, settings);
+
+  const simulate = () => {
+    if (error) return;
+    setRun({ key: weightsKey(items), result: simulateTraffic(items, settings) });
+  };
+
+  const result = run?.result;
+
+  return (
+    <div className="mb-4 p-3 rounded border border-gray-800 bg-black text-sm" role="group" aria-label="Simulation">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center text-gray-400">
+          Impressions
+          <input
+            type="number"
+            min="1"
+            step="1000"
+            value={settings.impressions}
+            onChange={(e) => update({ impressions: Number(e.target.value) })}
+            className={`${fieldClass} w-28 text-right`}
+            style={{ userSelect: 'text' }}
+          />
+        </label>
+
+        <label className="flex items-center text-gray-400" title="Leave empty for no cap">
+          Daily cap
+          <input
+            type="number"
+            min="1"
+            value={settings.dailyCap ?? ''}
+            placeholder="None"
+            onChange={(e) => update({ dailyCap: e.target.value === '' ? null : Number(e.target.value) })}
+            className={`${fieldClass} w-28 text-right`}
+            style={{ userSelect: 'text' }}
+          />
+        </label>
+
+        <label className="flex items-center text-gray-400">
+          Picker
+          <select value={settings.picker} onChange={(e) => update({ picker: e.target.value })} className={fieldClass}>
+            {Object.entries(PICKERS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {settings.picker === 'random' && (
+          <label className="flex items-center text-gray-400">
+            Seed
+            <input
+              type="text"
+              value={settings.seed}
+              onChange={(e) => update({ seed: e.target.value })}
+              className={`${fieldClass} w-28`}
+              style={{ userSelect: 'text' }}
+            />
+          </label>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-3">
+        <button
+          onClick={simulate}
+          disabled={Boolean(error)}
+          className={`px-3 py-1.5 rounded ${error ? 'bg-gray-800 text-gray-500 cursor-not-allowed' : 'bg-pink-600 text-white hover:bg-pink-700'}`}
+        >
+          Run
+        </button>
+        {error ? (
+          <span className="text-pink-500">{error}</span>
+        ) : result && run.key !== weightsKey(items) && (
+          <span className="text-yellow-500">The weights have changed since this run; run it again to update.</span>
+        )}
+      </div>
+
+      {result && (
+        <div className="mt-3">
+          <p className="mb-2 text-gray-400">
+            {formatCount(result.impressions)} impressions
+            {result.days !== null && `, delivered over ${result.days} ${result.days === 1 ? 'day' : 'days'}`}.
+          </p>
+          <table className="w-full mb-3" aria-label="Simulated impressions">
+            <thead>
+              <tr className="text-left text-xs text-gray-400 uppercase tracking-wider">
+                <th className="py-1 pr-3 font-medium">Creative</th>
+                <th className="py-1 pr-3 text-right font-medium">Weight</th>
+                <th className="py-1 pr-3 text-right font-medium">Expected</th>
+                <th className="py-1 pr-3 text-right font-medium" title="Standard deviation of the served count over repeated runs">
+                  Spread
+                </th>
+                <th className="py-1 pr-3 text-right font-medium">Served</th>
+                <th className="py-1 text-right font-medium">Served share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.creatives.map(creative => (
+                <tr key={creative.id} className="text-gray-200">
+                  <td className="py-1 pr-3">{creative.name}</td>
+                  <td className="py-1 pr-3 text-right">{creative.weight}%</td>
+                  <td className="py-1 pr-3 text-right">{formatCount(creative.expected)}</td>
+                  <td className="py-1 pr-3 text-right">±{formatCount(Math.sqrt(creative.variance))}</td>
+                  <td className="py-1 pr-3 text-right">{formatCount(creative.served)}</td>
+                  <td className="py-1 text-right">{((creative.served / result.impressions) * 100).toFixed(2)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.daily && (
+            <div className="max-h-64 overflow-y-auto mb-3">
+              <table className="w-full" aria-label="Impressions by day">
+                <thead>
+                  <tr className="text-left text-xs text-gray-400 uppercase tracking-wider">
+                    <th className="py-1 pr-3 font-medium">Day</th>
+                    <th className="py-1 pr-3 text-right font-medium">Impressions</th>
+                    {result.creatives.map(creative => (
+                      <th key={creative.id} className="py-1 pr-3 text-right font-medium" title="Served / expected">
+                        {creative.name}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.daily.map(day => (
+                    <tr key={day.day} className="text-gray-200">
+                      <td className="py-1 pr-3">{day.day}</td>
+                      <td className="py-1 pr-3 text-right">{formatCount(day.impressions)}</td>
+                      {day.creatives.map(creative => (
+                        <td key={creative.id} className="py-1 pr-3 text-right">
+                          {formatCount(creative.served)}
+                          <span className="text-gray-500"> / {formatCount(creative.expected)}</span>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <ConvergenceChart result={result} color={color} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimulationPanel;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { SEVERITIES, VALIDATION_RULES, resolveRules } from '../utils/validation';
+
+// The checks the plan is held to: each rule's level, and the limit of the
+// rules that take one. `settings` are the plan's overrides (see
+// ../utils/validation); `problemCounts` says how many problems each rule finds.
+const ValidationPanel = ({ settings, problemCounts, onChange }) => {
+  const fieldClass = 'bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white';
+  const resolved = resolveRules(settings);
+  const update = (key, changes) => onChange({ ...settings, [key]: { ...resolved[key], ...changes } });
+
+  return (
+    <div className="mb-4 p-3 rounded border border-gray-800 bg-black text-sm" role="group" aria-label="Checks">
+      <p className="mb-3 text-gray-400">Errors keep the plan from being saved or exported; warnings are only shown.</p>
+      <ul className="space-y-2">
+        {Object.entries(VALIDATION_RULES).map(([key, rule]) => {
+          const { level, limit } = resolved[key];
+          const count = problemCounts[key] ?? 0;
+          return (
+            <li key={key} className="flex flex-wrap items-center gap-3">
+              <select
+                value={level}
+                onChange={(e) => update(key, { level: e.target.value })}
+                className={`${fieldClass} w-28`}
+                aria-label={`Level of ${rule.label}`}
+              >
+                {Object.entries(SEVERITIES).map(([severity, { label }]) => (
+                  <option key={severity} value={severity}>{label}</option>
+                ))}
+              </select>
+              <span className={level === 'off' ? 'text-gray-500' : 'text-gray-200'}>{rule.label}</span>
+              {rule.limit && (
+                <label className="flex items-center text-gray-400">
+                  {rule.limit.label}
+                  <input
+                    type="number"
+                    min={rule.limit.min}
+                    max={rule.limit.max}
+                    value={limit}
+                    onChange={(e) => update(key, {
+                      limit: Math.min(rule.limit.max, Math.max(rule.limit.min, Number(e.target.value) || 0)),
+                    })}
+                    className={`${fieldClass} ml-2 w-20 text-right`}
+                    style={{ userSelect: 'text' }}
+                  />
+                  <span className="ml-1">{rule.limit.unit}</span>
+                </label>
+              )}
+              {level !== 'off' && count > 0 && (
+                <span className={level === 'error' ? 'text-pink-500' : 'text-yellow-500'}>
+                  {count} {count === 1 ? 'problem' : 'problems'}
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ValidationPanel;
@@ -0,0 +1,1930 @@
+import React, { useState, useRef, useEffect, useId, useMemo } from 'react';
+import HistoryPanel from './HistoryPanel';
+import ChartExportControls from './ChartExportControls';
+import CurvePanel from './CurvePanel';
+import FlightsPanel from './FlightsPanel';
+import MetricsPanel from './MetricsPanel';
+import RandomPanel from './RandomPanel';
+import SimulationPanel from './SimulationPanel';
+import ValidationPanel from './ValidationPanel';
+import ShareChart from './ShareChart';
+import ImportExportPanel from './ImportExportPanel';
+import useElementWidth from '../hooks/useElementWidth';
+import useHistory from '../hooks/useHistory';
+import { APPORTIONMENT_METHODS } from '../utils/apportionment';
+import { DEFAULT_CHART_WIDTH, chartLayout } from '../utils/chartLayout';
+import { CURVES, DEFAULT_CURVE, defaultParams } from '../utils/curves';
+import {
+  BoundsError,
+  boundsOf,
+  distribute,
+  findBoundsError,
+  normalize,
+  pairwiseDonors,
+  snapToPrecision,
+  sumWeights,
+  transferWeight,
+  withMinimumShare,
+} from '../utils/distribution';
+import {
+  applyGroupLevel,
+  assignGroup,
+  groupLevel,
+  groupNames,
+  hasGroups,
+  isGroupLocked,
+  membersOf,
+  orderByGroup,
+  renameGroup,
+  setGroupLocked,
+  setShareInGroup,
+  shareInGroup,
+} from '../utils/groups';
+import { DEFAULT_METRIC_GOAL, METRIC_FIELDS, METRIC_GOALS, hasMetrics, observedRate } from '../utils/metrics';
+import { createPlan } from '../utils/planStorage';
+import { DEFAULT_RANDOM_SETTINGS, createRandom, newSeed } from '../utils/random';
+import {
+  addDays,
+  addPhase,
+  createSchedule,
+  findStartClash,
+  fitPhases,
+  isDate,
+  removePhase,
+  selectPhase,
+  setPhaseStart,
+} from '../utils/schedule';
+import {
+  FINEST_PRECISION,
+  PRECISIONS,
+  displayMax,
+  displayStep,
+  formatDelta,
+  formatWeight,
+  fromDisplayValue,
+  roundWeight,
+  toDisplayValue,
+  weightStep,
+} from '../utils/precision';
+import { SEVERITIES, hasErrors, problemsByItem, validateItems } from '../utils/validation';
+
+// Labels for the quick distribution buttons, also used in the undo history
+const STRATEGY_LABELS = {
+  even: 'Evenly',
+  bellCurve: 'Bell Curve',
+  exponential: 'Exponential',
+};
+
+// Text and chart colours a host can override through the `labels` and
+// `colors` props
+const DEFAULT_LABELS = {
+  title: 'Creatives',
+  tableTitle: 'Distribution Table',
+  addItem: 'ADD CREATIVE',
+  unlocked: 'Unlocked (adjustable)',
+  locked: 'Locked (fixed)',
+  baseline: 'Baseline',
+};
+
+const DEFAULT_COLORS = {
+  unlocked: '#ff007f',
+  locked: '#f59e0b',
+  baseline: '#6b7280',
+};
+
+// Ways of drawing the weights. Line and bars plot each creative's weight;
+// the stacked bar and donut show the whole split as parts of 100%.
+const CHART_TYPES = {
+  line: { label: 'Line' },
+  bar: { label: 'Bars' },
+  stacked: { label: 'Stacked bar' },
+  donut: { label: 'Donut' },
+};
+
+// What happens to the other creatives when one is dragged: proportional
+// spreads the change over all unlocked creatives, pairwise takes it from
+// donors picked by a rule (see pairwiseDonors) or a chosen creative
+const DRAG_MODES = {
+  proportional: { label: 'Proportional' },
+  pairwise: { label: 'Pairwise' },
+};
+
+const DONOR_RULES = {
+  next: { label: 'Next neighbour' },
+  previous: { label: 'Previous neighbour' },
+  largest: { label: 'Largest first' },
+  smallest: { label: 'Smallest first' },
+  chosen: { label: 'A chosen creative' },
+};
+
+// Room either side of the end points for their bars
+const BAR_INSET = 24;
+
+// The parts of a plan that edits change and undo restores. `random` records
+// the seeded random split the weights came from, if they did, and `schedule`
+// holds the flights (see ../utils/schedule).
+const snapshotOf = ({ items, precision, apportionment, random = null, schedule = null }) =>
+  ({ items, precision, apportionment, random, schedule });
+
+// Keyboard steps for chart handles, in percentage points. Arrow keys move
+// one grid step at the current precision; with Shift, or Page Up/Down, a
+// coarse step.
+const COARSE_STEP = 5;
+
+// What a screen reader hears when an edit moves other creatives' weights
+const describeRedistribution = (before, after, pinnedId, precision) => {
+  const changed = after.filter(item => {
+    const previous = before.find(other => other.id === item.id);
+    return item.id !== pinnedId && previous && previous.weight !== item.weight;
+  });
+  if (changed.length === 0) return '';
+
+  return `Redistributed: ${changed.map(item => `${item.name} ${formatWeight(item.weight, precision)}`).join(', ')}`;
+};
+
+// Text fields keep their own native undo
+const isTextField = (element) =>
+  element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+
+// A group's name field. Typing only edits a draft, so the name can be cleared
+// and retyped; the rename happens on Enter or blur if `isValid` accepts the
+// draft, and Escape or an invalid draft puts the old name back. Keyed by the
+// name, so a rename elsewhere (undo, say) starts a fresh draft.
+const GroupNameInput = ({ name, isValid, onRename }) => {
+  const [draft, setDraft] = useState(name);
+  const valid = isValid(draft);
+
+  const finish = () => {
+    if (draft !== name && valid) onRename(draft);
+    else setDraft(name);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') finish();
+    if (e.key === 'Escape') setDraft(name);
+  };
+
+  return (
+    <input
+      type="text"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={finish}
+      onKeyDown={handleKeyDown}
+      aria-label={`Name of group ${name}`}
+      aria-invalid={!valid || undefined}
+      className="bg-gray-900 border border-gray-700 rounded px-2 py-1 w-full max-w-xs font-medium text-white"
+      style={{ userSelect: 'text' }}
+    />
+  );
+};
+
+// Chart and table for splitting weight across creatives.
+//
+// The creatives are either controlled, with `value` and `onChange`, or kept
+// by the editor, starting from `defaultValue`. `onChange` sees every edit,
+// each step of a drag included; `onCommit` only sees finished edits, once
+// per drag. A host that keeps whole plans (rounding settings, baseline and
+// flights too) controls them with `plan` and `onPlanChange(changes)`
+// instead, as PlanWorkspace does. `strategies` adds distribution buttons,
+// `{ key: { label, title, shape } }`, where `shape` is called like the
+// built-in strategies. `header` is drawn under the title.
+const WeightDistributionEditor = ({
+  value,
+  defaultValue,
+  onChange,
+  onCommit,
+  plan,
+  onPlanChange,
+  readOnly = false,
+  maxItems = Infinity,
+  labels,
+  colors,
+  strategies: extraStrategies = {},
+  header = null,
+}) => {
+  const text = { ...DEFAULT_LABELS, ...labels };
+  const palette = { ...DEFAULT_COLORS, ...colors };
+
+  // The plan being edited holds the creatives and rounding settings; without
+  // a `plan` prop the editor keeps its own
+  const [ownPlan, setOwnPlan] = useState(() =>
+    createPlan('Untitled plan', defaultValue ? { items: defaultValue } : {})
+  );
+  const basePlan = plan ?? ownPlan;
+  const currentPlan = value ? { ...basePlan, items: value } : basePlan;
+  const { items, precision, apportionment } = currentPlan;
+
+  const updateCurrentPlan = (changes) => {
+    if (plan) {
+      onPlanChange(changes);
+    } else {
+      setOwnPlan(previous => ({ ...previous, ...changes }));
+    }
+    if (changes.items && changes.items !== items) onChange?.(changes.items);
+  };
+
+  const history = useHistory(currentPlan.id, snapshotOf(currentPlan));
+
+  const [activePointIndex, setActivePointIndex] = useState(null);
+  const [focusedPointIndex, setFocusedPointIndex] = useState(null);
+  const [draggedItemId, setDraggedItemId] = useState(null);
+  const [dragOverItemId, setDragOverItemId] = useState(null);
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const dragGestureRef = useRef(0);
+  // The creatives when the drag started, to tell whether it changed anything
+  const dragStartItemsRef = useRef(null);
+
+  // How dragging or nudging a handle affects the other creatives
+  const [dragMode, setDragMode] = useState('proportional');
+  const [donorRule, setDonorRule] = useState('next');
+  const [donorId, setDonorId] = useState(null);
+
+  // Polite live region text, and the row whose move button should keep focus
+  // after a keyboard reorder re-renders the table
+  const [announcement, setAnnouncement] = useState('');
+  const moveButtonRefs = useRef(new Map());
+  const refocusMoveIdRef = useRef(null);
+  const reorderHelpId = useId();
+  const problemsId = useId();
+
+  // The curve being tuned in the curve panel, `{ curve, params }`, or null
+  // while the panel is closed
+  const [curveDraft, setCurveDraft] = useState(null);
+
+  // Settings for the next seeded random split
+  const [randomSettings, setRandomSettings] = useState(() => currentPlan.random ?? DEFAULT_RANDOM_SETTINGS);
+  const [isRandomPanelOpen, setIsRandomPanelOpen] = useState(false);
+
+  // Weights pinned for comparison, by item id. Items added since the baseline
+  // was pinned have no baseline weight.
+  const baseline = currentPlan.baseline ?? null;
+  const baselineWeights = useMemo(
+    () => baseline && new Map(baseline.items.map(item => [item.id, item.weight])),
+    [baseline]
+  );
+  // A group's baseline is its creatives' total, if they were all pinned
+  const baselineOf = (entry) => {
+    if (!baselineWeights) return null;
+    if (!entry.isGroup) return baselineWeights.get(entry.members?.[0].id ?? entry.id) ?? null;
+    return entry.members.every(member => baselineWeights.has(member.id))
+      ? sumWeights(entry.members.map(member => ({ weight: baselineWeights.get(member.id) })))
+      : null;
+  };
+  const deltaOf = (entry) =>
+    baselineOf(entry) === null ? null : roundWeight(entry.weight - baselineOf(entry), FINEST_PRECISION);
+
+  // Performance-based reweighting, and whether the table shows the metrics
+  const [isMetricsPanelOpen, setIsMetricsPanelOpen] = useState(false);
+  const [metricGoal, setMetricGoal] = useState(DEFAULT_METRIC_GOAL);
+  const [epsilon, setEpsilon] = useState(10);
+  const [showMetrics, setShowMetrics] = useState(() => items.some(hasMetrics));
+
+  // Simulated traffic over the current weights; it changes nothing, so it's
+  // there in read-only mode too
+  const [isSimulationPanelOpen, setIsSimulationPanelOpen] = useState(false);
+
+  // Groups whose creatives are hidden in the table, by name
+  const [collapsedGroups, setCollapsedGroups] = useState(() => new Set());
+
+  // The chart shows either the creatives or, once there are groups, one
+  // entry per group and standalone creative (see groupLevel)
+  const [chartLevel, setChartLevel] = useState('creatives');
+  const showGroups = chartLevel === 'groups' && hasGroups(items);
+  const chartItems = showGroups ? groupLevel(items) : items;
+  // The chosen donor is a chart entry, so it only counts at the level it was
+  // picked at
+  const donorEntry = chartItems.find(entry => entry.id === donorId) ?? null;
+
+  // The chart is laid out for the width of its container
+  const [chartType, setChartType] = useState('line');
+  const isBarChart = chartType === 'bar';
+  const chartWidth = useElementWidth(containerRef, DEFAULT_CHART_WIDTH);
+  const layout = chartLayout(chartWidth, chartItems.map(item => item.name), { inset: isBarChart ? BAR_INSET : 0 });
+
+  // Save an edit into the current plan and record it in the undo history.
+  // Consecutive edits with the same `mergeKey` share one history entry.
+  // Edits made mid-drag are committed when the drag ends. When creatives are
+  // removed or replaced, the other flight phases are refitted to the ones left.
+  const commit = (edit, label, mergeKey) => {
+    if (readOnly) return;
+    const fitted = edit.items && !edit.schedule && currentPlan.schedule
+      ? fitPhases(currentPlan.schedule, edit.items, engineOptions)
+      : currentPlan.schedule;
+    const changes = fitted === currentPlan.schedule ? edit : { ...edit, schedule: fitted };
+    updateCurrentPlan(changes);
+    history.record(label, { ...snapshotOf(currentPlan), ...changes }, mergeKey);
+    if (changes.items && !isDragging) onCommit?.(changes.items);
+  };
+
+  // Any other change to the weights means they no longer match a random seed
+  const setItems = (newItems, label, mergeKey) => commit({ items: newItems, random: null }, label, mergeKey);
+
+  // Put back a snapshot handed out by the history
+  const restore = (snapshot) => {
+    if (!snapshot || readOnly) return;
+    updateCurrentPlan(snapshot);
+    onCommit?.(snapshot.items);
+  };
+
+  // Bounds that can't all be met; edits are applied without normalizing until fixed
+  const boundsError = useMemo(() => findBoundsError(items), [items]);
+
+  // Rounding settings shared by every call into the distribution engine
+  const engineOptions = { precision, method: apportionment };
+
+  // Run an engine call. Infeasible bounds are reported by `boundsError`, so a
+  // BoundsError just returns `fallback` instead.
+  const runEngine = (compute, fallback) => {
+    try {
+      return compute();
+    } catch (error) {
+      if (!(error instanceof BoundsError)) throw error;
+      return fallback;
+    }
+  };
+
+  // What the plan's checks find; errors keep it from being exported (and, in
+  // the app, saved)
+  const [isValidationPanelOpen, setIsValidationPanelOpen] = useState(false);
+  const problems = useMemo(() => validateItems(items, currentPlan.validation), [items, currentPlan.validation]);
+  const itemProblems = useMemo(() => problemsByItem(problems), [problems]);
+  const exportBlocked = hasErrors(problems) ? 'Fix the errors above before exporting' : null;
+  const problemCounts = problems.reduce((counts, found) => ({ ...counts, [found.rule]: (counts[found.rule] ?? 0) + 1 }), {});
+  // A group's problems are its creatives'
+  const problemsOf = (entry) =>
+    entry.isGroup
+      ? [...new Set(entry.members.flatMap(member => itemProblems.get(member.id) ?? []))]
+      : itemProblems.get(entry.members?.[0].id ?? entry.id) ?? [];
+  const problemColor = (found) => (hasErrors(found) ? '#ec4899' : '#f59e0b');
+
+  // Apply one of the distribution engine's strategies to the unlocked items
+  const applyDistribution = (strategy, params = {}, label = STRATEGY_LABELS[strategy]) => {
+    const newItems = runEngine(() => distribute(items, strategy, { ...engineOptions, ...params }), items);
+    setAnnouncement(describeRedistribution(items, newItems, null, precision));
+    setItems(newItems, label);
+  };
+
+  // What the curve being tuned would do, drawn over the chart
+  const curvePreview = curveDraft && runEngine(
+    () => distribute(items, curveDraft.curve, { ...engineOptions, ...curveDraft.params }),
+    null
+  );
+
+  const toggleCurvePanel = () => {
+    setCurveDraft(curveDraft ? null : { curve: DEFAULT_CURVE, params: defaultParams(DEFAULT_CURVE) });
+  };
+
+  // A minimum share that can't be met is reported in the random panel
+  const randomError = boundsError ?? findBoundsError(withMinimumShare(items, randomSettings.minShare));
+
+  // Random split from a seed; a blank seed gets a fresh one. The settings are
+  // saved with the plan so the split can be regenerated.
+  const generateRandom = (settings) => {
+    if (randomError) return;
+
+    const recorded = { ...settings, seed: settings.seed.trim() || newSeed() };
+    const { seed, generator, concentration, minShare } = recorded;
+    const newItems = runEngine(
+      () => distribute(items, 'random', { ...engineOptions, random: createRandom(seed), generator, concentration, minShare }),
+      items
+    );
+
+    setRandomSettings(recorded);
+    setAnnouncement(describeRedistribution(items, newItems, null, precision));
+    commit({ items: newItems, random: recorded }, `Random (seed ${seed})`);
+  };
+
+  // Pinning a baseline isn't an edit to the weights, so it stays out of the
+  // undo history
+  const pinBaseline = () => {
+    updateCurrentPlan({
+      baseline: { pinnedAt: Date.now(), items: items.map(({ id, name, weight }) => ({ id, name, weight })) },
+    });
+  };
+
+  const clearBaseline = () => updateCurrentPlan({ baseline: null });
+
+  // Put one creative back to its baseline weight; the others absorb the change
+  const revertToBaseline = (id) => {
+    const weight = baselineWeights.get(id);
+    const newItems = items.map(item => (item.id === id ? { ...item, weight } : item));
+    const reverted = items.find(item => item.id === id);
+    updateWeights(newItems, `Revert ${reverted.name} to baseline`, { pinnedId: id });
+  };
+
+  const applyMetricStrategy = (strategy, label) => {
+    applyDistribution(strategy, { goal: metricGoal, epsilon }, `${label} (${METRIC_GOALS[metricGoal].label})`);
+  };
+
+  const applyCurve = () => {
+    applyDistribution(curveDraft.curve, curveDraft.params, CURVES[curveDraft.curve].label);
+    setCurveDraft(null);
+  };
+
+  // Switch weight precision, snapping existing weights onto the new grid
+  const changePrecision = (newPrecision) => {
+    const newItems = runEngine(() => snapToPrecision(items, { ...engineOptions, precision: newPrecision }), items);
+    commit({ precision: newPrecision, items: newItems, random: null }, `Precision: ${PRECISIONS[newPrecision].label}`);
+  };
+
+  const changeApportionment = (method) => {
+    commit({ apportionment: method }, `Rounding: ${APPORTIONMENT_METHODS[method].label}`);
+  };
+
+  // Toggle lock status for an item
+  const toggleLock = (id) => {
+    const target = items.find(item => item.id === id);
+    const newItems = items.map(item =>
+      item.id === id ? { ...item, locked: !item.locked } : item
+    );
+    updateWeights(newItems, `${target.locked ? 'Unlock' : 'Lock'} ${target.name}`);
+  };
+
+  // Update weights after an edit. `pinnedId` is the item the user changed,
+  // which keeps its new weight while the other unlocked items adjust.
+  const updateWeights = (newItems, label, { pinnedId, mergeKey } = {}) => {
+    const normalized = runEngine(() => normalize(newItems, { ...engineOptions, pinnedId }), newItems);
+    setAnnouncement(describeRedistribution(items, normalized, pinnedId, precision));
+    setItems(normalized, label, mergeKey);
+  };
+
+  // Like updateWeights, for group-level entries (see groupLevel): normalize
+  // them around `pinnedId` and spread the result over each group's creatives
+  const updateGroupLevel = (entries, pinnedId, label, mergeKey) => {
+    const normalized = runEngine(() => normalize(entries, { ...engineOptions, pinnedId }), null);
+    const newItems = normalized && runEngine(() => applyGroupLevel(items, normalized, engineOptions), null);
+    if (!newItems) return;
+
+    setAnnouncement(describeRedistribution(groupLevel(items), normalized, pinnedId, precision));
+    setItems(newItems, label, mergeKey);
+  };
+
+  // The creatives after the chart's entries change to `entries`
+  const fromChart = (entries) => (showGroups ? applyGroupLevel(items, entries, engineOptions) : entries);
+  const sameWeights = (newItems) => newItems.every((item, index) => item.weight === items[index].weight);
+
+  // Give one chart entry a new weight from its handle. In proportional mode
+  // normalize spreads the difference over the other unlocked entries; in
+  // pairwise mode only the donors make it up, and once they run out the
+  // handle stops.
+  const setWeight = (entry, weight, label, mergeKey) => {
+    if (dragMode === 'pairwise') {
+      const donorIds = donorRule === 'chosen' ? [donorEntry?.id] : pairwiseDonors(chartItems, entry.id, donorRule);
+      const moved = transferWeight(chartItems, entry.id, donorIds, weight, engineOptions);
+      const newItems = runEngine(() => fromChart(moved), items);
+      if (sameWeights(newItems)) return;
+
+      setAnnouncement(describeRedistribution(chartItems, moved, entry.id, precision));
+      setItems(newItems, label, mergeKey);
+      return;
+    }
+
+    const edited = chartItems.map(other => (other.id === entry.id ? { ...other, weight } : other));
+    if (showGroups) {
+      updateGroupLevel(edited, entry.id, label, mergeKey);
+    } else {
+      updateWeights(edited, label, { pinnedId: entry.id, mergeKey });
+    }
+  };
+
+  // Shared by handle drags and the share chart's boundary drags
+  const beginDrag = () => {
+    dragStartItemsRef.current = items;
+    setIsDragging(true);
+  };
+
+  // Start dragging a handle with a mouse, finger or pen. Capturing the
+  // pointer keeps its moves coming to the handle even off the chart.
+  const startDrag = (index, e) => {
+    // Don't allow dragging locked items
+    if (readOnly || chartItems[index].locked || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    // Every move in this drag merges into one history entry
+    dragGestureRef.current += 1;
+    setActivePointIndex(index);
+    beginDrag();
+  };
+
+  // Handle pointer moves during a drag
+  const handlePointerMove = (e) => {
+    if (!isDragging || activePointIndex === null || !svgRef.current) return;
+
+    // Convert the pointer to chart pixels, in case the SVG is drawn scaled
+    const rect = svgRef.current.getBoundingClientRect();
+    const chartY = (e.clientY - rect.top) * (layout.height / (rect.height || layout.height));
+    const percentage = roundWeight(layout.weightAt(chartY), precision);
+
+    const dragged = chartItems[activePointIndex];
+    setWeight(dragged, percentage, `Drag ${dragged.name}`, `drag-${dragGestureRef.current}`);
+  };
+
+  // End dragging, committing the drag's edits as one
+  const endDrag = () => {
+    if (isDragging && items !== dragStartItemsRef.current) onCommit?.(items);
+    setIsDragging(false);
+    setActivePointIndex(null);
+  };
+
+  // Arrow keys nudge a focused handle, Home and End send it to 0% or 100%.
+  // Like a drag, the other unlocked items absorb the change.
+  const handleHandleKeyDown = (index, e) => {
+    const item = chartItems[index];
+    const step = e.shiftKey ? COARSE_STEP : weightStep(precision);
+    const targets = {
+      ArrowUp: item.weight + step,
+      ArrowRight: item.weight + step,
+      ArrowDown: item.weight - step,
+      ArrowLeft: item.weight - step,
+      PageUp: item.weight + COARSE_STEP,
+      PageDown: item.weight - COARSE_STEP,
+      Home: 0,
+      End: 100,
+    };
+    if (!(e.key in targets) || item.locked || readOnly) return;
+
+    e.preventDefault();
+    const weight = roundWeight(Math.max(0, Math.min(100, targets[e.key])), precision);
+    if (weight === item.weight) return;
+
+    setWeight(item, weight, `Adjust ${item.name}`, `key-${item.id}`);
+  };
+
+  // Move the boundary after `chartItems[index]` on the stacked bar or donut,
+  // so it ends up with `weight` and its next neighbour makes up the difference
+  const moveBoundary = (index, weight, mergeKey) => {
+    const receiver = chartItems[index];
+    const donor = chartItems[index + 1];
+    const moved = transferWeight(chartItems, receiver.id, donor.id, weight, engineOptions);
+    const newItems = runEngine(() => fromChart(moved), items);
+    if (sameWeights(newItems)) return;
+
+    setItems(newItems, `Move boundary between ${receiver.name} and ${donor.name}`, mergeKey);
+    setAnnouncement(`${receiver.name} ${formatWeight(moved[index].weight, precision)}, ${donor.name} ${formatWeight(moved[index + 1].weight, precision)}`);
+  };
+
+  // Drag and drop handlers for reordering table rows
+  const handleDragStart = (id) => {
+    setDraggedItemId(id);
+  };
+
+  const handleDragOver = (e, id) => {
+    e.preventDefault();
+    setDragOverItemId(id);
+  };
+
+  // Move the row at `fromIndex` to `toIndex`
+  const moveItem = (fromIndex, toIndex) => {
+    // Create a copy of items to reorder
+    const itemsCopy = [...items];
+
+    // Remove the moved item and insert it at its new position
+    const [movedItem] = itemsCopy.splice(fromIndex, 1);
+    itemsCopy.splice(toIndex, 0, movedItem);
+
+    // Groups stay together, so moving past the edge of a group moves the group
+    const reordered = orderByGroup(itemsCopy);
+    setAnnouncement(`${movedItem.name} moved to position ${reordered.indexOf(movedItem) + 1} of ${items.length}`);
+    setItems(reordered, `Move ${movedItem.name}`);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+
+    if (draggedItemId === null || dragOverItemId === null || draggedItemId === dragOverItemId) {
+      setDraggedItemId(null);
+      setDragOverItemId(null);
+      return;
+    }
+
+    // Find indices of the dragged and target items
+    const draggedIndex = items.findIndex(item => item.id === draggedItemId);
+    const dropIndex = items.findIndex(item => item.id === dragOverItemId);
+
+    if (draggedIndex === -1 || dropIndex === -1) return;
+
+    moveItem(draggedIndex, dropIndex);
+    setDraggedItemId(null);
+    setDragOverItemId(null);
+  };
+
+  // Keyboard alternative to dragging rows: arrow keys on the move button
+  const handleMoveKeyDown = (index, e) => {
+    const offsets = { ArrowUp: -1, ArrowDown: 1 };
+    const toIndex = index + (offsets[e.key] ?? 0);
+    if (!(e.key in offsets) || toIndex < 0 || toIndex >= items.length) return;
+
+    e.preventDefault();
+    refocusMoveIdRef.current = items[index].id;
+    moveItem(index, toIndex);
+  };
+
+  // Reordering moves the row's DOM node, which drops focus; put it back
+  useEffect(() => {
+    if (refocusMoveIdRef.current === null) return;
+    moveButtonRefs.current.get(refocusMoveIdRef.current)?.focus();
+    refocusMoveIdRef.current = null;
+  }, [items]);
+
+  // Keyboard shortcuts for undo (Ctrl+Z) and redo (Ctrl+Shift+Z or Ctrl+Y),
+  // while focus is inside this editor. Keys with nothing to undo or redo are
+  // left to the page.
+  const handleUndoKeys = (e) => {
+    if (readOnly || !(e.ctrlKey || e.metaKey) || isTextField(e.target)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey && history.canUndo) {
+      e.preventDefault();
+      restore(history.undo());
+    } else if (((key === 'z' && e.shiftKey) || key === 'y') && history.canRedo) {
+      e.preventDefault();
+      restore(history.redo());
+    }
+  };
+
+  const { padding } = layout;
+  const plotLeft = padding.left;
+  const plotRight = layout.width - padding.right;
+  const plotBottom = layout.yAt(0);
+  const equalY = layout.yAt(100 / chartItems.length);
+
+  // Widen tooltips to fit the longest label at this precision, including the
+  // change since the baseline when there is one
+  const tooltipLabel = (item) => {
+    const delta = deltaOf(item);
+    return delta === null
+      ? formatWeight(item.weight, precision)
+      : `${formatWeight(item.weight, precision)} (${formatDelta(delta, precision)})`;
+  };
+  const longestTooltip = baseline
+    ? `${formatWeight(100, precision)} (${formatDelta(-100, precision)})`
+    : formatWeight(100, precision);
+  const tooltipWidth = Math.max(40, longestTooltip.length * 7 + 8);
+
+  // Calculate positions for each point
+  const points = chartItems.map((item, index) => {
+    return { x: layout.xAt(index), y: layout.yAt(item.weight), item };
+  });
+
+  // Generate curved path for the line using bezier curves
+  const generateCurvedPath = (points) => {
+    if (points.length < 2) return '';
+
+    let path = `M ${points[0].x},${points[0].y}`;
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const current = points[i];
+      const next = points[i + 1];
+
+      // Calculate control points for the curve
+      const controlX1 = current.x + (next.x - current.x) / 3;
+      const controlY1 = current.y;
+      const controlX2 = current.x + 2 * (next.x - current.x) / 3;
+      const controlY2 = next.y;
+
+      // Add cubic bezier curve
+      path += ` C ${controlX1},${controlY1} ${controlX2},${controlY2} ${next.x},${next.y}`;
+    }
+
+    return path;
+  };
+
+  const curvedPath = generateCurvedPath(points);
+
+  // Baseline weights drawn at the creatives' current positions
+  const baselinePoints = baseline
+    ? points
+        .filter(point => baselineOf(point.item) !== null)
+        .map(point => ({ x: point.x, y: layout.yAt(baselineOf(point.item)) }))
+    : [];
+
+  // Bars are centred on the points and never touch their neighbours
+  const barWidth = Math.min(2 * BAR_INSET - 8, layout.spacing * 0.6);
+
+  // A weight mark for the baseline and curve preview: a dot on the line
+  // chart, a tick across the bar on the bar chart
+  const renderMarker = (point, key, color, opacity) =>
+    isBarChart ? (
+      <line
+        key={key}
+        x1={point.x - barWidth / 2 - 4}
+        y1={point.y}
+        x2={point.x + barWidth / 2 + 4}
+        y2={point.y}
+        stroke={color}
+        strokeWidth="3"
+        strokeOpacity={opacity}
+      />
+    ) : (
+      <circle key={key} cx={point.x} cy={point.y} r={4} fill={color} fillOpacity={opacity} />
+    );
+
+  // The preview is of creatives' weights, so it's only drawn at that level
+  const previewPoints = curvePreview && !showGroups
+    ? curvePreview.map((item, index) => ({ x: layout.xAt(index), y: layout.yAt(item.weight), item }))
+    : [];
+
+  // Add a new creative
+  const addNewCreative = () => {
+    if (items.length >= maxItems) return;
+    const newId = items.length > 0 ? Math.max(...items.map(item => item.id)) + 1 : 1;
+    const newItems = [...items, { id: newId, name: `Creative ${newId}`, weight: 0, locked: false }];
+    updateWeights(newItems, `Add Creative ${newId}`);
+  };
+
+  // Remove a creative
+  const removeCreative = (id) => {
+    if (items.length <= 1) return;
+    const removed = items.find(item => item.id === id);
+    const newItems = items.filter(item => item.id !== id);
+    updateWeights(newItems, `Remove ${removed.name}`);
+  };
+
+  // Update name
+  const updateName = (id, newName) => {
+    const newItems = items.map(item =>
+      item.id === id ? { ...item, name: newName } : item
+    );
+    setItems(newItems, `Rename to "${newName}"`, `name-${id}`);
+  };
+
+  // Update a weight directly in the table
+  const updateTableWeight = (id, value) => {
+    const newValue = fromDisplayValue(value, precision);
+    if (isNaN(newValue)) return;
+
+    // Limit input to 0-100 range
+    const limitedValue = Math.max(0, Math.min(100, newValue));
+
+    // Create new items array with the updated weight
+    const newItems = items.map(item =>
+      item.id === id ? { ...item, weight: limitedValue } : item
+    );
+
+    // Let the normalize function handle redistributing weight among other unlocked items
+    const edited = newItems.find(item => item.id === id);
+    updateWeights(newItems, `Set ${edited.name} to ${formatWeight(limitedValue, precision)}`, {
+      pinnedId: id,
+      mergeKey: `weight-${id}`,
+    });
+  };
+
+  // Update a creative's minimum or maximum; an empty value removes the bound
+  const updateBound = (id, key, value) => {
+    let bound;
+    if (value !== '') {
+      const newValue = fromDisplayValue(value, precision);
+      if (isNaN(newValue)) return;
+      bound = Math.max(0, Math.min(100, newValue));
+    }
+
+    const newItems = items.map(item =>
+      item.id === id ? { ...item, [key]: bound } : item
+    );
+
+    const edited = newItems.find(item => item.id === id);
+    updateWeights(newItems, `Set ${edited.name} ${key === 'min' ? 'minimum' : 'maximum'}`, {
+      mergeKey: `${key}-${id}`,
+    });
+  };
+
+  // Update a performance count; an empty value removes it. Weights don't change.
+  const updateMetric = (id, key, value) => {
+    const count = value === '' ? undefined : Math.max(0, Math.floor(Number(value)));
+    if (Number.isNaN(count)) return;
+
+    const newItems = items.map(item =>
+      item.id === id ? { ...item, [key]: count } : item
+    );
+    const edited = newItems.find(item => item.id === id);
+    commit({ items: newItems }, `Set ${edited.name} ${key}`, `${key}-${id}`);
+  };
+
+  // Set the ad server's ID for a creative; an empty value removes it
+  const updateCreativeId = (id, value) => {
+    const newItems = items.map(item => {
+      if (item.id !== id) return item;
+      const { creativeId, ...rest } = item;
+      return value.trim() === '' ? rest : { ...rest, creativeId: value };
+    });
+    const edited = newItems.find(item => item.id === id);
+    commit({ items: newItems }, `Set ${edited.name} creative ID`, `creative-id-${id}`);
+  };
+
+  // Flights. Switching phases swaps the phase's weights into the table, so
+  // it's an undoable edit like any other.
+  const { schedule = null } = currentPlan;
+  const phaseLabel = (phase) => `phase ${schedule.phases.indexOf(phase) + 1}`;
+
+  const createFlights = () => commit({ schedule: createSchedule(items) }, 'Add flights');
+
+  const selectFlight = (phaseId) => {
+    if (phaseId === schedule.activePhaseId) return;
+    const next = selectPhase(schedule, items, phaseId);
+    commit({ ...next, random: null }, `Edit ${phaseLabel(next.schedule.phases.find(phase => phase.id === phaseId))}`);
+  };
+
+  // New phases start a week after the last one
+  const addFlight = () => {
+    const start = addDays(schedule.phases[schedule.phases.length - 1].start, 7);
+    commit({ schedule: addPhase(schedule, items, start) }, `Add phase from ${start}`);
+  };
+
+  const removeFlight = (phaseId) => {
+    const label = `Remove ${phaseLabel(schedule.phases.find(phase => phase.id === phaseId))}`;
+    commit({ ...removePhase(schedule, items, phaseId), random: null }, label);
+  };
+
+  const changeFlightStart = (phaseId, start) => {
+    if (!isDate(start) || findStartClash(schedule, phaseId, start)) return;
+    commit({ schedule: setPhaseStart(schedule, phaseId, start) }, `Start phase on ${start}`, `phase-start-${phaseId}`);
+  };
+
+  const changeInterpolation = (interpolation) =>
+    commit({ schedule: { ...schedule, interpolation } }, `Between phases: ${interpolation === 'linear' ? 'ramp' : 'step'}`);
+
+  // Put a creative in `group`, a new group if it's null, or no group if it's
+  // empty. Weights don't change.
+  const changeGroup = (id, group) => {
+    const item = items.find(other => other.id === id);
+    const names = groupNames(items);
+    let number = names.length + 1;
+    while (names.includes(`Group ${number}`)) number++;
+    const target = group ?? `Group ${number}`;
+
+    commit(
+      { items: assignGroup(items, id, target) },
+      target ? `Move ${item.name} to ${target}` : `Take ${item.name} out of ${item.group}`
+    );
+  };
+
+  // Rename a group; names must stay unique and non-empty
+  const isValidGroupName = (from, to) => to.trim() !== '' && (to === from || !groupNames(items).includes(to));
+
+  const updateGroupName = (from, to) => {
+    if (!isValidGroupName(from, to)) return;
+
+    if (collapsedGroups.has(from)) {
+      setCollapsedGroups(new Set([...collapsedGroups].map(name => (name === from ? to : name))));
+    }
+    commit({ items: renameGroup(items, from, to) }, `Rename group to "${to}"`);
+  };
+
+  // Lock or unlock every creative in a group
+  const toggleGroupLock = (group) => {
+    const locked = !isGroupLocked(items, group);
+    updateWeights(setGroupLocked(items, group, locked), `${locked ? 'Lock' : 'Unlock'} ${group}`);
+  };
+
+  // Set a group's weight from the table; its creatives keep their shares
+  const updateGroupWeight = (group, value) => {
+    const newValue = fromDisplayValue(value, precision);
+    if (isNaN(newValue)) return;
+
+    const weight = Math.max(0, Math.min(100, newValue));
+    const entries = groupLevel(items).map(entry =>
+      entry.isGroup && entry.name === group ? { ...entry, weight } : entry
+    );
+    updateGroupLevel(entries, `group:${group}`, `Set ${group} to ${formatWeight(weight, precision)}`, `group-weight-${group}`);
+  };
+
+  // Set a creative's share of its group; the group's weight doesn't change
+  const updateShare = (id, value) => {
+    const share = Number(value);
+    if (value === '' || isNaN(share)) return;
+
+    const item = items.find(other => other.id === id);
+    const newItems = runEngine(() => setShareInGroup(items, id, Math.max(0, Math.min(100, share)), engineOptions), items);
+    setAnnouncement(describeRedistribution(items, newItems, id, precision));
+    setItems(newItems, `Set ${item.name}'s share of ${item.group}`, `share-${id}`);
+  };
+
+  const toggleGroupCollapsed = (group) => {
+    const next = new Set(collapsedGroups);
+    if (next.has(group)) {
+      next.delete(group);
+    } else {
+      next.add(group);
+    }
+    setCollapsedGroups(next);
+  };
+
+  // Lock icon SVG path
+  const LockIcon = ({ locked, size = 16 }) => (
+    <svg
+      width={size}
+      height={size}
+      viewBox="0 0 24 24"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+      aria-hidden="true"
+    >
+      {locked ? (
+        // Locked icon (closed hasp)
+        <>
+          <rect x="3" y="11" width="18" height="11" rx="2" stroke="currentColor" strokeWidth="2" />
+          <path d="M7 11V7C7 4.23858 9.23858 2 12 2C14.7614 2 17 4.23858 17 7V11" stroke="currentColor" strokeWidth="2" />
+        </>
+      ) : (
+        // Unlocked icon (open hasp)
+        <>
+          <rect x="3" y="11" width="18" height="11" rx="2" stroke="currentColor" strokeWidth="2" />
+          <path d="M7 11V7C7 4.23858 9.23858 2 12 2C14.7614 2 17 4.23858 17 7" stroke="currentColor" strokeWidth="2" />
+        </>
+      )}
+    </svg>
+  );
+
+  // Drag handle icon
+  const DragHandleIcon = ({ size = 16 }) => (
+    <svg
+      width={size}
+      height={size}
+      viewBox="0 0 24 24"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+      className="cursor-grab text-gray-500 hover:text-gray-300"
+      aria-hidden="true"
+    >
+      <circle cx="9" cy="6" r="2" fill="currentColor" />
+      <circle cx="9" cy="12" r="2" fill="currentColor" />
+      <circle cx="9" cy="18" r="2" fill="currentColor" />
+      <circle cx="15" cy="6" r="2" fill="currentColor" />
+      <circle cx="15" cy="12" r="2" fill="currentColor" />
+      <circle cx="15" cy="18" r="2" fill="currentColor" />
+    </svg>
+  );
+
+  const isGrouped = hasGroups(items);
+
+  // Table columns between "In group" and the lock, which group rows leave empty
+  const middleColumns = 2 + (showMetrics ? METRIC_FIELDS.length + 1 : 0) + (baseline ? 1 : 0);
+
+  // Table row heading a group: its name, total weight and lock, and a toggle
+  // that hides its creatives
+  const renderGroupRow = (group) => {
+    const members = membersOf(items, group);
+    const weight = sumWeights(members);
+    const locked = isGroupLocked(items, group);
+    const collapsed = collapsedGroups.has(group);
+
+    return (
+      <tr className={locked ? 'bg-yellow-900 bg-opacity-30' : 'bg-gray-900'}>
+        <td className="px-2 py-3 whitespace-nowrap text-center">
+          <button
+            onClick={() => toggleGroupCollapsed(group)}
+            className="w-5 rounded text-gray-400 hover:text-white focus:outline-none focus:ring-2 focus:ring-pink-500"
+            aria-label={`Creatives in ${group}`}
+            aria-expanded={!collapsed}
+          >
+            <span aria-hidden="true">{collapsed ? '▸' : '▾'}</span>
+          </button>
+        </td>
+        <td className="px-6 py-3 whitespace-nowrap">
+          <GroupNameInput
+            key={group}
+            name={group}
+            isValid={(to) => isValidGroupName(group, to)}
+            onRename={(to) => updateGroupName(group, to)}
+          />
+        </td>
+        <td className="px-3 py-3 whitespace-nowrap text-sm text-gray-400">
+          {members.length} {members.length === 1 ? 'creative' : 'creatives'}
+        </td>
+        <td className="px-6 py-3 whitespace-nowrap">
+          <div className="flex items-center">
+            <div className="w-full bg-gray-800 rounded-full h-2.5 mr-3">
+              <div
+                className="h-2.5 rounded-full"
+                style={{ width: `${weight}%`, backgroundColor: locked ? palette.locked : palette.unlocked }}
+              ></div>
+            </div>
+            <input
+              type="number"
+              min="0"
+              max={displayMax(precision)}
+              step={displayStep(precision)}
+              value={toDisplayValue(weight, precision)}
+              onChange={(e) => updateGroupWeight(group, e.target.value)}
+              className="bg-gray-900 border border-gray-700 rounded px-2 py-1 w-20 text-right font-medium text-white"
+              aria-label={`Weight for group ${group}`}
+              disabled={locked}
+              style={{ userSelect: 'text' }}
+            />
+            <span className="ml-1 text-pink-500">{PRECISIONS[precision].unit}</span>
+          </div>
+        </td>
+        <td className="px-3 py-3 whitespace-nowrap text-sm text-gray-400">100%</td>
+        <td colSpan={middleColumns}></td>
+        <td className="px-6 py-3 whitespace-nowrap text-center">
+          <button
+            onClick={() => toggleGroupLock(group)}
+            className={`p-2 rounded-full hover:bg-gray-800 ${locked ? 'text-yellow-500' : 'text-gray-500'}`}
+            title={locked ? 'Unlock group' : 'Lock group'}
+            aria-label={`Lock group ${group}`}
+            aria-pressed={locked}
+          >
+            <LockIcon locked={locked} />
+          </button>
+        </td>
+        <td></td>
+      </tr>
+    );
+  };
+
+  // Quick distribution button
+  const DistributionButton = ({ onClick, title, children, ...props }) => (
+    <button
+      onClick={onClick}
+      className="px-3 py-1.5 rounded text-sm bg-gray-800 text-white hover:bg-gray-700"
+      title={title}
+      {...props}
+    >
+      {children}
+    </button>
+  );
+
+  return (
+    <div className="p-6 max-w-4xl mx-auto bg-black text-gray-200" style={{ userSelect: 'none' }} onKeyDown={handleUndoKeys}>
+      <h1 className="text-2xl font-bold text-white mb-6">{text.title}</h1>
+
+      {header}
+
+      <div className="mb-8 p-4 bg-gray-900 rounded-lg border border-gray-800 shadow">
+        <div className="flex justify-between items-center mb-4">
+          {/* Fixed-height status area to prevent layout shifts */}
+          <div className="h-6">
+            {boundsError ? (
+              <p className="text-sm text-pink-500">{boundsError}</p>
+            ) : problems.length > 0 && (
+              <p className={`text-sm ${problems[0].level === 'error' ? 'text-pink-500' : 'text-yellow-500'}`}>
+                {problems[0].message}
+                {problems.length > 1 && ` (and ${problems.length - 1} more)`}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center text-sm">
+            <span className="flex items-center mr-4">
+              <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: palette.unlocked }}></span>
+              {text.unlocked}
+            </span>
+            <span className="flex items-center">
+              <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: palette.locked }}></span>
+              {text.locked}
+            </span>
+            {baseline && (
+              <span className="flex items-center ml-4">
+                <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: palette.baseline }}></span>
+                {text.baseline}
+              </span>
+            )}
+            {!readOnly && (
+              <button
+                onClick={pinBaseline}
+                className="ml-4 px-2 py-1 rounded bg-gray-800 text-white hover:bg-gray-700"
+                title="Keep the current weights on the chart to compare changes against"
+              >
+                {baseline ? 'Re-pin baseline' : 'Pin baseline'}
+              </button>
+            )}
+            {baseline && !readOnly && (
+              <button onClick={clearBaseline} className="ml-2 px-2 py-1 rounded bg-gray-800 text-white hover:bg-gray-700">
+                Clear baseline
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Quick distribution buttons */}
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          {!readOnly && (
+            <>
+              <DistributionButton
+                onClick={() => applyDistribution('even')}
+                title="Distribute weights evenly among unlocked creatives"
+              >
+                Evenly
+              </DistributionButton>
+
+              <DistributionButton
+                onClick={() => generateRandom({ ...randomSettings, seed: '' })}
+                title="Distribute weights randomly from a new seed"
+              >
+                Random
+              </DistributionButton>
+
+              <DistributionButton
+                onClick={() => setIsRandomPanelOpen(!isRandomPanelOpen)}
+                title="Choose the seed, generator and minimum share of random splits"
+                aria-expanded={isRandomPanelOpen}
+              >
+                Seeded random…
+              </DistributionButton>
+
+              <DistributionButton
+                onClick={() => applyDistribution('bellCurve')}
+                title="Distribute weights in a bell curve (normal distribution)"
+              >
+                Bell Curve
+              </DistributionButton>
+
+              <DistributionButton
+                onClick={() => applyDistribution('exponential')}
+                title="Distribute weights exponentially (decreasing)"
+              >
+                Exponential
+              </DistributionButton>
+
+              {Object.entries(extraStrategies).map(([key, { label, title, shape }]) => (
+                <DistributionButton key={key} onClick={() => applyDistribution(shape, {}, label)} title={title}>
+                  {label}
+                </DistributionButton>
+              ))}
+
+              <DistributionButton
+                onClick={() => setIsMetricsPanelOpen(!isMetricsPanelOpen)}
+                title="Reweight from impressions, clicks and conversions"
+                aria-expanded={isMetricsPanelOpen}
+              >
+                Performance…
+              </DistributionButton>
+
+              <DistributionButton
+                onClick={toggleCurvePanel}
+                title="Tune a curve's parameters and preview it before applying"
+                aria-expanded={curveDraft !== null}
+              >
+                Custom curve…
+              </DistributionButton>
+
+              <DistributionButton
+                onClick={() => setIsValidationPanelOpen(!isValidationPanelOpen)}
+                title="Choose what the plan is checked for, and how strictly"
+                aria-expanded={isValidationPanelOpen}
+              >
+                Checks…
+              </DistributionButton>
+
+              <label className="flex items-center text-sm text-gray-400 ml-auto">
+                Drag
+                <select
+                  value={dragMode}
+                  onChange={(e) => setDragMode(e.target.value)}
+                  className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+                  title="Proportional spreads a change over every unlocked creative; pairwise takes it from donors only"
+                >
+                  {Object.entries(DRAG_MODES).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+
+              {dragMode === 'pairwise' && (
+                <label className="flex items-center text-sm text-gray-400">
+                  Take from
+                  <select
+                    value={donorRule}
+                    onChange={(e) => setDonorRule(e.target.value)}
+                    className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+                  >
+                    {Object.entries(DONOR_RULES).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              {dragMode === 'pairwise' && donorRule === 'chosen' && (
+                <label className="flex items-center text-sm text-gray-400">
+                  Donor
+                  <select
+                    value={donorEntry ? String(donorEntry.id) : ''}
+                    onChange={(e) => setDonorId(chartItems.find(entry => String(entry.id) === e.target.value)?.id ?? null)}
+                    className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+                  >
+                    <option value="">{showGroups ? 'Pick a group or creative' : 'Pick a creative'}</option>
+                    {chartItems.map(entry => (
+                      <option key={entry.id} value={entry.id} disabled={entry.locked}>{entry.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </>
+          )}
+
+          <DistributionButton
+            onClick={() => setIsSimulationPanelOpen(!isSimulationPanelOpen)}
+            title="Serve simulated impressions over the current weights"
+            aria-expanded={isSimulationPanelOpen}
+          >
+            Simulate…
+          </DistributionButton>
+
+          {hasGroups(items) && (
+            <label className="flex items-center text-sm text-gray-400">
+              Show
+              <select
+                value={chartLevel}
+                onChange={(e) => setChartLevel(e.target.value)}
+                className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+                title="Chart the creatives, or the groups and standalone creatives"
+              >
+                <option value="creatives">Creatives</option>
+                <option value="groups">Groups</option>
+              </select>
+            </label>
+          )}
+
+          <label className="flex items-center text-sm text-gray-400">
+            Chart
+            <select
+              value={chartType}
+              onChange={(e) => setChartType(e.target.value)}
+              className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+            >
+              {Object.entries(CHART_TYPES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {!readOnly && (
+            <>
+              <label className="flex items-center text-sm text-gray-400">
+                Rounding
+                <select
+                  value={apportionment}
+                  onChange={(e) => changeApportionment(e.target.value)}
+                  className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+                >
+                  {Object.entries(APPORTIONMENT_METHODS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="flex items-center text-sm text-gray-400">
+                Precision
+                <select
+                  value={precision}
+                  onChange={(e) => changePrecision(e.target.value)}
+                  className="ml-2 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white"
+                >
+                  {Object.entries(PRECISIONS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </>
+          )}
+        </div>
+
+        {isMetricsPanelOpen && !readOnly && (
+          <MetricsPanel
+            goal={metricGoal}
+            epsilon={epsilon}
+            hasData={items.some(item => !item.locked && hasMetrics(item))}
+            onGoalChange={setMetricGoal}
+            onEpsilonChange={setEpsilon}
+            onApply={applyMetricStrategy}
+          />
+        )}
+
+        {isRandomPanelOpen && !readOnly && (
+          <RandomPanel
+            settings={randomSettings}
+            recorded={currentPlan.random}
+            error={randomError}
+            onChange={setRandomSettings}
+            onNewSeed={() => setRandomSettings({ ...randomSettings, seed: newSeed() })}
+            onGenerate={() => generateRandom(randomSettings)}
+            onUse={() => setRandomSettings(currentPlan.random)}
+          />
+        )}
+
+        {isValidationPanelOpen && !readOnly && (
+          <ValidationPanel
+            settings={currentPlan.validation ?? {}}
+            problemCounts={problemCounts}
+            onChange={(validation) => updateCurrentPlan({ validation })}
+          />
+        )}
+
+        {isSimulationPanelOpen && <SimulationPanel items={items} color={palette.unlocked} />}
+
+        {curveDraft && !readOnly && (
+          <CurvePanel
+            curve={curveDraft.curve}
+            params={curveDraft.params}
+            itemCount={items.length}
+            onChange={(curve, params) => setCurveDraft({ curve, params })}
+            onApply={applyCurve}
+            onCancel={() => setCurveDraft(null)}
+          />
+        )}
+
+        {!readOnly && (
+          <FlightsPanel
+            schedule={schedule}
+            items={items}
+            engineOptions={engineOptions}
+            planName={currentPlan.name}
+            exportBlocked={exportBlocked}
+            onCreate={createFlights}
+            onSelect={selectFlight}
+            onAdd={addFlight}
+            onRemove={removeFlight}
+            onRemoveAll={() => commit({ schedule: null }, 'Remove flights')}
+            onStartChange={changeFlightStart}
+            onInterpolationChange={changeInterpolation}
+          />
+        )}
+
+        {/* Custom SVG chart */}
+        <div
+          ref={containerRef}
+          className="relative overflow-x-auto"
+          style={{ cursor: isDragging ? 'grabbing' : 'default' }}
+        >
+          {chartType === 'stacked' || chartType === 'donut' ? (
+            <ShareChart
+              type={chartType}
+              items={chartItems}
+              precision={precision}
+              width={layout.width}
+              height={layout.height}
+              svgRef={svgRef}
+              tooltipLabel={tooltipLabel}
+              colors={palette}
+              readOnly={readOnly}
+              onBoundaryChange={moveBoundary}
+              onDragStart={beginDrag}
+              onDragEnd={endDrag}
+            />
+          ) : (
+            <svg
+              ref={svgRef}
+              width={layout.width}
+              height={layout.height}
+              className="block"
+              role="group"
+              aria-label="Weight distribution chart"
+            >
+              {/* Background grid */}
+              {[...Array(11)].map((_, i) => (
+                <line
+                  key={`grid-h-${i}`}
+                  x1={plotLeft}
+                  y1={layout.yAt(i * 10)}
+                  x2={plotRight}
+                  y2={layout.yAt(i * 10)}
+                  stroke="#333333"
+                  strokeDasharray="4 4"
+                />
+              ))}
+
+              {chartItems.length > 1 && [...Array(chartItems.length)].map((_, i) => (
+                <line
+                  key={`grid-v-${i}`}
+                  x1={layout.xAt(i)}
+                  y1={layout.yAt(100)}
+                  x2={layout.xAt(i)}
+                  y2={plotBottom}
+                  stroke="#333333"
+                  strokeDasharray="4 4"
+                />
+              ))}
+
+              {/* Reference line for equal distribution */}
+              <line
+                x1={plotLeft}
+                y1={equalY}
+                x2={plotRight}
+                y2={equalY}
+                stroke="#666666"
+                strokeDasharray="6 4"
+              />
+              <text
+                x={plotRight + 5}
+                y={equalY + 4}
+                fill="#888888"
+                fontSize="12"
+                aria-hidden="true"
+              >
+                Equal ({formatWeight(roundWeight(100 / chartItems.length, precision), precision)})
+              </text>
+
+              {/* Y-axis labels */}
+              {[0, 25, 50, 75, 100].map(value => (
+                <React.Fragment key={`y-label-${value}`}>
+                  <text
+                    x={plotLeft - 5}
+                    y={layout.yAt(value) + 4}
+                    textAnchor="end"
+                    fill="#888888"
+                    fontSize="12"
+                    aria-hidden="true"
+                  >
+                    {value}%
+                  </text>
+                  <line
+                    x1={plotLeft - 2}
+                    y1={layout.yAt(value)}
+                    x2={plotLeft}
+                    y2={layout.yAt(value)}
+                    stroke="#666666"
+                  />
+                </React.Fragment>
+              ))}
+
+              {/* X-axis labels, staggered or rotated when names would collide */}
+              {points.map((point, index) => {
+                const label = layout.labelAt(index);
+                return (
+                  <text
+                    key={`x-label-${index}`}
+                    x={label.x}
+                    y={label.y}
+                    transform={label.transform}
+                    textAnchor={label.textAnchor}
+                    fill="#888888"
+                    fontSize="12"
+                    aria-hidden="true"
+                  >
+                    {label.text !== point.item.name && <title>{point.item.name}</title>}
+                    {label.text}
+                  </text>
+                );
+              })}
+
+              {/* Bars, under the bounds bands so those stay visible */}
+              {isBarChart && points.map((point, index) => (
+                <rect
+                  key={`bar-${index}`}
+                  x={point.x - barWidth / 2}
+                  y={point.y}
+                  width={barWidth}
+                  height={Math.max(0, plotBottom - point.y)}
+                  fill={point.item.locked ? palette.locked : palette.unlocked}
+                  fillOpacity="0.85"
+                />
+              ))}
+
+              {/* Min/max bands for bounded creatives */}
+              {points.map((point, index) => {
+                const { min, max } = boundsOf(point.item);
+                if (point.item.locked || (min === 0 && max === 100)) return null;
+
+                const yMax = layout.yAt(max);
+                const yMin = layout.yAt(min);
+
+                return (
+                  <g key={`bounds-${index}`}>
+                    <rect
+                      x={point.x - 10}
+                      y={yMax}
+                      width={20}
+                      height={Math.max(0, yMin - yMax)}
+                      fill={palette.unlocked}
+                      fillOpacity="0.12"
+                    />
+                    <line x1={point.x - 10} y1={yMax} x2={point.x + 10} y2={yMax} stroke={palette.unlocked} strokeOpacity="0.6" />
+                    <line x1={point.x - 10} y1={yMin} x2={point.x + 10} y2={yMin} stroke={palette.unlocked} strokeOpacity="0.6" />
+                  </g>
+                );
+              })}
+
+              {/* Ghost of the pinned baseline */}
+              {baseline && (
+                <g aria-hidden="true">
+                  {!isBarChart && (
+                    <path
+                      d={generateCurvedPath(baselinePoints)}
+                      fill="none"
+                      stroke={palette.baseline}
+                      strokeWidth="3"
+                      strokeOpacity="0.6"
+                    />
+                  )}
+                  {baselinePoints.map((point, index) => renderMarker(point, `baseline-${index}`, palette.baseline, 1))}
+                </g>
+              )}
+
+              {/* Curved line connecting points */}
+              {!isBarChart && (
+                <path
+                  d={curvedPath}
+                  fill="none"
+                  stroke={palette.unlocked}
+                  strokeWidth="3"
+                />
+              )}
+
+              {/* Preview of the curve being tuned */}
+              {previewPoints.length > 0 && (
+                <g aria-hidden="true">
+                  {!isBarChart && (
+                    <path
+                      d={generateCurvedPath(previewPoints)}
+                      fill="none"
+                      stroke="#ffffff"
+                      strokeWidth="2"
+                      strokeDasharray="6 4"
+                      strokeOpacity="0.7"
+                    />
+                  )}
+                  {previewPoints.map((point, index) => renderMarker(point, `preview-${index}`, '#ffffff', 0.7))}
+                </g>
+              )}
+
+              {/* Interactive drag handles */}
+              {points.map((point, index) => (
+                <g key={`handle-${index}`}>
+                  {/* Focusable handle: pointer drags, arrow keys, Home and End */}
+                  <g
+                    tabIndex={0}
+                    role="slider"
+                    aria-label={`Chart handle for ${point.item.name}`}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={point.item.weight}
+                    aria-valuetext={[tooltipLabel(point.item), ...problemsOf(point.item).map(found => found.message)].join('; ')}
+                    aria-orientation="vertical"
+                    aria-disabled={point.item.locked}
+                    aria-readonly={readOnly || undefined}
+                    style={{ cursor: readOnly ? 'default' : point.item.locked ? 'not-allowed' : 'grab', touchAction: 'none', outline: 'none' }}
+                    onPointerDown={(e) => startDrag(index, e)}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={endDrag}
+                    onPointerCancel={endDrag}
+                    onKeyDown={(e) => handleHandleKeyDown(index, e)}
+                    onFocus={() => setFocusedPointIndex(index)}
+                    onBlur={() => setFocusedPointIndex(null)}
+                  >
+                    {/* Larger invisible target for fingers */}
+                    <circle cx={point.x} cy={point.y} r={18} fill="transparent" />
+
+                    {focusedPointIndex === index && (
+                      <circle cx={point.x} cy={point.y} r={13} fill="none" stroke="#ffffff" strokeWidth="2" />
+                    )}
+
+                    <circle
+                      cx={point.x}
+                      cy={point.y}
+                      r={8}
+                      fill={point.item.locked ? palette.locked : palette.unlocked}
+                      stroke="#ffffff"
+                      strokeWidth="2"
+                    />
+
+                    {/* Problems the checks found with the creative */}
+                    {problemsOf(point.item).length > 0 && (
+                      <circle
+                        cx={point.x + 7}
+                        cy={point.y - 7}
+                        r={4}
+                        fill={problemColor(problemsOf(point.item))}
+                        stroke="#000000"
+                        strokeWidth="1.5"
+                      />
+                    )}
+
+                    {/* Lock indicator for locked points - properly centered */}
+                    {point.item.locked && (
+                      <g transform={`translate(${point.x - 4}, ${point.y - 4}) scale(0.4)`}>
+                        <rect x="3" y="11" width="18" height="11" rx="2" stroke="white" strokeWidth="2.5" fill="none" />
+                        <path d="M7 11V7C7 4.23858 9.23858 2 12 2C14.7614 2 17 4.23858 17 7V11" stroke="white" strokeWidth="2.5" fill="none" />
+                      </g>
+                    )}
+                  </g>
+
+                  {/* Tooltip showing weight; the handle already announces it */}
+                  <g transform={`translate(${point.x + 15}, ${point.y - 15})`} aria-hidden="true">
+                    <rect
+                      x={-tooltipWidth / 2}
+                      y="-20"
+                      width={tooltipWidth}
+                      height="25"
+                      rx="4"
+                      fill="#222222"
+                      stroke="#444444"
+                    />
+                    <text
+                      textAnchor="middle"
+                      dominantBaseline="middle"
+                      fill="#ffffff"
+                      fontSize="12"
+                    >
+                      {tooltipLabel(point.item)}
+                    </text>
+                  </g>
+
+                  {/* Vertical guide line; bars already reach the axis */}
+                  {!isBarChart && (
+                    <line
+                      x1={point.x}
+                      y1={point.y}
+                      x2={point.x}
+                      y2={plotBottom}
+                      stroke={point.item.locked ? palette.locked : palette.unlocked}
+                      strokeDasharray="3 3"
+                      strokeOpacity="0.6"
+                    />
+                  )}
+                </g>
+              ))}
+            </svg>
+          )}
+        </div>
+
+        <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+
+        <ChartExportControls svgRef={svgRef} fileName={currentPlan.name} exportBlocked={exportBlocked} />
+      </div>
+
+      <div className="mb-8">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-medium text-white">{text.tableTitle}</h2>
+          <label className="flex items-center text-sm text-gray-400">
+            <input
+              type="checkbox"
+              checked={showMetrics}
+              onChange={(e) => setShowMetrics(e.target.checked)}
+              className="mr-2"
+            />
+            Show metrics
+          </label>
+        </div>
+        {/* Read-only editors disable every field and button in the table */}
+        <fieldset disabled={readOnly} className="min-w-0 m-0 p-0 border-0">
+          <div className="overflow-x-auto rounded-lg border border-gray-800">
+            <table className="min-w-full divide-y divide-gray-800">
+              <thead className="bg-gray-900">
+                <tr>
+                  {/* Drag handle column */}
+                  <th className="w-8 px-2 py-3"><span className="sr-only">Order</span></th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Name</th>
+                  <th className="px-3 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Group</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+                    {isGrouped ? 'Effective weight' : 'Weighting'}
+                  </th>
+                  {isGrouped && (
+                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">In group</th>
+                  )}
+                  <th className="px-3 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Min</th>
+                  <th className="px-3 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Max</th>
+                  {showMetrics && (
+                    <>
+                      {METRIC_FIELDS.map(({ key, label }) => (
+                        <th key={key} className="px-3 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">{label}</th>
+                      ))}
+                      <th className="px-3 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">{METRIC_GOALS[metricGoal].label}</th>
+                    </>
+                  )}
+                  {baseline && (
+                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">vs Baseline</th>
+                  )}
+                  <th className="px-6 py-3 text-center text-xs font-medium text-gray-400 uppercase tracking-wider">Lock</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-black divide-y divide-gray-800">
+                {items.map((item, index) => (
+                  <React.Fragment key={item.id}>
+                    {item.group && items[index - 1]?.group !== item.group && renderGroupRow(item.group)}
+                    {!(item.group && collapsedGroups.has(item.group)) && (
+                      <tr
+                        className={`${item.locked ? 'bg-yellow-900 bg-opacity-20' : ''} ${dragOverItemId === item.id ? 'border-t-2 border-pink-500' : ''}`}
+                        draggable={!readOnly}
+                        onDragStart={() => handleDragStart(item.id)}
+                        onDragOver={(e) => handleDragOver(e, item.id)}
+                        onDrop={handleDrop}
+                        onDragEnd={() => setDraggedItemId(null)}
+                      >
+                        <td className="px-2 py-4 whitespace-nowrap">
+                          <div className="flex items-center justify-center">
+                            <button
+                              ref={(node) => (node ? moveButtonRefs.current.set(item.id, node) : moveButtonRefs.current.delete(item.id))}
+                              onKeyDown={(e) => handleMoveKeyDown(index, e)}
+                              className="rounded focus:outline-none focus:ring-2 focus:ring-pink-500"
+                              aria-label={`Move ${item.name}`}
+                              aria-describedby={reorderHelpId}
+                            >
+                              <DragHandleIcon />
+                            </button>
+                          </div>
+                        </td>
+                        <td className={`${item.group ? 'pl-10' : 'pl-6'} pr-6 py-4 whitespace-nowrap`}>
+                          <input
+                            type="text"
+                            value={item.name}
+                            onChange={(e) => updateName(item.id, e.target.value)}
+                            aria-label={`Name of creative ${index + 1}`}
+                            aria-invalid={itemProblems.get(item.id)?.some(found => found.level === 'error') || undefined}
+                            aria-describedby={itemProblems.has(item.id) ? `${problemsId}-${item.id}` : undefined}
+                            className="bg-gray-900 border border-gray-700 rounded px-2 py-1 w-full max-w-xs text-white"
+                            style={{ userSelect: 'text' }}
+                          />
+                          {itemProblems.has(item.id) && (
+                            <ul id={`${problemsId}-${item.id}`} className="mt-1 text-xs whitespace-normal max-w-xs">
+                              {itemProblems.get(item.id).map(found => (
+                                <li key={found.rule} className={found.level === 'error' ? 'text-pink-500' : 'text-yellow-500'}>
+                                  {SEVERITIES[found.level].label}: {found.message}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                        <td className="px-3 py-4 whitespace-nowrap">
+                          <select
+                            value={item.group ? `group:${item.group}` : ''}
+                            onChange={(e) => changeGroup(item.id, e.target.value === 'new' ? null : e.target.value.replace(/^group:/, ''))}
+                            className="bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white"
+                            aria-label={`Group of ${item.name}`}
+                          >
+                            <option value="">No group</option>
+                            {groupNames(items).map(group => (
+                              <option key={group} value={`group:${group}`}>{group}</option>
+                            ))}
+                            <option value="new">New group</option>
+                          </select>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center">
+                            <div className="w-full bg-gray-800 rounded-full h-2.5 mr-3">
+                              <div
+                                className="h-2.5 rounded-full"
+                                style={{ width: `${item.weight}%`, backgroundColor: item.locked ? palette.locked : palette.unlocked }}
+                              ></div>
+                            </div>
+                            <input
+                              type="number"
+                              min="0"
+                              max={displayMax(precision)}
+                              step={displayStep(precision)}
+                              value={toDisplayValue(item.weight, precision)}
+                              onChange={(e) => updateTableWeight(item.id, e.target.value)}
+                              className="bg-gray-900 border border-gray-700 rounded px-2 py-1 w-20 text-right text-white"
+                              aria-label={`Weight for ${item.name}`}
+                              disabled={item.locked}
+                              style={{ userSelect: 'text' }}
+                            />
+                            <span className="ml-1 text-pink-500">{PRECISIONS[precision].unit}</span>
+                          </div>
+                        </td>
+                        {isGrouped && (
+                          <td className="px-3 py-4 whitespace-nowrap">
+                            {item.group ? (
+                              <span className="flex items-center">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="100"
+                                  step="0.1"
+                                  value={shareInGroup(items, item) === null ? '' : roundWeight(shareInGroup(items, item), 'tenth')}
+                                  onChange={(e) => updateShare(item.id, e.target.value)}
+                                  className="bg-gray-900 border border-gray-700 rounded px-2 py-1 w-20 text-right text-white"
+                                  aria-label={`Share of ${item.name} in ${item.group}`}
+                                  disabled={item.locked}
+                                  style={{ userSelect: 'text' }}
+                                />
+                                <span className="ml-1 text-pink-500">%</span>
+                              </span>
+                            ) : (
+                              <span className="text-gray-500">–</span>
+                            )}
+                          </td>
+                        )}
+                        {['min', 'max'].map(key => (
+                          <td key={key} className="px-3 py-4 whitespace-nowrap">
+                            <input
+                              type="number"
+                              min="0"
+                              max={displayMax(precision)}
+                              step={displayStep(precision)}
+                              value={item[key] === undefined ? '' : toDisplayValue(item[key], precision)}
+                              placeholder={key === 'min' ? '0' : String(displayMax(precision))}
+                              onChange={(e) => updateBound(item.id, key, e.target.value)}
+                              className="bg-gray-900 border border-gray-700 rounded px-2 py-1 w-20 text-right text-white"
+                              aria-label={`${key === 'min' ? 'Minimum' : 'Maximum'} weight for ${item.name}`}
+                              style={{ userSelect: 'text' }}
+                            />
+                          </td>
+                        ))}
+                        {showMetrics && (
+                          <>
+                            {METRIC_FIELDS.map(({ key, label }) => (
+                              <td key={key} className="px-3 py-4 whitespace-nowrap">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="1"
+                                  value={item[key] ?? ''}
+                                  onChange={(e) => updateMetric(item.id, key, e.target.value)}
+                                  className="bg-gray-900 border border-gray-700 rounded px-2 py-1 w-24 text-right text-white"
+                                  aria-label={`${label} for ${item.name}`}
+                                  style={{ userSelect: 'text' }}
+                                />
+                              </td>
+                            ))}
+                            <td className="px-3 py-4 whitespace-nowrap text-right text-gray-400">
+                              {observedRate(item, metricGoal) === null
+                                ? '–'
+                                : `${(observedRate(item, metricGoal) * 100).toFixed(2)}%`}
+                            </td>
+                          </>
+                        )}
+                        {baseline && (
+                          <td className="px-3 py-4 whitespace-nowrap text-sm">
+                            {deltaOf(item) === null ? (
+                              <span className="text-gray-500">New</span>
+                            ) : (
+                              <span className="flex items-center">
+                                <span className={`w-20 ${deltaOf(item) > 0 ? 'text-green-400' : deltaOf(item) < 0 ? 'text-pink-500' : 'text-gray-500'}`}>
+                                  {formatDelta(deltaOf(item), precision)}
+                                </span>
+                                <button
+                                  onClick={() => revertToBaseline(item.id)}
+                                  disabled={deltaOf(item) === 0}
+                                  className={deltaOf(item) === 0 ? 'text-gray-600 cursor-not-allowed' : 'text-gray-300 hover:text-white underline'}
+                                  aria-label={`Revert ${item.name} to baseline`}
+                                >
+                                  Revert
+                                </button>
+                              </span>
+                            )}
+                          </td>
+                        )}
+                        <td className="px-6 py-4 whitespace-nowrap text-center">
+                          <button
+                            onClick={() => toggleLock(item.id)}
+                            className={`p-2 rounded-full hover:bg-gray-800 ${item.locked ? 'text-yellow-500' : 'text-gray-500'}`}
+                            title={item.locked ? "Unlock" : "Lock"}
+                            aria-label={`Lock ${item.name}`}
+                            aria-pressed={item.locked}
+                          >
+                            <LockIcon locked={item.locked} />
+                          </button>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <button
+                            onClick={() => removeCreative(item.id)}
+                            className="text-pink-600 hover:text-pink-400 ml-2"
+                            disabled={items.length <= 1}
+                            aria-label={`Remove ${item.name}`}
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </fieldset>
+        <p id={reorderHelpId} className="sr-only">Use the up and down arrow keys to move the creative.</p>
+      </div>
+
+      {!readOnly && (
+        <>
+          <ImportExportPanel
+            items={items}
+            planName={currentPlan.name}
+            maxItems={maxItems}
+            onImport={(newItems, fileName) => updateWeights(newItems, `Import ${fileName}`)}
+            onCreativeIdChange={updateCreativeId}
+            exportBlocked={exportBlocked}
+          />
+
+          <HistoryPanel
+            entries={history.entries}
+            index={history.index}
+            canUndo={history.canUndo}
+            canRedo={history.canRedo}
+            onUndo={() => restore(history.undo())}
+            onRedo={() => restore(history.redo())}
+            onJump={(index) => restore(history.jump(index))}
+          />
+
+          <div>
+            <button
+              onClick={addNewCreative}
+              disabled={items.length >= maxItems}
+              title={items.length >= maxItems ? `At most ${maxItems} creatives` : undefined}
+              className={`px-4 py-2 bg-pink-600 text-white rounded ${items.length >= maxItems ? 'opacity-50 cursor-not-allowed' : 'hover:bg-pink-700'}`}
+            >
+              {text.addItem}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WeightDistributionEditor;
@@ -0,0 +1,69 @@
+import React, { useEffect, useRef, useState } from 'react';
+import WeightDistributionEditor from '../components/WeightDistributionEditor';
+import { createPlan } from '../utils/planStorage';
+import { PROTOCOL_VERSION, createMessage, handleMessage, isAllowedOrigin, isEditorMessage, parseOrigins } from './protocol';
+
+// The editor on its own page, for embedding in an iframe at `?embed`. The
+// page talks to its parent window over postMessage (see ./protocol), and only
+// to the origins allowed by REACT_APP_EMBED_ORIGINS at build time. Until the
+// host's first message, `ready` goes to every allowed origin, which the
+// browser only delivers to the one the parent actually has; after that,
+// messages go to the host's origin alone.
+//
+// The page keeps the whole plan, so exports requested over the protocol are
+// held to the checks as set in the editor. `readOnly` and `maxItems` can be
+// set in the query string, e.g. `?embed&readOnly&maxItems=10`.
+const EmbedPage = ({
+  allowedOrigins = parseOrigins(process.env.REACT_APP_EMBED_ORIGINS),
+  search = window.location.search,
+}) => {
+  const params = new URLSearchParams(search);
+  const readOnly = params.has('readOnly') && params.get('readOnly') !== 'false';
+  const maxItems = Number(params.get('maxItems')) || undefined;
+
+  const [plan, setPlan] = useState(() => createPlan('Embedded plan'));
+  const hostOriginRef = useRef(null);
+  const announcedRef = useRef(false);
+
+  const post = (message) => {
+    if (window.parent === window) return;
+    const targets = hostOriginRef.current ? [hostOriginRef.current] : allowedOrigins;
+    targets.forEach(origin => window.parent.postMessage(message, origin));
+  };
+
+  // Messages from the host; messages from anywhere else are dropped unread
+  useEffect(() => {
+    const handleWindowMessage = (event) => {
+      if (event.source !== window.parent || !isEditorMessage(event.data)) return;
+      if (!isAllowedOrigin(event.origin, allowedOrigins)) return;
+
+      hostOriginRef.current = event.origin;
+      const { items: newItems, reply } = handleMessage(event.data, plan.items, plan.validation);
+      if (newItems) setPlan(previous => ({ ...previous, items: newItems }));
+      if (reply) post(reply);
+    };
+
+    window.addEventListener('message', handleWindowMessage);
+    return () => window.removeEventListener('message', handleWindowMessage);
+  });
+
+  // Tell the host the editor is listening
+  useEffect(() => {
+    if (announcedRef.current) return;
+    announcedRef.current = true;
+    post(createMessage('ready', { version: PROTOCOL_VERSION }));
+  });
+
+  return (
+    <WeightDistributionEditor
+      plan={plan}
+      onPlanChange={(changes) => setPlan(previous => ({ ...previous, ...changes }))}
+      onChange={(newItems) => post(createMessage('change', { items: newItems }))}
+      onCommit={(newItems) => post(createMessage('commit', { items: newItems }))}
+      readOnly={readOnly}
+      maxItems={maxItems}
+    />
+  );
+};
+
+export default EmbedPage;
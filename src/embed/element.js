@@ -0,0 +1,7 @@
+// Entry point of the standalone custom element script (see
+// scripts/build-lib.js), which bundles React for pages that don't have it.
+// Loading it registers <weight-editor>.
+
+import { defineWeightEditor } from './weightEditorElement';
+
+defineWeightEditor();
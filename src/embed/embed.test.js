@@ -0,0 +1,116 @@
+import React, { act } from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import EmbedPage from './EmbedPage';
+import { createMessage } from './protocol';
+import { defineWeightEditor } from './weightEditorElement';
+
+const weights = () => screen.getAllByLabelText(/^Weight for (?!group )/).map(input => input.value);
+
+// A message posted by the parent window from `origin`; in tests the page is
+// its own parent
+const postFrom = (origin, data) =>
+  act(() => {
+    window.dispatchEvent(new MessageEvent('message', { data, origin, source: window }));
+  });
+
+describe('iframe page', () => {
+  test('takes creatives from allowed hosts only', () => {
+    render(<EmbedPage allowedOrigins={['https://tools.example.com']} search="?embed" />);
+    const items = [{ name: 'Hero', weight: 70 }, { name: 'Banner', weight: 30 }];
+
+    postFrom('https://evil.example.com', createMessage('setItems', { items }));
+    expect(weights()).toEqual(['50', '25', '21', '4']);
+
+    postFrom('https://tools.example.com', createMessage('setItems', { items }));
+    expect(weights()).toEqual(['70', '30']);
+  });
+
+  test('reads its options from the query string', () => {
+    render(<EmbedPage allowedOrigins={[]} search="?embed&readOnly" />);
+    expect(screen.queryByRole('button', { name: 'Evenly' })).not.toBeInTheDocument();
+  });
+
+  test('stays editable with readOnly=false', () => {
+    render(<EmbedPage allowedOrigins={[]} search="?embed&readOnly=false" />);
+    expect(screen.getByRole('button', { name: 'Evenly' })).toBeInTheDocument();
+  });
+});
+
+describe('custom element', () => {
+  beforeAll(() => defineWeightEditor());
+
+  afterEach(() => {
+    act(() => document.body.replaceChildren());
+  });
+
+  test('renders its items attribute and reports committed edits', () => {
+    const element = document.createElement('weight-editor');
+    element.setAttribute('items', JSON.stringify([{ name: 'Hero', weight: 60 }, { name: 'Banner', weight: 40 }]));
+    const onCommit = jest.fn();
+    element.addEventListener('weights-commit', (event) => onCommit(event.detail.items));
+
+    act(() => document.body.appendChild(element));
+    expect(weights()).toEqual(['60', '40']);
+
+    fireEvent.keyDown(screen.getByRole('slider', { name: 'Chart handle for Hero' }), { key: 'ArrowUp' });
+    expect(weights()).toEqual(['61', '39']);
+    expect(onCommit.mock.calls[0][0].map(item => item.weight)).toEqual([61, 39]);
+    expect(element.items).toBe(onCommit.mock.calls[0][0]);
+    expect(element.exportItems('csv')).toMatch(/\n1,Hero,61,/);
+  });
+
+  test('refuses to export creatives with errors', () => {
+    const element = document.createElement('weight-editor');
+    act(() => document.body.appendChild(element));
+    act(() => {
+      element.items = [{ id: 1, name: 'Hero', weight: 60, locked: false }, { id: 2, name: 'Banner', weight: 30, locked: false }];
+    });
+    expect(() => element.exportItems('json')).toThrow('Can\'t export: Total must equal 100% (currently: 90%)');
+  });
+
+  test('checks creatives set through its items property', () => {
+    const element = document.createElement('weight-editor');
+    act(() => document.body.appendChild(element));
+    expect(() => act(() => {
+      element.items = [{ name: 'Hero', weight: 'x' }];
+    })).toThrow('Item 1: Weight "x" is not a number');
+    expect(() => act(() => {
+      element.items = [];
+    })).toThrow('There must be at least one creative');
+    expect(element.items.map(item => item.name)).toEqual(['Creative 1', 'Creative 2', 'Creative 3', 'Creative 4']);
+
+    act(() => {
+      element.items = [{ name: 'Hero', weight: '70' }, { name: 'Banner', weight: 30 }];
+    });
+    expect(weights()).toEqual(['70', '30']);
+  });
+
+  test('exports are held to the checks as set in the editor', () => {
+    const element = document.createElement('weight-editor');
+    act(() => document.body.appendChild(element));
+    expect(element.exportItems('csv')).toMatch(/Creative 1/);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Checks…' }));
+    fireEvent.change(screen.getByRole('combobox', { name: 'Level of No creative dominates' }), { target: { value: 'error' } });
+    fireEvent.change(screen.getByRole('spinbutton', { name: /^Above/ }), { target: { value: '40' } });
+    expect(() => element.exportItems('csv')).toThrow('Can\'t export: Creative 1 gets 50%, more than 40%');
+  });
+
+  test('goes read-only with its attribute', () => {
+    const element = document.createElement('weight-editor');
+    element.setAttribute('read-only', '');
+    act(() => document.body.appendChild(element));
+    expect(screen.queryByRole('button', { name: 'Evenly' })).not.toBeInTheDocument();
+    expect(defineWeightEditor()).toBe(customElements.get('weight-editor'));
+  });
+
+  test('stays editable with read-only="false", as the iframe page does', () => {
+    const element = document.createElement('weight-editor');
+    element.setAttribute('read-only', 'false');
+    act(() => document.body.appendChild(element));
+    expect(screen.getByRole('button', { name: 'Evenly' })).toBeInTheDocument();
+
+    act(() => element.setAttribute('read-only', 'true'));
+    expect(screen.queryByRole('button', { name: 'Evenly' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,85 @@
+// The postMessage protocol between the embedded editor (see ./EmbedPage) and
+// the page embedding it. docs/embedding.md describes it for host pages.
+//
+// Every message is a plain object with `source: 'weight-editor'` and a
+// `type`; anything else posted to the window is ignored. Hosts send:
+//
+//   { type: 'setItems', items, requestId? }   replace the creatives
+//   { type: 'getItems', requestId? }          ask for the creatives
+//   { type: 'export', format, requestId? }    ask for them as 'csv' or 'json'
+//
+// and the editor sends:
+//
+//   { type: 'ready', version }                 once it's listening
+//   { type: 'change', items }                  on every edit, drag steps too
+//   { type: 'commit', items }                  once an edit is finished
+//   { type: 'items', items, requestId }        answering getItems and setItems
+//   { type: 'export', format, text, requestId }
+//   { type: 'error', message, requestId }      for messages it can't act on
+//
+// Items have the fields of the import files (see ../utils/itemsFile). Items
+// with error-level problems (see ../utils/validation) aren't exported, under
+// the checks as the editor's Checks panel has set them.
+// Messages are only accepted from, and only sent to, allowlisted origins.
+
+import { FILE_FORMATS, parseItemsFile, serializeItems } from '../utils/itemsFile';
+import { findExportError } from '../utils/validation';
+
+export const MESSAGE_SOURCE = 'weight-editor';
+export const PROTOCOL_VERSION = 1;
+
+export const createMessage = (type, fields = {}) => ({ source: MESSAGE_SOURCE, type, ...fields });
+
+export const isEditorMessage = (data) =>
+  Boolean(data) && typeof data === 'object' && data.source === MESSAGE_SOURCE && typeof data.type === 'string';
+
+// Origins from a comma or space separated list, such as the
+// REACT_APP_EMBED_ORIGINS setting. Trailing slashes are dropped so
+// `https://example.com/` matches the `https://example.com` a browser reports.
+export const parseOrigins = (text = '') =>
+  text.split(/[\s,]+/).filter(Boolean).map(origin => origin.replace(/\/+$/, ''));
+
+export const isAllowedOrigin = (origin, allowlist) => allowlist.includes(origin);
+
+// Check creatives handed over by a host, as `setItems` or the custom
+// element's `items` property. Returns `{ items }`, read as an import file
+// would be, or `{ error }` describing the first problem.
+export const readHostItems = (value) => {
+  const { items, errors } = parseItemsFile(JSON.stringify(value ?? null), 'json');
+  if (errors.length === 0 && items.length > 0) return { items };
+
+  const problem = errors[0] ?? { row: null, message: 'There must be at least one creative' };
+  return { error: problem.row === null ? problem.message : `Item ${problem.row}: ${problem.message}` };
+};
+
+// Work out what a host message asks for, given the current items and the
+// plan's `validation` settings. Returns `{ items, reply }`: the new items, if
+// they change, and the message to send back, if any.
+export const handleMessage = (message, items, validation) => {
+  const { type, requestId } = message;
+
+  switch (type) {
+    case 'setItems': {
+      const { items: parsed, error } = readHostItems(message.items);
+      if (error) return { reply: createMessage('error', { message: error, requestId }) };
+      return { items: parsed, reply: createMessage('items', { items: parsed, requestId }) };
+    }
+
+    case 'getItems':
+      return { reply: createMessage('items', { items, requestId }) };
+
+    case 'export': {
+      if (!Object.prototype.hasOwnProperty.call(FILE_FORMATS, message.format)) {
+        return { reply: createMessage('error', { message: `Unknown export format: ${message.format}`, requestId }) };
+      }
+      const exportError = findExportError(items, validation);
+      if (exportError) return { reply: createMessage('error', { message: exportError, requestId }) };
+      return {
+        reply: createMessage('export', { format: message.format, text: serializeItems(items, message.format), requestId }),
+      };
+    }
+
+    default:
+      return { reply: createMessage('error', { message: `Unknown message type: ${type}`, requestId }) };
+  }
+};
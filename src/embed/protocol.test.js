@@ -0,0 +1,76 @@
+import { createMessage, handleMessage, isAllowedOrigin, isEditorMessage, parseOrigins } from './protocol';
+
+const items = [
+  { id: 1, name: 'Hero', weight: 60, locked: false },
+  { id: 2, name: 'Banner', weight: 40, locked: true },
+];
+
+describe('origins', () => {
+  test('are read from a comma or space separated list', () => {
+    expect(parseOrigins('https://a.example.com/, http://localhost:8080  https://b.example.com'))
+      .toEqual(['https://a.example.com', 'http://localhost:8080', 'https://b.example.com']);
+    expect(parseOrigins(undefined)).toEqual([]);
+  });
+
+  test('must match exactly', () => {
+    const allowlist = ['https://tools.example.com'];
+    expect(isAllowedOrigin('https://tools.example.com', allowlist)).toBe(true);
+    expect(isAllowedOrigin('https://tools.example.com.evil.test', allowlist)).toBe(false);
+    expect(isAllowedOrigin('http://tools.example.com', allowlist)).toBe(false);
+  });
+});
+
+describe('handleMessage', () => {
+  test('only messages marked as ours are read', () => {
+    expect(isEditorMessage(createMessage('getItems'))).toBe(true);
+    expect(isEditorMessage({ type: 'getItems' })).toBe(false);
+    expect(isEditorMessage('getItems')).toBe(false);
+  });
+
+  test('setItems replaces the creatives and echoes them back', () => {
+    const { items: replaced, reply } = handleMessage(
+      createMessage('setItems', { items: [{ name: 'Solo', weight: 100 }], requestId: 7 }),
+      items
+    );
+    expect(replaced).toEqual([{ id: 1, name: 'Solo', weight: 100, locked: false }]);
+    expect(reply).toEqual(createMessage('items', { items: replaced, requestId: 7 }));
+  });
+
+  test('invalid creatives are reported and change nothing', () => {
+    const { items: replaced, reply } = handleMessage(createMessage('setItems', { items: [{ name: 'No weight' }] }), items);
+    expect(replaced).toBeUndefined();
+    expect(reply.type).toBe('error');
+    expect(reply.message).toMatch(/^Item 1: /);
+
+    expect(handleMessage(createMessage('setItems', { items: [] }), items).reply.type).toBe('error');
+  });
+
+  test('exports the creatives as CSV or JSON', () => {
+    const { reply } = handleMessage(createMessage('export', { format: 'csv', requestId: 'a' }), items);
+    expect(reply).toMatchObject({ type: 'export', format: 'csv', requestId: 'a' });
+    expect(reply.text.split('\n')[1]).toMatch(/^1,Hero,60,false/);
+
+    expect(handleMessage(createMessage('export', { format: 'toString' }), items).reply.type).toBe('error');
+  });
+
+  test('creatives with errors aren\'t exported', () => {
+    const unnamed = [{ ...items[0], name: '' }, items[1]];
+    expect(handleMessage(createMessage('export', { format: 'csv', requestId: 'b' }), unnamed).reply).toEqual(
+      createMessage('error', { message: 'Can\'t export: Creative 1 has no name', requestId: 'b' })
+    );
+  });
+
+  test('exports are held to the plan\'s own checks', () => {
+    const strict = { dominance: { level: 'error', limit: 50 } };
+    expect(handleMessage(createMessage('export', { format: 'json', requestId: 'c' }), items, strict).reply).toEqual(
+      createMessage('error', { message: 'Can\'t export: Hero gets 60%, more than 50%', requestId: 'c' })
+    );
+    expect(handleMessage(createMessage('export', { format: 'json' }), items, { total: { level: 'off' } }).reply.type)
+      .toBe('export');
+  });
+
+  test('unknown requests get an error', () => {
+    expect(handleMessage(createMessage('launch', { requestId: 1 }), items).reply)
+      .toEqual(createMessage('error', { message: 'Unknown message type: launch', requestId: 1 }));
+  });
+});
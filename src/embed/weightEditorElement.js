@@ -0,0 +1,112 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import WeightDistributionEditor from '../components/WeightDistributionEditor';
+import { FILE_FORMATS, parseItemsFile, serializeItems } from '../utils/itemsFile';
+import { createPlan } from '../utils/planStorage';
+import { findExportError } from '../utils/validation';
+import { readHostItems } from './protocol';
+
+// The editor as a custom element, for pages that don't use React:
+//
+//   <weight-editor items='[{"name":"Hero","weight":60}, ...]' max-items="10"></weight-editor>
+//
+// Attributes: `items` (JSON, as in the import files), `read-only` and
+// `max-items`. Like `?readOnly` on the iframe page, `read-only` counts unless
+// its value is "false". The `items` property reads and sets the creatives
+// directly; setting it checks them as the iframe's `setItems` does, and
+// throws on the first problem.
+// Edits fire `weights-change` on every step and `weights-commit` once
+// finished, both with `event.detail.items`; the names keep clear of the
+// native `change` events bubbling up from the editor's own fields.
+// `exportItems('csv' | 'json')` returns the table as text, and throws while
+// the creatives have error-level problems (see ../utils/validation) under the
+// checks as set in the editor, which the element keeps with the creatives.
+//
+// The editor renders into the element itself rather than a shadow root, so
+// the page needs the library's style sheet.
+
+// Creatives from the `items` attribute, or null if it doesn't hold any
+const readItemsAttribute = (value) => {
+  if (!value) return null;
+  const { items } = parseItemsFile(value, 'json');
+  return items.length > 0 ? items : null;
+};
+
+// Register the element under `tagName`; registering twice is harmless
+export const defineWeightEditor = (tagName = 'weight-editor') => {
+  const existing = window.customElements.get(tagName);
+  if (existing) return existing;
+
+  class WeightEditorElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['items', 'read-only', 'max-items'];
+    }
+
+    constructor() {
+      super();
+      this.root = null;
+      this.plan = createPlan('Embedded plan');
+    }
+
+    get items() {
+      return this.plan.items;
+    }
+
+    set items(value) {
+      const { items, error } = readHostItems(value);
+      if (error) throw new Error(error);
+      this.plan = { ...this.plan, items };
+      this.render();
+    }
+
+    exportItems(format = 'csv') {
+      if (!Object.prototype.hasOwnProperty.call(FILE_FORMATS, format)) {
+        throw new Error(`Unknown export format: ${format}`);
+      }
+      const exportError = findExportError(this.plan.items, this.plan.validation);
+      if (exportError) throw new Error(exportError);
+      return serializeItems(this.plan.items, format);
+    }
+
+    connectedCallback() {
+      this.root = this.root ?? createRoot(this);
+      this.render();
+    }
+
+    disconnectedCallback() {
+      this.root?.unmount();
+      this.root = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      if (name === 'items') {
+        this.plan = { ...this.plan, items: readItemsAttribute(value) ?? this.plan.items };
+      }
+      this.render();
+    }
+
+    emit(type, items) {
+      this.dispatchEvent(new CustomEvent(type, { detail: { items }, bubbles: true }));
+    }
+
+    render() {
+      if (!this.root) return;
+      this.root.render(
+        <WeightDistributionEditor
+          plan={this.plan}
+          onPlanChange={(changes) => {
+            this.plan = { ...this.plan, ...changes };
+            this.render();
+          }}
+          onChange={(items) => this.emit('weights-change', items)}
+          onCommit={(items) => this.emit('weights-commit', items)}
+          readOnly={this.hasAttribute('read-only') && this.getAttribute('read-only') !== 'false'}
+          maxItems={Number(this.getAttribute('max-items')) || undefined}
+        />
+      );
+    }
+  }
+
+  window.customElements.define(tagName, WeightEditorElement);
+  return WeightEditorElement;
+};
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+
+// Tracks the content width of the element in `ref` with a ResizeObserver.
+// Returns `fallback` until the first measurement, and for good where
+// ResizeObserver isn't available.
+const useElementWidth = (ref, fallback) => {
+  const [width, setWidth] = useState(fallback);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.floor(entry.contentRect.width));
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [ref]);
+
+  return width;
+};
+
+export default useElementWidth;
@@ -0,0 +1,69 @@
+import { useState } from 'react';
+
+const HISTORY_LIMIT = 100;
+
+const freshHistory = (key, initial) => ({
+  key,
+  entries: [{ label: 'Opened', value: initial }],
+  index: 0,
+});
+
+// Undo/redo stack of snapshots. The values themselves live elsewhere (the
+// plan store); this keeps copies and hands back the one to restore.
+//
+// `key` identifies what is being edited: when it changes (another plan is
+// opened) the history starts over from `initial`.
+//
+// Recording with the same `mergeKey` as the entry on top replaces that entry
+// instead of adding one, so a whole drag gesture or a burst of typing in one
+// field undoes in a single step.
+const useHistory = (key, initial) => {
+  const [state, setState] = useState(() => freshHistory(key, initial));
+
+  // Reset during render rather than in an effect so the old plan's history is
+  // never shown alongside the new plan
+  let history = state;
+  if (state.key !== key) {
+    history = freshHistory(key, initial);
+    setState(history);
+  }
+
+  const { entries, index } = history;
+
+  const record = (label, value, mergeKey) => {
+    setState(current => {
+      const atTip = current.index === current.entries.length - 1;
+      const kept = current.entries.slice(0, current.index + 1);
+      const top = kept[kept.length - 1];
+
+      // Only merge into the latest edit, never into an entry we undid back to
+      if (atTip && mergeKey !== undefined && top.mergeKey === mergeKey && kept.length > 1) {
+        kept[kept.length - 1] = { ...top, label, value };
+        return { ...current, entries: kept };
+      }
+
+      const next = [...kept, { label, value, mergeKey }].slice(-HISTORY_LIMIT);
+      return { ...current, entries: next, index: next.length - 1 };
+    });
+  };
+
+  // Move to entry `target` and return its value, or null if out of range
+  const jump = (target) => {
+    if (target < 0 || target >= entries.length || target === index) return null;
+    setState({ ...history, index: target });
+    return entries[target].value;
+  };
+
+  return {
+    entries,
+    index,
+    canUndo: index > 0,
+    canRedo: index < entries.length - 1,
+    record,
+    jump,
+    undo: () => jump(index - 1),
+    redo: () => jump(index + 1),
+  };
+};
+
+export default useHistory;
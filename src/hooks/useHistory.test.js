@@ -0,0 +1,78 @@
+import { act, renderHook } from '@testing-library/react';
+import useHistory from './useHistory';
+
+const setup = (key = 'plan-1', initial = 'a') =>
+  renderHook(({ key, initial }) => useHistory(key, initial), { initialProps: { key, initial } });
+
+describe('useHistory', () => {
+  test('undo and redo walk back and forth through recorded values', () => {
+    const { result } = setup();
+
+    act(() => result.current.record('Set b', 'b'));
+    act(() => result.current.record('Set c', 'c'));
+
+    let value;
+    act(() => { value = result.current.undo(); });
+    expect(value).toBe('b');
+    expect(result.current.canRedo).toBe(true);
+
+    act(() => { value = result.current.redo(); });
+    expect(value).toBe('c');
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  test('edits sharing a merge key collapse into one entry', () => {
+    const { result } = setup();
+
+    act(() => result.current.record('Drag', 10, 'drag-1'));
+    act(() => result.current.record('Drag', 20, 'drag-1'));
+    act(() => result.current.record('Drag', 30, 'drag-1'));
+
+    expect(result.current.entries.map(entry => entry.value)).toEqual(['a', 30]);
+  });
+
+  test('a new edit after undo discards the redo stack', () => {
+    const { result } = setup();
+
+    act(() => result.current.record('Set b', 'b'));
+    act(() => { result.current.undo(); });
+    act(() => result.current.record('Set x', 'x'));
+
+    expect(result.current.entries.map(entry => entry.value)).toEqual(['a', 'x']);
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  test('never merges into an entry that was undone back to', () => {
+    const { result } = setup();
+
+    act(() => result.current.record('Type', 'ab', 'name-1'));
+    act(() => result.current.record('Other', 'z'));
+    act(() => { result.current.undo(); });
+    act(() => result.current.record('Type', 'abc', 'name-1'));
+
+    expect(result.current.entries.map(entry => entry.value)).toEqual(['a', 'ab', 'abc']);
+  });
+
+  test('jump returns the value of any entry', () => {
+    const { result } = setup();
+
+    act(() => result.current.record('Set b', 'b'));
+    act(() => result.current.record('Set c', 'c'));
+
+    let value;
+    act(() => { value = result.current.jump(0); });
+    expect(value).toBe('a');
+    expect(result.current.index).toBe(0);
+    expect(result.current.jump(5)).toBeNull();
+  });
+
+  test('starts over when the key changes', () => {
+    const { result, rerender } = setup();
+
+    act(() => result.current.record('Set b', 'b'));
+    rerender({ key: 'plan-2', initial: 'fresh' });
+
+    expect(result.current.entries.map(entry => entry.value)).toEqual(['fresh']);
+    expect(result.current.canUndo).toBe(false);
+  });
+});
@@ -0,0 +1,37 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import * as planStore from '../utils/planStorage';
+
+const saveEveryPlan = () => true;
+
+// Holds the saved plans in state and autosaves them to browser storage on
+// every change. Pass a Storage-like object to use something other than
+// localStorage. A plan `canSave` rejects isn't written; storage keeps the
+// version saved before it.
+const usePlans = (storage, { canSave = saveEveryPlan } = {}) => {
+  const [store, setStore] = useState(() => planStore.loadStore(storage));
+  // What's in storage now
+  const savedRef = useRef(store);
+
+  useEffect(() => {
+    const savable = planStore.withSavablePlans(store, savedRef.current, canSave);
+    if (planStore.saveStore(savable, storage)) savedRef.current = savable;
+  }, [store, storage, canSave]);
+
+  const actions = useMemo(() => ({
+    selectPlan: (id) => setStore(current => planStore.selectPlan(current, id)),
+    addPlan: (plan) => setStore(current => planStore.addPlan(current, plan)),
+    updatePlan: (id, changes) => setStore(current => planStore.updatePlan(current, id, changes)),
+    updateCurrentPlan: (changes) =>
+      setStore(current => planStore.updatePlan(current, current.currentPlanId, changes)),
+    duplicatePlan: (id) => setStore(current => planStore.duplicatePlan(current, id)),
+    deletePlan: (id) => setStore(current => planStore.deletePlan(current, id)),
+  }), []);
+
+  return {
+    plans: store.plans,
+    currentPlan: planStore.getCurrentPlan(store),
+    ...actions,
+  };
+};
+
+export default usePlans;
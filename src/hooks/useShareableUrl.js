@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+import { encodePlan, planHash, readPlanFromHash } from '../utils/shareUrl';
+
+// Keeps the URL hash in sync with the current plan and returns a link to it.
+//
+// When the page is opened from a shared link, `onOpenShared` is called once
+// with the decoded plan, unless one of `plans` already holds exactly that
+// distribution (e.g. the page was simply reloaded), in which case
+// `onSelectExisting` is called with that plan's id instead.
+const useShareableUrl = (currentPlan, plans, { onOpenShared, onSelectExisting }) => {
+  const hydratedRef = useRef(false);
+
+  useEffect(() => {
+    if (hydratedRef.current) return;
+    hydratedRef.current = true;
+
+    const shared = readPlanFromHash(window.location.hash);
+    if (!shared) return;
+
+    const encoded = encodePlan(shared);
+    const existing = plans.find(plan => encodePlan(plan) === encoded);
+    if (existing) {
+      onSelectExisting(existing.id);
+    } else {
+      onOpenShared(shared);
+    }
+  }, [plans, onOpenShared, onSelectExisting]);
+
+  const hash = planHash(currentPlan);
+
+  // replaceState rather than assigning location.hash so edits don't flood the
+  // browser's back button
+  useEffect(() => {
+    if (window.location.hash !== hash) {
+      window.history.replaceState(null, '', hash);
+    }
+  }, [hash]);
+
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}${hash}`;
+};
+
+export default useShareableUrl;
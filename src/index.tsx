@@ -2,14 +2,18 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import EmbedPage from './embed/EmbedPage';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(
   document.getElementById('root') as HTMLElement
 );
+// `?embed` serves the bare editor for iframes (see ./embed/EmbedPage)
+const isEmbed = new URLSearchParams(window.location.search).has('embed');
+
 root.render(
   <React.StrictMode>
-    <App />
+    {isEmbed ? <EmbedPage /> : <App />}
   </React.StrictMode>
 );
 
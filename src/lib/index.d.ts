@@ -0,0 +1,202 @@
+// Types for the packaged library (see ./index.js).
+
+import type { FC, ReactNode } from 'react';
+
+// A creative and its share of the traffic, in percent. `min` and `max` bound
+// the weight, `group` names the group it belongs to, and the metrics feed the
+// performance-based strategies.
+export interface Item {
+  id: number;
+  name: string;
+  weight: number;
+  locked: boolean;
+  min?: number;
+  max?: number;
+  group?: string;
+  // The creative's ID in the ad server
+  creativeId?: string;
+  impressions?: number;
+  clicks?: number;
+  conversions?: number;
+}
+
+export type Precision = 'integer' | 'tenth' | 'hundredth' | 'basisPoints';
+export type ApportionmentMethod = 'largestRemainder' | 'dhondt' | 'sainteLague';
+
+// What a strategy's shape function is called with besides the item count:
+// the options passed to `distribute`, plus the unlocked items and their slots
+export interface StrategyOptions {
+  indexes: number[];
+  slots: number;
+  items: Item[];
+  [option: string]: unknown;
+}
+
+// Relative shares, one per unlocked item; they're scaled to the weight left
+// over by the locked items
+export type StrategyShape = (count: number, options: StrategyOptions) => number[];
+
+export interface EngineOptions {
+  precision?: Precision;
+  method?: ApportionmentMethod;
+}
+
+export interface DistributeOptions extends EngineOptions {
+  minShare?: number;
+  [option: string]: unknown;
+}
+
+// A whole plan, as the standalone app keeps it
+export interface Plan {
+  id: string;
+  name: string;
+  items: Item[];
+  precision: Precision;
+  apportionment: ApportionmentMethod;
+  random?: object | null;
+  baseline?: { pinnedAt: number; items: Item[] } | null;
+  schedule?: object | null;
+  validation?: ValidationSettings;
+  updatedAt: number;
+}
+
+export interface EditorLabels {
+  title?: ReactNode;
+  tableTitle?: ReactNode;
+  addItem?: ReactNode;
+  unlocked?: ReactNode;
+  locked?: ReactNode;
+  baseline?: ReactNode;
+}
+
+// Any CSS colour
+export interface EditorColors {
+  unlocked?: string;
+  locked?: string;
+  baseline?: string;
+}
+
+export interface CustomStrategy {
+  label: string;
+  title?: string;
+  shape: StrategyShape;
+}
+
+export interface WeightDistributionEditorProps {
+  // Controlled creatives; leave out to let the editor keep them
+  value?: Item[];
+  // Starting creatives when uncontrolled
+  defaultValue?: Item[];
+  // Every edit, each step of a drag included
+  onChange?: (items: Item[]) => void;
+  // Finished edits only: once per drag, and after undo and redo
+  onCommit?: (items: Item[]) => void;
+  // Controls the whole plan instead of just the creatives
+  plan?: Plan;
+  onPlanChange?: (changes: Partial<Plan>) => void;
+  // Show the chart and table without any way to edit them
+  readOnly?: boolean;
+  // No adding or importing creatives beyond this many
+  maxItems?: number;
+  labels?: EditorLabels;
+  colors?: EditorColors;
+  // Extra distribution buttons, by key
+  strategies?: Record<string, CustomStrategy>;
+  // Drawn under the title
+  header?: ReactNode;
+}
+
+export const WeightDistributionEditor: FC<WeightDistributionEditorProps>;
+
+// The <weight-editor> custom element (see docs/embedding.md)
+export interface WeightEditorElement extends HTMLElement {
+  items: Item[];
+  exportItems(format?: 'csv' | 'json'): string;
+}
+
+export function defineWeightEditor(tagName?: string): { new (): WeightEditorElement };
+
+// Messages between the iframe editor and its host (see docs/embedding.md)
+export type HostMessage =
+  | { source: 'weight-editor'; type: 'setItems'; items: Partial<Item>[]; requestId?: unknown }
+  | { source: 'weight-editor'; type: 'getItems'; requestId?: unknown }
+  | { source: 'weight-editor'; type: 'export'; format: 'csv' | 'json'; requestId?: unknown };
+
+export type EditorMessage =
+  | { source: 'weight-editor'; type: 'ready'; version: number }
+  | { source: 'weight-editor'; type: 'change' | 'commit'; items: Item[] }
+  | { source: 'weight-editor'; type: 'items'; items: Item[]; requestId?: unknown }
+  | { source: 'weight-editor'; type: 'export'; format: 'csv' | 'json'; text: string; requestId?: unknown }
+  | { source: 'weight-editor'; type: 'error'; message: string; requestId?: unknown };
+
+export const MESSAGE_SOURCE: 'weight-editor';
+export const PROTOCOL_VERSION: number;
+export function createMessage<T extends string>(type: T, fields?: object): { source: 'weight-editor'; type: T };
+export function isEditorMessage(data: unknown): data is HostMessage | EditorMessage;
+export function parseOrigins(text?: string): string[];
+export function isAllowedOrigin(origin: string, allowlist: string[]): boolean;
+
+export class BoundsError extends Error {}
+
+export const TOTAL_WEIGHT: 100;
+export const strategies: Record<string, StrategyShape>;
+
+export function boundsOf(item: Item): { min: number; max: number };
+export function sumWeights(items: Item[]): number;
+export function findBoundsError(items: Item[]): string | null;
+export function roundToTotal(
+  values: number[],
+  total: number,
+  options?: EngineOptions & { bounds?: { min: number; max: number }[] }
+): number[];
+export function distribute(items: Item[], strategy: string | StrategyShape, options?: DistributeOptions): Item[];
+export function normalize(items: Item[], options?: EngineOptions & { pinnedId?: number }): Item[];
+export function snapToPrecision(items: Item[], options?: EngineOptions): Item[];
+export function transferWeight(
+  items: Item[],
+  receiverId: number,
+  donorIds: number | number[],
+  weight: number,
+  options?: { precision?: Precision }
+): Item[];
+export function pairwiseDonors(items: Item[], receiverId: number, rule: 'next' | 'previous' | 'largest' | 'smallest'): number[];
+
+export const APPORTIONMENT_METHODS: Record<ApportionmentMethod, { label: string }>;
+export const DEFAULT_APPORTIONMENT: ApportionmentMethod;
+
+export const PRECISIONS: Record<Precision, { label: string; decimals: number; unit: string }>;
+export const DEFAULT_PRECISION: Precision;
+export function formatWeight(weight: number, precision: Precision): string;
+export function roundWeight(weight: number, precision: Precision): number;
+
+// Checks a plan is held to; errors block saving and exporting
+export type Severity = 'error' | 'warning' | 'off';
+export type ValidationRule =
+  | 'total'
+  | 'lockedOverflow'
+  | 'emptyNames'
+  | 'duplicateNames'
+  | 'zeroWeight'
+  | 'dominance'
+  | 'maxCreatives';
+
+// Overrides of the rules' default levels and limits
+export type ValidationSettings = Partial<Record<ValidationRule, { level?: Severity; limit?: number }>>;
+
+export interface Problem {
+  rule: ValidationRule;
+  level: 'error' | 'warning';
+  message: string;
+  // The creatives the problem is about; empty for the plan as a whole
+  itemIds: number[];
+}
+
+export const SEVERITIES: Record<Severity, { label: string }>;
+export const VALIDATION_RULES: Record<ValidationRule, {
+  label: string;
+  level: Severity;
+  limit?: { label: string; unit: string; value: number; min: number; max: number };
+}>;
+export function validateItems(items: Item[], settings?: ValidationSettings | null): Problem[];
+export function hasErrors(problems: Problem[]): boolean;
+export function problemsByItem(problems: Problem[]): Map<number, Problem[]>;
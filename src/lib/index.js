@@ -0,0 +1,32 @@
+// Entry point of the packaged library (built by scripts/build-lib.js): the
+// editor component and the pure distribution engine behind it. Types are in
+// ./index.d.ts and the editor's styles are built from ./style.css. The app
+// itself doesn't import from here.
+
+export { default as WeightDistributionEditor } from '../components/WeightDistributionEditor';
+export { defineWeightEditor } from '../embed/weightEditorElement';
+export {
+  MESSAGE_SOURCE,
+  PROTOCOL_VERSION,
+  createMessage,
+  isAllowedOrigin,
+  isEditorMessage,
+  parseOrigins,
+} from '../embed/protocol';
+export {
+  BoundsError,
+  TOTAL_WEIGHT,
+  boundsOf,
+  distribute,
+  findBoundsError,
+  normalize,
+  pairwiseDonors,
+  roundToTotal,
+  snapToPrecision,
+  strategies,
+  sumWeights,
+  transferWeight,
+} from '../utils/distribution';
+export { APPORTIONMENT_METHODS, DEFAULT_APPORTIONMENT } from '../utils/apportionment';
+export { DEFAULT_PRECISION, PRECISIONS, formatWeight, roundWeight } from '../utils/precision';
+export { SEVERITIES, VALIDATION_RULES, hasErrors, problemsByItem, validateItems } from '../utils/validation';
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { Item, WeightDistributionEditor } from './index';
+
+const creatives: Item[] = [
+  { id: 1, name: 'Hero', weight: 60, locked: false },
+  { id: 2, name: 'Banner', weight: 30, locked: false },
+  { id: 3, name: 'Footer', weight: 10, locked: false },
+];
+
+const weights = () =>
+  screen.getAllByLabelText(/^Weight for (?!group )/).map(input => (input as HTMLInputElement).value);
+
+test('a controlled editor shows its value and reports edits', () => {
+  const onChange = jest.fn();
+  const onCommit = jest.fn();
+  const Host = () => {
+    const [items, setItems] = useState(creatives);
+    return (
+      <WeightDistributionEditor
+        value={items}
+        onChange={(next) => {
+          onChange(next);
+          setItems(next);
+        }}
+        onCommit={onCommit}
+      />
+    );
+  };
+  render(<Host />);
+  expect(weights()).toEqual(['60', '30', '10']);
+
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Chart handle for Hero' }), { key: 'ArrowUp' });
+  expect(weights()).toEqual(['61', '29', '10']);
+  expect(onChange).toHaveBeenCalledTimes(1);
+  expect(onCommit).toHaveBeenLastCalledWith(onChange.mock.calls[0][0]);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Evenly' }));
+  expect(onCommit.mock.calls[1][0].map((item: Item) => item.weight)).toEqual([34, 33, 33]);
+});
+
+test('an uncontrolled editor starts from its default value', () => {
+  render(<WeightDistributionEditor defaultValue={creatives} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Evenly' }));
+  expect(weights()).toEqual(['34', '33', '33']);
+});
+
+test('undo keys only reach the editor they were pressed in', () => {
+  render(
+    <>
+      <WeightDistributionEditor defaultValue={creatives} labels={{ title: 'First' }} />
+      <WeightDistributionEditor defaultValue={creatives} labels={{ title: 'Second' }} />
+    </>
+  );
+  screen.getAllByRole('button', { name: 'Evenly' }).forEach(button => fireEvent.click(button));
+  expect(weights()).toEqual(['34', '33', '33', '34', '33', '33']);
+
+  fireEvent.keyDown(screen.getByRole('heading', { name: 'First' }), { key: 'z', ctrlKey: true });
+  expect(weights()).toEqual(['60', '30', '10', '34', '33', '33']);
+});
+
+test('a read-only editor has no way to change the weights', () => {
+  const onChange = jest.fn();
+  render(<WeightDistributionEditor value={creatives} onChange={onChange} readOnly />);
+
+  expect(screen.queryByRole('button', { name: 'Evenly' })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /add creative/i })).not.toBeInTheDocument();
+  expect(screen.getByLabelText('Weight for Hero')).toBeDisabled();
+
+  const handle = screen.getByRole('slider', { name: 'Chart handle for Hero' });
+  expect(handle).toHaveAttribute('aria-readonly', 'true');
+  fireEvent.keyDown(handle, { key: 'ArrowUp' });
+  expect(weights()).toEqual(['60', '30', '10']);
+  expect(onChange).not.toHaveBeenCalled();
+});
+
+test('no more creatives than maxItems can be added', () => {
+  render(<WeightDistributionEditor defaultValue={creatives.slice(0, 2)} maxItems={3} />);
+  const add = screen.getByRole('button', { name: 'ADD CREATIVE' });
+
+  fireEvent.click(add);
+  expect(weights()).toHaveLength(3);
+  expect(add).toBeDisabled();
+  fireEvent.click(add);
+  expect(weights()).toHaveLength(3);
+});
+
+test('hosts can add strategies and relabel the editor', () => {
+  render(
+    <WeightDistributionEditor
+      defaultValue={creatives}
+      labels={{ title: 'Ad rotation', addItem: 'Add ad' }}
+      colors={{ unlocked: 'rgb(0, 128, 255)' }}
+      strategies={{
+        lastWins: { label: 'Last wins', shape: (count) => Array.from({ length: count }, (_, i) => (i === count - 1 ? 1 : 0)) },
+      }}
+    />
+  );
+  expect(screen.getByRole('heading', { name: 'Ad rotation' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Add ad' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Last wins' }));
+  expect(weights()).toEqual(['0', '0', '100']);
+
+  // Custom strategies are undone like the built-in ones
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(weights()).toEqual(['60', '30', '10']);
+});
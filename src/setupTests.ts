@@ -3,3 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jest-axe adds `toHaveNoViolations` for automated accessibility checks
+import { toHaveNoViolations } from 'jest-axe';
+expect.extend(toHaveNoViolations);
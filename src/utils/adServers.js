@@ -0,0 +1,125 @@
+// Exports for ad servers: the weights in the shape each one uploads, so
+// nobody has to re-type them.
+//
+// Each format in AD_SERVER_FORMATS has `validate(items)`, returning the
+// problems that format has with the creatives, and `serialize(items)`,
+// returning the file's text. Problems are `{ level, message }` with a level
+// of 'error', which blocks the export, or 'warning', which doesn't. Creatives
+// carry their ad-server id as an optional `creativeId` string.
+
+import { TOTAL_WEIGHT, sumWeights } from './distribution';
+import { escapeCsv } from './itemsFile';
+import { FINEST_PRECISION, toUnits } from './precision';
+
+const error = (message) => ({ level: 'error', message });
+const warning = (message) => ({ level: 'warning', message });
+
+const toCsv = (header, rows) => [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// The weights as the smallest whole-number ratio with the same proportions,
+// e.g. 50/25/25 becomes 2:1:1
+export const roundRobinRatios = (items) => {
+  const units = items.map(item => toUnits(item.weight, FINEST_PRECISION));
+  const divisor = units.reduce(gcd, 0) || 1;
+  return units.map(unit => unit / divisor);
+};
+
+// Every creative needs an id, and no two can share one
+const creativeIdProblems = (items, isValidId = () => true, rule = '') => {
+  const problems = [];
+  const seen = new Set();
+
+  items.forEach(item => {
+    const creativeId = item.creativeId?.trim() ?? '';
+    if (creativeId === '') {
+      problems.push(error(`${item.name} has no creative ID`));
+    } else if (!isValidId(creativeId)) {
+      problems.push(error(`${item.name}'s creative ID "${creativeId}" ${rule}`));
+    } else if (seen.has(creativeId)) {
+      problems.push(error(`Creative ID ${creativeId} is used more than once`));
+    }
+    seen.add(creativeId);
+  });
+  return problems;
+};
+
+const zeroWeightWarnings = (items) =>
+  items.filter(item => item.weight === 0).map(item => warning(`${item.name} has no weight and won't serve`));
+
+// Problems every format has: nothing to export, or weights that don't add up
+const commonProblems = (items) => {
+  if (items.length === 0) return [error('There are no creatives to export')];
+  const total = sumWeights(items);
+  return total === TOTAL_WEIGHT ? [] : [error(`Weights add up to ${total}%, not ${TOTAL_WEIGHT}%`)];
+};
+
+export const AD_SERVER_FORMATS = {
+  // Manual creative rotation on a Google Ad Manager line item, which takes
+  // numeric creative IDs and whole-number weights
+  gam: {
+    label: 'Google Ad Manager CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    validate: (items) => [
+      ...creativeIdProblems(items, id => /^\d+$/.test(id), 'should be a number'),
+      ...items
+        .filter(item => !Number.isInteger(item.weight))
+        .map(item => error(`${item.name}'s weight ${item.weight}% isn't a whole number; use 1% precision`)),
+      ...zeroWeightWarnings(items),
+    ],
+    serialize: (items) =>
+      toCsv(['Creative ID', 'Creative name', 'Weight'], items.map(item => [item.creativeId.trim(), item.name, item.weight])),
+  },
+
+  // OpenRTB-style creative list: `crid` strings with percentage weights
+  openRtb: {
+    label: 'OpenRTB JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    validate: (items) => [...creativeIdProblems(items), ...zeroWeightWarnings(items)],
+    serialize: (items) =>
+      JSON.stringify(
+        { creatives: items.map(item => ({ crid: item.creativeId.trim(), name: item.name, weight: item.weight })) },
+        null,
+        2
+      ) + '\n',
+  },
+
+  // Whole-number ratios for a weighted round robin, reduced by their
+  // greatest common divisor; creative IDs are optional
+  roundRobin: {
+    label: 'Weighted round robin',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    validate: (items) => {
+      const slots = roundRobinRatios(items).reduce((acc, ratio) => acc + ratio, 0);
+      return [
+        ...zeroWeightWarnings(items),
+        ...(slots > 1000 ? [warning(`One rotation is ${slots} slots long; coarser weights would shorten it`)] : []),
+      ];
+    },
+    serialize: (items) => {
+      const ratios = roundRobinRatios(items);
+      return toCsv(
+        ['creative_id', 'name', 'ratio'],
+        items.map((item, index) => [item.creativeId?.trim() ?? '', item.name, ratios[index]])
+      );
+    },
+  },
+};
+
+export const DEFAULT_AD_SERVER_FORMAT = 'gam';
+
+// Everything wrong with exporting `items` as `format`, errors first
+export const validateExport = (items, format) => {
+  const problems = [...commonProblems(items), ...AD_SERVER_FORMATS[format].validate(items)];
+  return [...problems.filter(problem => problem.level === 'error'), ...problems.filter(problem => problem.level === 'warning')];
+};
+
+// The export's text, or null while it has errors
+export const exportForAdServer = (items, format) =>
+  validateExport(items, format).some(problem => problem.level === 'error')
+    ? null
+    : AD_SERVER_FORMATS[format].serialize(items);
@@ -0,0 +1,70 @@
+import { AD_SERVER_FORMATS, exportForAdServer, roundRobinRatios, validateExport } from './adServers';
+
+const items = [
+  { id: 1, name: 'Hero', weight: 50, locked: false, creativeId: '138001' },
+  { id: 2, name: 'Banner, wide', weight: 25, locked: false, creativeId: '138002' },
+  { id: 3, name: 'Footer', weight: 25, locked: true, creativeId: '138003' },
+];
+
+const messages = (problems) => problems.map(problem => `${problem.level}: ${problem.message}`);
+
+describe('validation', () => {
+  test('weights must add up to 100% in every format', () => {
+    const short = items.map(item => (item.id === 3 ? { ...item, weight: 20 } : item));
+    Object.keys(AD_SERVER_FORMATS).forEach(format => {
+      expect(messages(validateExport(short, format))).toContain('error: Weights add up to 95%, not 100%');
+    });
+  });
+
+  test('Ad Manager needs numeric, unique creative IDs and whole weights', () => {
+    const broken = [
+      { ...items[0], creativeId: undefined },
+      { ...items[1], creativeId: 'abc', weight: 24.5 },
+      { ...items[2], creativeId: '138003', weight: 25.5 },
+      { id: 4, name: 'Copy', weight: 0, locked: false, creativeId: '138003' },
+    ];
+    expect(messages(validateExport(broken, 'gam'))).toEqual([
+      'error: Hero has no creative ID',
+      'error: Banner, wide\'s creative ID "abc" should be a number',
+      'error: Creative ID 138003 is used more than once',
+      'error: Banner, wide\'s weight 24.5% isn\'t a whole number; use 1% precision',
+      'error: Footer\'s weight 25.5% isn\'t a whole number; use 1% precision',
+      'warning: Copy has no weight and won\'t serve',
+    ]);
+    expect(exportForAdServer(broken, 'gam')).toBeNull();
+  });
+
+  test('OpenRTB takes any creative ID and decimal weights', () => {
+    const decimal = [{ ...items[0], creativeId: 'hero-v2', weight: 50.5 }, { ...items[1], weight: 49.5 }];
+    expect(validateExport(decimal, 'openRtb')).toEqual([]);
+  });
+
+  test('round robin needs no creative IDs', () => {
+    expect(validateExport(items.map(({ creativeId, ...item }) => item), 'roundRobin')).toEqual([]);
+  });
+});
+
+describe('export', () => {
+  test('Ad Manager CSV', () => {
+    expect(exportForAdServer(items, 'gam')).toBe(
+      'Creative ID,Creative name,Weight\n' +
+      '138001,Hero,50\n' +
+      '138002,"Banner, wide",25\n' +
+      '138003,Footer,25\n'
+    );
+  });
+
+  test('OpenRTB JSON', () => {
+    expect(JSON.parse(exportForAdServer(items, 'openRtb')).creatives[1]).toEqual({
+      crid: '138002',
+      name: 'Banner, wide',
+      weight: 25,
+    });
+  });
+
+  test('round robin ratios are reduced to lowest terms', () => {
+    expect(roundRobinRatios(items)).toEqual([2, 1, 1]);
+    expect(roundRobinRatios([{ weight: 33.3 }, { weight: 66.6 }, { weight: 0.1 }])).toEqual([333, 666, 1]);
+    expect(exportForAdServer(items, 'roundRobin').split('\n')[1]).toBe('138001,Hero,2');
+  });
+});
@@ -0,0 +1,133 @@
+// Apportionment methods.
+//
+// Each method splits a whole number of `seats` between parties in proportion
+// to their `values` and returns whole numbers that add up to `seats` exactly.
+// The distribution engine uses them to turn raw shares into weights on the
+// precision grid without leaving any rounding error behind.
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+// Hamilton / largest remainder: everyone gets the whole part of their quota and
+// the leftover seats go to the largest fractional remainders. Earlier items win
+// ties, so an even split hands the spare seats to the top of the list.
+const largestRemainder = (values, seats) => {
+  const valueSum = sum(values);
+  const quotas = values.map(value => (value / valueSum) * seats);
+  const allocation = quotas.map(quota => Math.floor(quota));
+
+  const byRemainder = quotas
+    .map((quota, index) => ({ index, remainder: quota - allocation[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  const leftover = seats - sum(allocation);
+  for (let i = 0; i < leftover; i++) {
+    allocation[byRemainder[i % byRemainder.length].index] += 1;
+  }
+
+  return allocation;
+};
+
+// Highest averages: hand out seats one at a time to whoever has the largest
+// value / divisor(seats already won). Earlier items win ties.
+const divisorMethod = (divisor) => (values, seats) => {
+  const allocation = values.map(() => 0);
+
+  for (let seat = 0; seat < seats; seat++) {
+    let best = 0;
+    let bestQuotient = -Infinity;
+
+    values.forEach((value, index) => {
+      const quotient = value / divisor(allocation[index]);
+      if (quotient > bestQuotient) {
+        best = index;
+        bestQuotient = quotient;
+      }
+    });
+
+    allocation[best] += 1;
+  }
+
+  return allocation;
+};
+
+export const APPORTIONMENT_METHODS = {
+  largestRemainder: { label: 'Largest remainder', apportion: largestRemainder },
+  dhondt: { label: "D'Hondt", apportion: divisorMethod(seats => seats + 1) },
+  sainteLague: { label: 'Sainte-Laguë', apportion: divisorMethod(seats => 2 * seats + 1) },
+};
+
+export const DEFAULT_APPORTIONMENT = 'largestRemainder';
+
+// Split `seats` whole units in proportion to `values`. When every value is zero
+// the seats are split evenly.
+export const apportion = (values, seats, method = DEFAULT_APPORTIONMENT) => {
+  const config = APPORTIONMENT_METHODS[method];
+  if (!config) {
+    throw new Error(`Unknown apportionment method: ${method}`);
+  }
+
+  if (values.length === 0) return [];
+  if (seats <= 0) return values.map(() => 0);
+
+  const weights = sum(values) > 0 ? values : values.map(() => 1);
+  return config.apportion(weights, seats);
+};
+
+// Nudge an allocation one seat at a time until it hands out exactly `seats`,
+// staying within bounds. Only needed when rounding the bounds themselves
+// leaves the bounded apportionment a seat or two off.
+const settle = (allocation, seats, lower, upper) => {
+  let difference = seats - sum(allocation);
+
+  while (difference !== 0) {
+    const step = difference > 0 ? 1 : -1;
+    const index = allocation.findIndex((share, i) =>
+      step > 0 ? share < upper[i] : share > lower[i]
+    );
+    if (index === -1) break; // Bounds are infeasible; nothing more we can do
+
+    allocation[index] += step;
+    difference -= step;
+  }
+
+  return allocation;
+};
+
+// Like `apportion`, but every share stays within `mins[i]`..`maxs[i]` seats.
+// Items whose share falls outside their bounds are fixed at the bound and the
+// remaining seats are re-apportioned among the others until nothing is out of
+// bounds. The bounds should be feasible: sum(mins) <= seats <= sum(maxs).
+export const apportionWithBounds = (values, seats, { mins, maxs, method } = {}) => {
+  const lower = mins || values.map(() => 0);
+  const upper = maxs || values.map(() => seats);
+  const allocation = values.map(() => null);
+
+  for (;;) {
+    const free = allocation.map((share, index) => index).filter(index => allocation[index] === null);
+    if (free.length === 0) break;
+
+    const fixedTotal = sum(allocation.filter(share => share !== null));
+    const shares = apportion(free.map(index => values[index]), seats - fixedTotal, method);
+
+    const under = free.filter((index, k) => shares[k] < lower[index]);
+    const over = free.filter((index, k) => shares[k] > upper[index]);
+
+    if (under.length === 0 && over.length === 0) {
+      free.forEach((index, k) => { allocation[index] = shares[k]; });
+      break;
+    }
+
+    // Fix whichever side is further out of bounds first; fixing it moves the
+    // other side's shares in the right direction.
+    const shortfall = sum(free.map((index, k) => Math.max(0, lower[index] - shares[k])));
+    const excess = sum(free.map((index, k) => Math.max(0, shares[k] - upper[index])));
+
+    if (shortfall >= excess) {
+      under.forEach(index => { allocation[index] = lower[index]; });
+    } else {
+      over.forEach(index => { allocation[index] = upper[index]; });
+    }
+  }
+
+  return settle(allocation, seats, lower, upper);
+};
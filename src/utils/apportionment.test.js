@@ -0,0 +1,59 @@
+import { APPORTIONMENT_METHODS, apportion, apportionWithBounds } from './apportionment';
+
+const votes = [100000, 80000, 30000, 20000];
+
+describe('apportion', () => {
+  test('largest remainder gives spare seats to the biggest remainders', () => {
+    // Quotas 4.7, 2.3, 2.0 -> floors 4, 2, 2 and the spare seat goes to 0.7
+    expect(apportion([47, 23, 20], 9)).toEqual([5, 2, 2]);
+  });
+
+  test('largest remainder breaks ties in favour of earlier items', () => {
+    expect(apportion([1, 1, 1], 100)).toEqual([34, 33, 33]);
+    expect(apportion([0, 0, 0, 0], 10)).toEqual([3, 3, 2, 2]);
+  });
+
+  test("D'Hondt favours larger parties", () => {
+    expect(apportion(votes, 8, 'dhondt')).toEqual([4, 3, 1, 0]);
+  });
+
+  test('Sainte-Laguë is kinder to smaller parties', () => {
+    expect(apportion(votes, 8, 'sainteLague')).toEqual([3, 3, 1, 1]);
+  });
+
+  test.each(Object.keys(APPORTIONMENT_METHODS))('%s always hands out every seat', (method) => {
+    expect(apportion([5, 3, 2, 0.5, 0], 137, method).reduce((a, b) => a + b, 0)).toBe(137);
+  });
+
+  test('zero-valued items get nothing when others have value', () => {
+    expect(apportion([0, 1, 0], 10)).toEqual([0, 10, 0]);
+  });
+
+  test('handles empty input and zero seats', () => {
+    expect(apportion([], 10)).toEqual([]);
+    expect(apportion([1, 2], 0)).toEqual([0, 0]);
+  });
+
+  test('throws for an unknown method', () => {
+    expect(() => apportion([1], 1, 'coinToss')).toThrow(/Unknown apportionment method/);
+  });
+});
+
+describe('apportionWithBounds', () => {
+  test('lifts items to their minimum and takes the seats from the others', () => {
+    expect(apportionWithBounds([90, 5, 5], 100, { mins: [0, 20, 0], maxs: [100, 100, 100] })).toEqual([76, 20, 4]);
+  });
+
+  test('caps items at their maximum and hands the excess to the others', () => {
+    expect(apportionWithBounds([80, 10, 10], 100, { mins: [0, 0, 0], maxs: [40, 100, 100] })).toEqual([40, 30, 30]);
+  });
+
+  test('resolves chains of bounds', () => {
+    const shares = apportionWithBounds([70, 20, 10], 100, { mins: [0, 0, 25], maxs: [50, 30, 100] });
+    expect(shares).toEqual([50, 25, 25]);
+  });
+
+  test('matches plain apportionment when nothing is out of bounds', () => {
+    expect(apportionWithBounds([1, 1, 1], 100)).toEqual(apportion([1, 1, 1], 100));
+  });
+});
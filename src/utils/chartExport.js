@@ -0,0 +1,123 @@
+// Exporting the chart as a standalone SVG or PNG, entirely in the browser.
+//
+// The live chart is cloned rather than re-rendered, so the export contains
+// exactly what's on screen: grid, axis labels, the Equal reference line,
+// bounds, tooltips and handles. The light background swaps the chart's dark
+// palette for one that reads well on slides.
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+export const EXPORT_BACKGROUNDS = {
+  dark: { label: 'Dark', color: '#111827' },
+  light: { label: 'Light', color: '#ffffff' },
+};
+
+export const PNG_SCALES = [1, 2, 3, 4];
+
+// Dark chart colours and their light-background replacements, per attribute
+// so white tooltip text can change without touching white handle outlines
+const LIGHT_PALETTE = {
+  fill: {
+    '#888888': '#4b5563',
+    '#222222': '#f3f4f6',
+    '#ffffff': '#111827',
+  },
+  stroke: {
+    '#333333': '#e5e7eb',
+    '#444444': '#d1d5db',
+    '#666666': '#9ca3af',
+  },
+};
+
+const applyPalette = (root, palette) => {
+  Object.entries(palette).forEach(([attribute, colors]) => {
+    root.querySelectorAll(`[${attribute}]`).forEach(element => {
+      const color = element.getAttribute(attribute).toLowerCase();
+      // White fills are recoloured on text only; handles keep theirs
+      if (color === '#ffffff' && element.tagName.toLowerCase() !== 'text') return;
+      if (colors[color]) {
+        element.setAttribute(attribute, colors[color]);
+      }
+    });
+  });
+};
+
+const MARGIN = 8;
+
+// The area to export: the SVG's own box, grown to fit anything drawn outside
+// it such as the Equal label or a tooltip above a 100% point
+const exportBox = (svgElement) => {
+  const width = Number(svgElement.getAttribute('width'));
+  const height = Number(svgElement.getAttribute('height'));
+
+  let content;
+  try {
+    content = svgElement.getBBox();
+  } catch (error) {
+    // Not rendered (or no layout engine, as in tests): use the SVG's own box
+    return { x: 0, y: 0, width, height };
+  }
+
+  const x = Math.min(0, content.x - MARGIN);
+  const y = Math.min(0, content.y - MARGIN);
+  return {
+    x,
+    y,
+    width: Math.max(width, content.x + content.width + MARGIN) - x,
+    height: Math.max(height, content.y + content.height + MARGIN) - y,
+  };
+};
+
+// Serialize the chart's <svg> element to a standalone SVG document. Returns
+// the document text and its size in pixels.
+export const serializeChart = (svgElement, { background = 'dark' } = {}) => {
+  const clone = svgElement.cloneNode(true);
+  const { x, y, width, height } = exportBox(svgElement);
+
+  // No explicit xmlns: the serializer writes it for SVG-namespaced nodes, and
+  // setting it too produces a duplicate attribute that won't parse
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+  // Page styles don't travel with the file
+  clone.setAttribute('font-family', 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif');
+
+  if (background === 'light') {
+    applyPalette(clone, LIGHT_PALETTE);
+  }
+
+  const backdrop = document.createElementNS(SVG_NAMESPACE, 'rect');
+  backdrop.setAttribute('x', x);
+  backdrop.setAttribute('y', y);
+  backdrop.setAttribute('width', width);
+  backdrop.setAttribute('height', height);
+  backdrop.setAttribute('fill', EXPORT_BACKGROUNDS[background].color);
+  clone.insertBefore(backdrop, clone.firstChild);
+
+  return {
+    svg: `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`,
+    width,
+    height,
+  };
+};
+
+// Rasterize an SVG document string to a PNG blob at `scale` times its size
+export const svgToPng = (svgText, width, height, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the PNG'))), 'image/png');
+    };
+    image.onerror = () => reject(new Error('Could not render the chart'));
+
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+  });
@@ -0,0 +1,54 @@
+import { serializeChart } from './chartExport';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+const buildChart = () => {
+  const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+  svg.setAttribute('width', '650');
+  svg.setAttribute('height', '400');
+  svg.innerHTML = [
+    '<line stroke="#333333" />',
+    '<text fill="#888888">Equal (25%)</text>',
+    '<rect fill="#222222" stroke="#444444" />',
+    '<text fill="#ffffff">25%</text>',
+    '<circle fill="#ff007f" stroke="#ffffff" />',
+  ].join('');
+  return svg;
+};
+
+describe('serializeChart', () => {
+  test('produces a standalone SVG document with a background', () => {
+    const { svg, width, height } = serializeChart(buildChart());
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const root = doc.documentElement;
+
+    expect(svg.startsWith('<?xml')).toBe(true);
+    expect([width, height]).toEqual([650, 400]);
+    expect(root.getAttribute('xmlns')).toBe(SVG_NAMESPACE);
+    expect(root.getAttribute('viewBox')).toBe('0 0 650 400');
+    expect(root.firstElementChild.getAttribute('fill')).toBe('#111827');
+  });
+
+  test('the light background recolours grid, labels and tooltips only', () => {
+    const { svg } = serializeChart(buildChart(), { background: 'light' });
+    const root = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+    const [backdrop, grid, label, tooltip, tooltipText, handle] = Array.from(root.children);
+
+    expect(backdrop.getAttribute('fill')).toBe('#ffffff');
+    expect(grid.getAttribute('stroke')).toBe('#e5e7eb');
+    expect(label.getAttribute('fill')).toBe('#4b5563');
+    expect(tooltip.getAttribute('fill')).toBe('#f3f4f6');
+    expect(tooltipText.getAttribute('fill')).toBe('#111827');
+    // Handles keep their colours
+    expect(handle.getAttribute('fill')).toBe('#ff007f');
+    expect(handle.getAttribute('stroke')).toBe('#ffffff');
+  });
+
+  test('leaves the live chart untouched', () => {
+    const chart = buildChart();
+    serializeChart(chart, { background: 'light' });
+
+    expect(chart.children).toHaveLength(5);
+    expect(chart.querySelector('line').getAttribute('stroke')).toBe('#333333');
+  });
+});
@@ -0,0 +1,145 @@
+// Geometry for the weight chart at a given width.
+//
+// The chart fills its container: the plot stretches horizontally and its
+// height follows the width within limits. X-axis labels are laid out to
+// avoid collisions: side by side when they fit, staggered over two rows when
+// they'd fit at twice the spacing, otherwise rotated and truncated.
+
+export const DEFAULT_CHART_WIDTH = 650;
+export const MIN_CHART_WIDTH = 320;
+
+// Room for the y-axis labels on the left, the Equal label on the right and
+// tooltips above a 100% point
+const PADDING = { top: 40, right: 90, left: 44 };
+
+const PLOT_ASPECT = 0.55;
+const MIN_PLOT_HEIGHT = 180;
+const MAX_PLOT_HEIGHT = 340;
+
+// Approximate width of a character of the 12px label font
+const CHAR_WIDTH = 7;
+const LABEL_GAP = 8;
+const LABEL_OFFSET = 20;
+const ROW_HEIGHT = 16;
+const MAX_ROTATED_CHARS = 16;
+const ROTATION = 45;
+
+export const truncateLabel = (name, maxChars) =>
+  name.length <= maxChars ? name : `${name.slice(0, Math.max(1, maxChars - 1))}…`;
+
+// Decide how to draw the x-axis labels given the distance between points
+export const layoutLabels = (names, spacing) => {
+  const longest = Math.max(0, ...names.map(name => name.length)) * CHAR_WIDTH;
+
+  if (longest + LABEL_GAP <= spacing) {
+    return { mode: 'horizontal', maxChars: Infinity };
+  }
+  if (longest + LABEL_GAP <= spacing * 2) {
+    return { mode: 'staggered', maxChars: Infinity };
+  }
+  return { mode: 'rotated', maxChars: MAX_ROTATED_CHARS };
+};
+
+// Space below the plot needed by the labels
+const labelSpace = ({ mode, maxChars }, names) => {
+  if (mode === 'horizontal') return LABEL_OFFSET + 10;
+  if (mode === 'staggered') return LABEL_OFFSET + ROW_HEIGHT + 10;
+
+  const longest = Math.max(0, ...names.map(name => Math.min(name.length, maxChars))) * CHAR_WIDTH;
+  return LABEL_OFFSET + Math.ceil(longest * Math.sin((ROTATION * Math.PI) / 180));
+};
+
+// Lay the chart out for `names.length` points at `width` pixels wide. An
+// `inset` keeps the first and last points that far in from the plot's edges,
+// e.g. to leave room for bars centred on them.
+export const chartLayout = (width, names, { inset = 0 } = {}) => {
+  const chartWidth = Math.max(MIN_CHART_WIDTH, Math.floor(width));
+  const contentWidth = chartWidth - PADDING.left - PADDING.right;
+  const span = contentWidth - 2 * inset;
+  const spacing = names.length > 1 ? span / (names.length - 1) : span;
+
+  const labels = layoutLabels(names, spacing);
+  const contentHeight = Math.round(
+    Math.min(MAX_PLOT_HEIGHT, Math.max(MIN_PLOT_HEIGHT, chartWidth * PLOT_ASPECT))
+  );
+  const padding = { ...PADDING, bottom: labelSpace(labels, names) };
+  const baseline = padding.top + contentHeight;
+
+  const xAt = (index) => padding.left + inset + (names.length > 1 ? index * spacing : 0);
+  const yAt = (weight) => baseline - (weight / 100) * contentHeight;
+
+  // Where the label for point `index` goes, and how to draw it
+  const labelAt = (index) => {
+    const x = xAt(index);
+    const text = truncateLabel(names[index], labels.maxChars);
+
+    if (labels.mode === 'rotated') {
+      return {
+        x,
+        y: baseline + LABEL_OFFSET - 6,
+        text,
+        textAnchor: 'start',
+        transform: `rotate(${ROTATION} ${x} ${baseline + LABEL_OFFSET - 6})`,
+      };
+    }
+
+    const row = labels.mode === 'staggered' ? index % 2 : 0;
+    return { x, y: baseline + LABEL_OFFSET + row * ROW_HEIGHT, text, textAnchor: 'middle' };
+  };
+
+  return {
+    width: chartWidth,
+    height: baseline + padding.bottom,
+    padding,
+    contentWidth,
+    contentHeight,
+    spacing,
+    labels,
+    xAt,
+    yAt,
+    labelAt,
+    // Weight under a y coordinate in chart pixels, clamped to 0-100
+    weightAt: (y) => Math.max(0, Math.min(100, ((baseline - y) / contentHeight) * 100)),
+  };
+};
+
+// Where each item's share starts and ends along a 0-100 scale, in list order
+export const segmentsOf = (items) => {
+  let start = 0;
+  return items.map(item => {
+    const segment = { start, end: start + item.weight };
+    start = segment.end;
+    return segment;
+  });
+};
+
+// Point at `percent` of the way round a circle, clockwise from 12 o'clock
+export const pointOnCircle = (cx, cy, radius, percent) => {
+  const angle = (percent / 100) * 2 * Math.PI - Math.PI / 2;
+  return { x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) };
+};
+
+// How far round the circle (0-100, clockwise from 12 o'clock) a point lies
+export const percentAroundCircle = (cx, cy, x, y) => {
+  const angle = Math.atan2(y - cy, x - cx) + Math.PI / 2;
+  return (((angle / (2 * Math.PI)) * 100) % 100 + 100) % 100;
+};
+
+// SVG path for the donut slice between `start` and `end` percent
+export const donutSlicePath = (cx, cy, inner, outer, start, end) => {
+  // A full ring can't be drawn as one arc; stop just short of closing it
+  const stop = Math.min(end, start + 99.999);
+  const largeArc = stop - start > 50 ? 1 : 0;
+  const outerStart = pointOnCircle(cx, cy, outer, start);
+  const outerEnd = pointOnCircle(cx, cy, outer, stop);
+  const innerEnd = pointOnCircle(cx, cy, inner, stop);
+  const innerStart = pointOnCircle(cx, cy, inner, start);
+
+  return [
+    `M ${outerStart.x},${outerStart.y}`,
+    `A ${outer},${outer} 0 ${largeArc} 1 ${outerEnd.x},${outerEnd.y}`,
+    `L ${innerEnd.x},${innerEnd.y}`,
+    `A ${inner},${inner} 0 ${largeArc} 0 ${innerStart.x},${innerStart.y}`,
+    'Z',
+  ].join(' ');
+};
@@ -0,0 +1,141 @@
+import {
+  MIN_CHART_WIDTH,
+  chartLayout,
+  layoutLabels,
+  percentAroundCircle,
+  pointOnCircle,
+  segmentsOf,
+  truncateLabel,
+} from './chartLayout';
+
+const names = (count, name = 'Creative') => Array.from({ length: count }, (_, i) => `${name} ${i + 1}`);
+
+describe('chartLayout', () => {
+  test('stretches the plot to the available width', () => {
+    const narrow = chartLayout(500, names(4));
+    const wide = chartLayout(900, names(4));
+
+    expect(narrow.width).toBe(500);
+    expect(wide.width).toBe(900);
+    expect(wide.contentWidth - narrow.contentWidth).toBe(400);
+    expect(wide.xAt(3) - wide.xAt(0)).toBe(wide.contentWidth);
+    expect(wide.height).toBeGreaterThanOrEqual(narrow.height);
+  });
+
+  test('never lays out narrower than the minimum width', () => {
+    expect(chartLayout(100, names(4)).width).toBe(MIN_CHART_WIDTH);
+    expect(chartLayout(0, names(4)).width).toBe(MIN_CHART_WIDTH);
+  });
+
+  test('places a single creative at the left edge of the plot', () => {
+    const layout = chartLayout(650, names(1));
+    expect(layout.xAt(0)).toBe(layout.padding.left);
+  });
+
+  test('keeps the end points away from the plot edges when inset', () => {
+    const layout = chartLayout(650, names(4), { inset: 24 });
+
+    expect(layout.xAt(0)).toBe(layout.padding.left + 24);
+    expect(layout.xAt(3)).toBe(layout.padding.left + layout.contentWidth - 24);
+    expect(layout.spacing).toBe((layout.contentWidth - 48) / 3);
+  });
+
+  test('maps weights to y and back', () => {
+    const layout = chartLayout(650, names(4));
+
+    expect(layout.yAt(100)).toBe(layout.padding.top);
+    expect(layout.yAt(0) - layout.yAt(100)).toBe(layout.contentHeight);
+    [0, 12.5, 50, 100].forEach(weight => {
+      expect(layout.weightAt(layout.yAt(weight))).toBeCloseTo(weight);
+    });
+  });
+
+  test('clamps weights picked outside the plot', () => {
+    const layout = chartLayout(650, names(4));
+
+    expect(layout.weightAt(-50)).toBe(100);
+    expect(layout.weightAt(layout.height + 50)).toBe(0);
+  });
+
+  test('makes room below the plot for rotated labels', () => {
+    const few = chartLayout(650, names(4));
+    const many = chartLayout(650, names(20, 'Spring campaign banner'));
+
+    expect(many.labels.mode).toBe('rotated');
+    expect(many.padding.bottom).toBeGreaterThan(few.padding.bottom);
+    expect(many.height - many.padding.bottom).toBe(few.height - few.padding.bottom);
+  });
+});
+
+describe('layoutLabels', () => {
+  test('keeps labels side by side when they fit', () => {
+    expect(layoutLabels(names(4), 180).mode).toBe('horizontal');
+  });
+
+  test('staggers labels that only fit at twice the spacing', () => {
+    expect(layoutLabels(names(10), 60).mode).toBe('staggered');
+  });
+
+  test('rotates and truncates labels that still collide', () => {
+    const layout = layoutLabels(names(20, 'Spring campaign banner'), 25);
+    expect(layout.mode).toBe('rotated');
+    expect(layout.maxChars).toBeLessThan(Infinity);
+  });
+});
+
+describe('labelAt', () => {
+  test('alternates rows when staggered', () => {
+    const layout = chartLayout(650, names(10));
+    expect(layout.labels.mode).toBe('staggered');
+
+    const [first, second, third] = [0, 1, 2].map(layout.labelAt);
+    expect(second.y).toBeGreaterThan(first.y);
+    expect(third.y).toBe(first.y);
+  });
+
+  test('rotates about the label position and shortens long names', () => {
+    const layout = chartLayout(650, names(20, 'Spring campaign banner'));
+    const label = layout.labelAt(3);
+
+    expect(label.transform).toBe(`rotate(45 ${label.x} ${label.y})`);
+    expect(label.text).toBe('Spring campaign…');
+  });
+});
+
+describe('truncateLabel', () => {
+  test('leaves short names alone', () => {
+    expect(truncateLabel('Banner', 10)).toBe('Banner');
+    expect(truncateLabel('Banner', Infinity)).toBe('Banner');
+  });
+
+  test('ends shortened names with an ellipsis', () => {
+    expect(truncateLabel('Spring campaign banner', 8)).toBe('Spring …');
+  });
+});
+
+describe('share geometry', () => {
+  test('segments run end to end in list order', () => {
+    expect(segmentsOf([{ weight: 50 }, { weight: 30 }, { weight: 20 }])).toEqual([
+      { start: 0, end: 50 },
+      { start: 50, end: 80 },
+      { start: 80, end: 100 },
+    ]);
+  });
+
+  test('percentages go clockwise from 12 o\'clock', () => {
+    const top = pointOnCircle(100, 100, 50, 0);
+    const right = pointOnCircle(100, 100, 50, 25);
+
+    expect(top.x).toBeCloseTo(100);
+    expect(top.y).toBeCloseTo(50);
+    expect(right.x).toBeCloseTo(150);
+    expect(right.y).toBeCloseTo(100);
+  });
+
+  test('reads a percentage back from a point', () => {
+    [0, 12.5, 25, 60, 99].forEach(percent => {
+      const { x, y } = pointOnCircle(100, 100, 50, percent);
+      expect(percentAroundCircle(100, 100, x, y)).toBeCloseTo(percent);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+// The adjustable curves offered in the editor's curve panel: which engine
+// strategy draws each one (see `strategies` in ./distribution), and the
+// parameters it takes with their slider ranges and defaults.
+
+export const CURVES = {
+  bellCurve: {
+    label: 'Bell curve',
+    params: [
+      { key: 'center', label: 'Peak at', min: 0, max: 100, step: 1, default: 50, unit: '%' },
+      { key: 'spread', label: 'Spread', min: 5, max: 100, step: 1, default: 40, unit: '%' },
+    ],
+  },
+  exponential: {
+    label: 'Exponential',
+    params: [
+      { key: 'ratio', label: 'First to last', min: 1, max: 100, step: 1, default: 10, unit: ':1' },
+    ],
+  },
+  linear: {
+    label: 'Linear',
+    params: [
+      { key: 'slope', label: 'Slope', min: -100, max: 100, step: 5, default: -50, unit: '%' },
+    ],
+  },
+  powerLaw: {
+    label: 'Power law (Zipf)',
+    params: [
+      { key: 'exponent', label: 'Exponent', min: 0, max: 3, step: 0.1, default: 1, unit: '' },
+    ],
+  },
+  step: {
+    label: 'Top N',
+    params: [
+      // At most one per creative
+      { key: 'topN', label: 'Top', min: 1, max: (count) => Math.max(1, count), step: 1, default: 1, unit: '' },
+      { key: 'share', label: 'Their share', min: 0, max: 100, step: 1, default: 50, unit: '%' },
+    ],
+  },
+};
+
+export const DEFAULT_CURVE = 'bellCurve';
+
+// Slider maximum for a parameter when there are `count` creatives
+export const paramMax = (param, count) =>
+  typeof param.max === 'function' ? param.max(count) : param.max;
+
+export const defaultParams = (curve) =>
+  Object.fromEntries(CURVES[curve].params.map(param => [param.key, param.default]));
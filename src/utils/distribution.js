@@ -0,0 +1,336 @@
+// Weight distribution engine.
+//
+// Pure functions that turn a list of creatives into a weight split. Nothing in
+// here touches React, so other tools can compute exactly the same splits as
+// the editor without mounting it.
+//
+// Items are plain objects shaped like `{ id, name, weight, locked }`, with
+// optional `min` and `max` bounds (percentages). Locked items always keep their
+// weight; unlocked items are kept within their bounds. Every function returns a
+// new array and never mutates the items passed in.
+//
+// Functions that produce weights accept a `precision` option (see
+// ./precision) and return weights on that grid; the default is whole percents.
+// They also accept a `method` option naming the apportionment method (see
+// ./apportionment) used to round shares so the total is always exact.
+
+import { apportion, apportionWithBounds } from './apportionment';
+import {
+  DEFAULT_PRECISION,
+  FINEST_PRECISION,
+  fromUnits,
+  roundWeight,
+  toUnits,
+  unitsPerPoint,
+} from './precision';
+import { metricStrategies } from './metrics';
+import { gamma } from './random';
+
+export const TOTAL_WEIGHT = 100;
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+// Thrown when the unlocked items' bounds can't all be met at once
+export class BoundsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BoundsError';
+  }
+}
+
+// An item's effective bounds; missing bounds leave it free
+export const boundsOf = (item) => ({
+  min: item.min ?? 0,
+  max: item.max ?? TOTAL_WEIGHT,
+});
+
+const hasBounds = (item) => item.min !== undefined || item.max !== undefined;
+
+// Sum on the finest grid so decimal weights don't pick up float noise
+export const sumWeights = (items) =>
+  roundWeight(sum(items.map(item => item.weight)), FINEST_PRECISION);
+
+// Scale raw shares to `total` on the precision grid. The shares are apportioned
+// in whole grid units, so they add up to `total` exactly. Pass `bounds` (one
+// `{ min, max }` per value) to keep every share within its bounds.
+export const roundToTotal = (values, total, { precision = DEFAULT_PRECISION, method, bounds } = {}) => {
+  const seats = toUnits(total, precision);
+  const units = unitsPerPoint(precision);
+
+  const shares = bounds
+    ? apportionWithBounds(values, seats, {
+        // Round bounds inwards so a share on the grid never crosses them
+        mins: bounds.map(({ min }) => Math.ceil(min * units - 1e-9)),
+        maxs: bounds.map(({ max }) => Math.floor(max * units + 1e-9)),
+        method,
+      })
+    : apportion(values, seats, method);
+
+  return shares.map(share => fromUnits(share, precision));
+};
+
+// Shape functions return one non-negative raw value per unlocked item. Only the
+// relative sizes matter; `distribute` scales them to the available weight.
+//
+// Curves are drawn across every position in the list, locked or not:
+// `distribute` passes `indexes`, the unlocked items' positions, and `slots`,
+// the length of the whole list, so locked items leave gaps in the curve
+// instead of shifting it. Called without them, a shape spans `count` items.
+// It also passes the unlocked items themselves as `items`, for strategies
+// that allocate by performance metrics (see ./metrics).
+// Curve parameters come in through the same options, in the units the editor
+// shows (percentages of the chart width or of the weight).
+const positionsOf = (count, { indexes, slots = count }) =>
+  (indexes ?? Array.from({ length: count }, (_, index) => index)).map(index => ({
+    index,
+    // 0 at the first slot, 1 at the last
+    t: slots > 1 ? index / (slots - 1) : 0.5,
+  }));
+
+export const strategies = {
+  even: (count) => Array.from({ length: count }, () => 1),
+
+  // Normal distribution peaking at `center` (% of the way along the list),
+  // with a standard deviation of `spread` % of the list
+  bellCurve: (count, { center = 50, spread = 40, ...options } = {}) =>
+    positionsOf(count, options).map(({ t }) =>
+      Math.exp(-0.5 * Math.pow((t - center / 100) / Math.max(spread / 100, 0.01), 2))
+    ),
+
+  // Decreasing exponentially so the last slot gets 1/`ratio` of the first
+  exponential: (count, { ratio = 10, ...options } = {}) =>
+    positionsOf(count, options).map(({ t }) => Math.pow(Math.max(ratio, 1), -t)),
+
+  // A straight line; `slope` from -100 (falling to zero) to 100 (rising from zero)
+  linear: (count, { slope = -50, ...options } = {}) =>
+    positionsOf(count, options).map(({ t }) => Math.max(0, 1 + (slope / 100) * (2 * t - 1))),
+
+  // Zipf's law: the item in slot n gets 1/n^`exponent`
+  powerLaw: (count, { exponent = 1, ...options } = {}) =>
+    positionsOf(count, options).map(({ index }) => Math.pow(index + 1, -exponent)),
+
+  // The first `topN` slots share `share` % and the rest split what's left
+  step: (count, { topN = 1, share = 50, ...options } = {}) => {
+    const slots = options.slots ?? count;
+    const top = Math.min(Math.max(1, Math.round(topN)), slots);
+    return positionsOf(count, options).map(({ index }) =>
+      index < top ? share / top : (100 - share) / Math.max(1, slots - top)
+    );
+  },
+
+  // Uniform values, or a Dirichlet sample with the given `concentration`.
+  // Pass a seeded `random` (see ./random) to make the split reproducible.
+  random: (count, { random = Math.random, generator = 'uniform', concentration = 1 } = {}) =>
+    Array.from({ length: count }, () =>
+      generator === 'dirichlet' ? gamma(Math.max(concentration, 0.01), random) : random()
+    ),
+
+  ...metricStrategies,
+};
+
+// Replace the weights of the unlocked items with `weights`, in order
+const mergeUnlocked = (items, weights) => {
+  let unlockedIndex = 0;
+  return items.map(item =>
+    item.locked ? item : { ...item, weight: weights[unlockedIndex++] }
+  );
+};
+
+// Weight left over for unlocked items once locked items are accounted for
+export const availableWeight = (items) =>
+  roundWeight(TOTAL_WEIGHT - sumWeights(items.filter(item => item.locked)), FINEST_PRECISION);
+
+// Describe why the bounds can't be met, or return null if they can. Only
+// unlocked items count: locked items keep their weight whatever their bounds.
+export const findBoundsError = (items) => {
+  const inverted = items.find(item => boundsOf(item).min > boundsOf(item).max);
+  if (inverted) {
+    return `${inverted.name}: minimum ${boundsOf(inverted).min}% is above its maximum ${boundsOf(inverted).max}%`;
+  }
+
+  const unlocked = items.filter(item => !item.locked);
+  if (unlocked.length === 0 || !unlocked.some(hasBounds)) return null;
+
+  const available = availableWeight(items);
+  const minTotal = roundWeight(sum(unlocked.map(item => boundsOf(item).min)), FINEST_PRECISION);
+  const maxTotal = roundWeight(sum(unlocked.map(item => boundsOf(item).max)), FINEST_PRECISION);
+
+  if (minTotal > available) {
+    return `Minimums add up to ${minTotal}%, more than the ${available}% available`;
+  }
+  if (maxTotal < available) {
+    return `Maximums add up to ${maxTotal}%, less than the ${available}% that must be distributed`;
+  }
+  return null;
+};
+
+// Raise every unlocked item's minimum to at least `minShare`
+export const withMinimumShare = (items, minShare = 0) =>
+  minShare > 0
+    ? items.map(item => (item.locked ? item : { ...item, min: Math.max(boundsOf(item).min, minShare) }))
+    : items;
+
+const assertFeasibleBounds = (items) => {
+  const message = findBoundsError(items);
+  if (message) throw new BoundsError(message);
+};
+
+const clamp = (value, low, high) => Math.max(low, Math.min(high, value));
+
+// Apply a distribution strategy to the unlocked items.
+//
+// `strategy` is either the name of one of the built-in `strategies` or a shape
+// function with the same signature. `options` is passed through to it, along
+// with the unlocked items' positions, as well as picking the precision and
+// apportionment method of the result. A `minShare` option sets a minimum
+// weight for every unlocked item on top of its own bounds. Throws a
+// BoundsError if the unlocked items' bounds can't be met.
+export const distribute = (items, strategy, options = {}) => {
+  const shape = typeof strategy === 'function' ? strategy : strategies[strategy];
+  if (!shape) {
+    throw new Error(`Unknown distribution strategy: ${strategy}`);
+  }
+
+  const constrained = withMinimumShare(items, options.minShare);
+  const unlocked = constrained.filter(item => !item.locked);
+  if (unlocked.length === 0) return items; // All items are locked
+  assertFeasibleBounds(constrained);
+
+  const indexes = items.flatMap((item, index) => (item.locked ? [] : [index]));
+  const available = Math.max(0, availableWeight(items));
+  const shares = shape(unlocked.length, { ...options, indexes, slots: items.length, items: unlocked });
+  const weights = roundToTotal(shares, available, {
+    ...options,
+    bounds: unlocked.map(boundsOf),
+  });
+
+  return mergeUnlocked(items, weights);
+};
+
+// Scale the unlocked items so that all weights sum to 100%, keeping their
+// relative sizes; unlocked items with no weight at all are split evenly.
+// Returns the items unchanged when locks leave nothing to scale.
+//
+// Pass `pinnedId` for the item that was just edited: it keeps the weight it
+// was given (as far as the locks and everyone's bounds allow) and only the
+// other unlocked items are scaled to make up the difference.
+//
+// Throws a BoundsError if the unlocked items' bounds can't be met.
+export const normalize = (items, options = {}) => {
+  const { precision = DEFAULT_PRECISION, pinnedId } = options;
+
+  const unlocked = items.filter(item => !item.locked);
+  const available = availableWeight(items);
+
+  // If all items are locked or the locked weight is already 100%, return as is
+  if (unlocked.length === 0 || available <= 0) return items;
+  assertFeasibleBounds(items);
+
+  const pinned = unlocked.find(item => item.id === pinnedId);
+  const others = unlocked.filter(item => item !== pinned);
+
+  if (pinned && others.length > 0) {
+    const own = boundsOf(pinned);
+    const otherBounds = others.map(boundsOf);
+
+    // The others must still be able to absorb whatever the pinned item leaves
+    const low = Math.max(0, own.min, available - sum(otherBounds.map(bounds => bounds.max)));
+    const high = Math.min(available, own.max, available - sum(otherBounds.map(bounds => bounds.min)));
+
+    const pinnedWeight = roundWeight(clamp(pinned.weight, low, high), precision);
+    const rest = roundWeight(available - pinnedWeight, FINEST_PRECISION);
+    const weights = roundToTotal(others.map(item => item.weight), rest, { ...options, bounds: otherBounds });
+
+    let otherIndex = 0;
+    return items.map(item => {
+      if (item.locked) return item;
+      if (item === pinned) return { ...item, weight: pinnedWeight };
+      return { ...item, weight: weights[otherIndex++] };
+    });
+  }
+
+  const weights = roundToTotal(unlocked.map(item => item.weight), available, {
+    ...options,
+    bounds: unlocked.map(boundsOf),
+  });
+
+  return mergeUnlocked(items, weights);
+};
+
+// Move every weight onto the precision grid, e.g. after switching to a coarser
+// precision, then normalize so the total is still exact.
+export const snapToPrecision = (items, options = {}) => {
+  const { precision = DEFAULT_PRECISION } = options;
+  return normalize(
+    items.map(item => ({ ...item, weight: roundWeight(item.weight, precision) })),
+    { ...options, precision }
+  );
+};
+
+// Move weight between an item and its donors only: `receiverId` ends up with
+// `weight` (as near as the grid and bounds allow) and the donors give or take
+// the difference, so the total and every other item stay the same.
+//
+// `donorIds` is one id or a list of them. A list is worked through in order:
+// the first donor absorbs as much of the change as its bounds allow before
+// the next one is touched. Locked donors are skipped, and the items come back
+// unchanged if the receiver is locked or no donor is left.
+export const transferWeight = (items, receiverId, donorIds, weight, { precision = DEFAULT_PRECISION } = {}) => {
+  const receiver = items.find(item => item.id === receiverId);
+  const donors = [].concat(donorIds)
+    .map(id => items.find(item => item.id === id))
+    .filter(donor => donor && donor !== receiver && !donor.locked);
+  if (!receiver || receiver.locked || donors.length === 0) return items;
+
+  const units = unitsPerPoint(precision);
+  const toGrid = (item) => toUnits(item.weight, precision);
+  const minUnits = (item) => Math.ceil(boundsOf(item).min * units - 1e-9);
+  const maxUnits = (item) => Math.floor(boundsOf(item).max * units + 1e-9);
+
+  // How far the donors can shrink or grow between them
+  const canGive = sum(donors.map(donor => Math.max(0, toGrid(donor) - minUnits(donor))));
+  const canTake = sum(donors.map(donor => Math.max(0, maxUnits(donor) - toGrid(donor))));
+
+  const current = toGrid(receiver);
+  const low = Math.max(0, minUnits(receiver), current - canTake);
+  const high = Math.min(maxUnits(receiver), current + canGive);
+  if (low > high) return items;
+
+  const received = clamp(toUnits(weight, precision), low, high);
+  let remaining = received - current;
+  const changes = new Map([[receiver, received]]);
+
+  donors.forEach(donor => {
+    const own = toGrid(donor);
+    const change = remaining > 0
+      ? Math.min(remaining, Math.max(0, own - minUnits(donor)))
+      : Math.max(remaining, -Math.max(0, maxUnits(donor) - own));
+    changes.set(donor, own - change);
+    remaining -= change;
+  });
+
+  return items.map(item =>
+    changes.has(item) ? { ...item, weight: fromUnits(changes.get(item), precision) } : item
+  );
+};
+
+// Who gives up weight when `receiverId` changes in pairwise mode, in order.
+// `rule` is 'next' or 'previous' for the nearest unlocked neighbour on that
+// side (or the other side at the end of the list), or 'largest' or
+// 'smallest' for every other unlocked item, taking from the largest or the
+// smallest first.
+export const pairwiseDonors = (items, receiverId, rule) => {
+  const index = items.findIndex(item => item.id === receiverId);
+  const unlocked = items.filter(item => !item.locked && item.id !== receiverId);
+
+  if (rule === 'largest' || rule === 'smallest') {
+    const direction = rule === 'largest' ? -1 : 1;
+    // Array#sort is stable, so ties keep list order
+    return [...unlocked].sort((a, b) => direction * (a.weight - b.weight)).map(item => item.id);
+  }
+
+  const after = unlocked.filter(item => items.indexOf(item) > index);
+  const before = unlocked.filter(item => items.indexOf(item) < index).reverse();
+  const [nearest] = rule === 'previous' ? [...before, ...after] : [...after, ...before];
+  return nearest ? [nearest.id] : [];
+};
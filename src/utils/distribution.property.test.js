@@ -0,0 +1,184 @@
+import fc from 'fast-check';
+import { TOTAL_WEIGHT, distribute, findBoundsError, normalize, strategies, sumWeights } from './distribution';
+import { APPORTIONMENT_METHODS } from './apportionment';
+import { PRECISIONS, roundWeight } from './precision';
+
+// Property-based checks: replay random sequences of the edits the editor can
+// make and check that every step leaves a valid, exactly-100% distribution.
+
+const editArbitrary = fc.oneof(
+  fc.record({ type: fc.constant('set'), index: fc.nat(), value: fc.double({ min: 0, max: 100, noNaN: true }) }),
+  fc.record({ type: fc.constant('toggleLock'), index: fc.nat() }),
+  fc.record({ type: fc.constant('preset'), strategy: fc.constantFrom(...Object.keys(strategies)) }),
+  fc.record({ type: fc.constant('add') }),
+  fc.record({ type: fc.constant('remove'), index: fc.nat() })
+);
+
+const scenarioArbitrary = fc.record({
+  count: fc.integer({ min: 1, max: 30 }),
+  precision: fc.constantFrom(...Object.keys(PRECISIONS)),
+  method: fc.constantFrom('largestRemainder', 'sainteLague'),
+  edits: fc.array(editArbitrary, { maxLength: 25 }),
+  seed: fc.integer(),
+});
+
+// Mirrors what the editor does for each kind of edit
+const applyEdit = (items, edit, options, random) => {
+  switch (edit.type) {
+    case 'set': {
+      const target = items[edit.index % items.length];
+      if (target.locked) return items;
+      const value = roundWeight(edit.value, options.precision);
+      const edited = items.map(item => (item === target ? { ...item, weight: value } : item));
+      return normalize(edited, { ...options, pinnedId: target.id });
+    }
+    case 'toggleLock': {
+      const target = items[edit.index % items.length];
+      return normalize(items.map(item => (item === target ? { ...item, locked: !item.locked } : item)), options);
+    }
+    case 'preset':
+      return distribute(items, edit.strategy, { ...options, random });
+    case 'add': {
+      const id = Math.max(...items.map(item => item.id)) + 1;
+      return normalize([...items, { id, name: `Creative ${id}`, weight: 0, locked: false }], options);
+    }
+    case 'remove': {
+      if (items.length <= 1) return items;
+      const target = items[edit.index % items.length];
+      return normalize(items.filter(item => item !== target), options);
+    }
+    default:
+      return items;
+  }
+};
+
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+};
+
+const lockedSum = (items) => sumWeights(items.filter(item => item.locked));
+
+test('every edit keeps weights valid and summing exactly to 100', () => {
+  fc.assert(
+    fc.property(scenarioArbitrary, ({ count, precision, method, edits, seed }) => {
+      const options = { precision, method };
+      const random = seededRandom(seed);
+      const initial = Array.from({ length: count }, (_, index) => ({
+        id: index + 1,
+        name: `Creative ${index + 1}`,
+        weight: 0,
+        locked: false,
+      }));
+
+      let items = distribute(initial, 'even', options);
+      expect(sumWeights(items)).toBe(TOTAL_WEIGHT);
+
+      for (const edit of edits) {
+        const before = items;
+        items = applyEdit(items, edit, options, random);
+
+        // Removing a locked item can leave nothing unlocked to absorb its weight
+        const allLocked = items.every(item => item.locked);
+        expect(allLocked ? TOTAL_WEIGHT : sumWeights(items)).toBe(TOTAL_WEIGHT);
+
+        for (const item of items) {
+          expect(item.weight).toBeGreaterThanOrEqual(0);
+          expect(roundWeight(item.weight, precision)).toBe(item.weight);
+        }
+
+        // Locked weights never move unless the lock itself was just toggled
+        const movedLocks = items.filter(item => {
+          const previous = before.find(other => other.id === item.id);
+          return previous && previous.locked && item.locked && previous.weight !== item.weight;
+        });
+        expect(movedLocks).toEqual([]);
+
+        expect(lockedSum(items)).toBeLessThanOrEqual(TOTAL_WEIGHT);
+      }
+    }),
+    { numRuns: 150 }
+  );
+});
+
+test('a pinned edit keeps its value whenever the locks leave room for it', () => {
+  fc.assert(
+    fc.property(
+      fc.array(fc.integer({ min: 0, max: 100 }), { minLength: 2, maxLength: 20 }),
+      fc.nat(),
+      fc.integer({ min: 0, max: 100 }),
+      (weights, pick, value) => {
+        const items = normalize(weights.map((weight, index) => ({
+          id: index + 1,
+          name: `Creative ${index + 1}`,
+          weight,
+          locked: false,
+        })));
+        const target = items[pick % items.length];
+        const edited = items.map(item => (item === target ? { ...item, weight: value } : item));
+        const result = normalize(edited, { pinnedId: target.id });
+
+        expect(result.find(item => item.id === target.id).weight).toBe(value);
+        expect(sumWeights(result)).toBe(TOTAL_WEIGHT);
+      }
+    )
+  );
+});
+
+test.each(Object.keys(APPORTIONMENT_METHODS))('%s normalization matches proportions within one unit', (method) => {
+  fc.assert(
+    fc.property(fc.array(fc.integer({ min: 1, max: 1000 }), { minLength: 1, maxLength: 15 }), (weights) => {
+      const items = weights.map((weight, index) => ({ id: index, name: `${index}`, weight, locked: false }));
+      const result = normalize(items, { method });
+      const total = weights.reduce((a, b) => a + b, 0);
+
+      result.forEach((item, index) => {
+        const quota = (weights[index] / total) * TOTAL_WEIGHT;
+        // Divisor methods may stray further from the quota than largest remainder
+        const tolerance = method === 'largestRemainder' ? 1 : weights.length;
+        expect(Math.abs(item.weight - quota)).toBeLessThan(tolerance);
+      });
+    })
+  );
+});
+
+test('presets and edits keep every unlocked item within feasible bounds', () => {
+  const boundedItemArbitrary = fc
+    .tuple(fc.integer({ min: 0, max: 15 }), fc.integer({ min: 20, max: 100 }))
+    .map(([min, max]) => ({ min, max }));
+
+  fc.assert(
+    fc.property(
+      fc.array(boundedItemArbitrary, { minLength: 2, maxLength: 6 }),
+      fc.constantFrom(...Object.keys(strategies)),
+      fc.nat(),
+      fc.integer({ min: 0, max: 100 }),
+      (bounds, strategy, pick, value) => {
+        const items = bounds.map((itemBounds, index) => ({
+          id: index + 1,
+          name: `Creative ${index + 1}`,
+          weight: 0,
+          locked: false,
+          ...itemBounds,
+        }));
+        fc.pre(findBoundsError(items) === null);
+
+        const preset = distribute(items, strategy);
+        const target = preset[pick % preset.length];
+        const edited = normalize(
+          preset.map(item => (item === target ? { ...item, weight: value } : item)),
+          { pinnedId: target.id }
+        );
+
+        for (const result of [preset, edited]) {
+          expect(sumWeights(result)).toBe(TOTAL_WEIGHT);
+          const outOfBounds = result.filter(item => item.weight < item.min || item.weight > item.max);
+          expect(outOfBounds).toEqual([]);
+        }
+      }
+    )
+  );
+});
@@ -0,0 +1,391 @@
+import {
+  BoundsError,
+  TOTAL_WEIGHT,
+  availableWeight,
+  distribute,
+  findBoundsError,
+  normalize,
+  pairwiseDonors,
+  roundToTotal,
+  snapToPrecision,
+  strategies,
+  sumWeights,
+  transferWeight,
+} from './distribution';
+import { createRandom } from './random';
+
+const makeItems = (weights, lockedIndexes = []) =>
+  weights.map((weight, index) => ({
+    id: index + 1,
+    name: `Creative ${index + 1}`,
+    weight,
+    locked: lockedIndexes.includes(index),
+  }));
+
+const weightsOf = (items) => items.map(item => item.weight);
+
+// Deterministic stand-in for Math.random
+const sequence = (values) => {
+  let index = 0;
+  return () => values[index++ % values.length];
+};
+
+describe('roundToTotal', () => {
+  test('returns integers that sum exactly to the total', () => {
+    const rounded = roundToTotal([1, 1, 1], 100);
+    expect(rounded).toEqual([34, 33, 33]);
+  });
+
+  test('splits evenly when every value is zero', () => {
+    expect(roundToTotal([0, 0, 0, 0], 10)).toEqual([3, 3, 2, 2]);
+  });
+
+  test('never produces negative shares', () => {
+    const rounded = roundToTotal([0.1, 0.5, 0.5, 0.5], 2);
+    expect(rounded).toEqual([0, 1, 1, 0]);
+  });
+
+  test('uses the requested apportionment method', () => {
+    expect(roundToTotal([100000, 80000, 30000, 20000], 8, { method: 'dhondt' })).toEqual([4, 3, 1, 0]);
+  });
+
+  test('handles an empty list', () => {
+    expect(roundToTotal([], 100)).toEqual([]);
+  });
+});
+
+describe('distribute', () => {
+  test('even splits 100 across all items', () => {
+    const result = distribute(makeItems([50, 25, 21, 4]), 'even');
+    expect(weightsOf(result)).toEqual([25, 25, 25, 25]);
+  });
+
+  test('even gives the remainder to the earliest items', () => {
+    const result = distribute(makeItems([10, 10, 10]), 'even');
+    expect(weightsOf(result)).toEqual([34, 33, 33]);
+  });
+
+  test('keeps locked items untouched', () => {
+    const items = makeItems([40, 10, 10, 40], [0]);
+    const result = distribute(items, 'even');
+
+    expect(result[0]).toBe(items[0]);
+    expect(weightsOf(result)).toEqual([40, 20, 20, 20]);
+  });
+
+  test('returns the same items when everything is locked', () => {
+    const items = makeItems([60, 40], [0, 1]);
+    expect(distribute(items, 'even')).toBe(items);
+  });
+
+  test('bell curve peaks in the middle and is symmetric', () => {
+    const weights = weightsOf(distribute(makeItems([20, 20, 20, 20, 20]), 'bellCurve'));
+
+    expect(Math.max(...weights)).toBe(weights[2]);
+    expect(weights[0]).toBeLessThan(weights[1]);
+    expect(weights[4]).toBeLessThan(weights[3]);
+  });
+
+  test('exponential is decreasing', () => {
+    const weights = weightsOf(distribute(makeItems([25, 25, 25, 25]), 'exponential'));
+
+    for (let i = 1; i < weights.length; i++) {
+      expect(weights[i]).toBeLessThan(weights[i - 1]);
+    }
+  });
+
+  test('curves take their parameters from the options', () => {
+    const items = makeItems([20, 20, 20, 20, 20]);
+
+    const peak = weightsOf(distribute(items, 'bellCurve', { center: 100, spread: 30 }));
+    expect(Math.max(...peak)).toBe(peak[4]);
+
+    expect(weightsOf(distribute(makeItems([50, 50]), 'exponential', { ratio: 4 }))).toEqual([80, 20]);
+    expect(weightsOf(distribute(makeItems([50, 50]), 'linear', { slope: 100 }))).toEqual([0, 100]);
+    expect(weightsOf(distribute(makeItems([25, 25, 25, 25]), 'powerLaw', { exponent: 1 }))).toEqual([48, 24, 16, 12]);
+    expect(weightsOf(distribute(makeItems([25, 25, 25, 25]), 'step', { topN: 2, share: 80 }))).toEqual([40, 40, 10, 10]);
+  });
+
+  test('curves keep their shape around locked items', () => {
+    // The locked item holds the peak's slot, so the others follow the curve
+    // either side of it rather than the peak moving onto one of them
+    const items = makeItems([20, 20, 20, 20, 20], [2]);
+    const weights = weightsOf(distribute(items, 'bellCurve'));
+
+    expect(weights[2]).toBe(20);
+    expect(weights[0]).toBe(weights[4]);
+    expect(weights[1]).toBe(weights[3]);
+    expect(weights[1]).toBeGreaterThan(weights[0]);
+  });
+
+  test('step counts locked items among the top slots', () => {
+    const items = makeItems([10, 30, 30, 30], [0]);
+    expect(weightsOf(distribute(items, 'step', { topN: 2, share: 80 }))).toEqual([10, 60, 15, 15]);
+  });
+
+  test('random uses the provided random source', () => {
+    const items = makeItems([25, 25, 25, 25]);
+    const result = distribute(items, 'random', { random: sequence([0.4, 0.3, 0.2, 0.1]) });
+
+    expect(weightsOf(result)).toEqual([40, 30, 20, 10]);
+  });
+
+  test('a seeded random split can be regenerated exactly', () => {
+    const items = makeItems([25, 25, 25, 25], [1]);
+    const options = { random: createRandom('q3'), generator: 'dirichlet', concentration: 0.5 };
+    const first = distribute(items, 'random', options);
+    const again = distribute(items, 'random', { ...options, random: createRandom('q3') });
+
+    expect(again).toEqual(first);
+    expect(first[1].weight).toBe(25);
+    expect(sumWeights(first)).toBe(TOTAL_WEIGHT);
+  });
+
+  test('minShare gives every unlocked item at least that much', () => {
+    const items = makeItems([25, 25, 25, 25], [0]);
+    const result = distribute(items, 'powerLaw', { exponent: 3, minShare: 15 });
+
+    expect(result[0].weight).toBe(25);
+    expect(result.slice(1).every(item => item.weight >= 15)).toBe(true);
+    expect(sumWeights(result)).toBe(TOTAL_WEIGHT);
+    // Only for this call: the items' own bounds are left alone
+    expect(result.every(item => item.min === undefined)).toBe(true);
+  });
+
+  test('throws a BoundsError when minShare cannot be met', () => {
+    expect(() => distribute(makeItems([25, 25, 25, 25]), 'random', { minShare: 30 })).toThrow(BoundsError);
+  });
+
+  test('accepts a custom shape function', () => {
+    const result = distribute(makeItems([50, 50]), (count) => [3, 1].slice(0, count));
+    expect(weightsOf(result)).toEqual([75, 25]);
+  });
+
+  test('throws for an unknown strategy', () => {
+    expect(() => distribute(makeItems([50, 50]), 'sideways')).toThrow(/Unknown distribution strategy/);
+  });
+
+  test.each(Object.keys(strategies))('%s always returns integers summing to 100', (strategy) => {
+    for (let count = 1; count <= 30; count++) {
+      const items = makeItems(Array.from({ length: count }, () => 0), count > 2 ? [1] : []);
+      const result = distribute(items, strategy);
+
+      expect(result.every(item => Number.isInteger(item.weight) && item.weight >= 0)).toBe(true);
+      expect(sumWeights(result)).toBe(TOTAL_WEIGHT);
+    }
+  });
+
+  test('does not mutate the input items', () => {
+    const items = makeItems([70, 20, 10]);
+    const snapshot = JSON.parse(JSON.stringify(items));
+
+    distribute(items, 'exponential');
+    expect(items).toEqual(snapshot);
+  });
+});
+
+describe('normalize', () => {
+  test('scales unlocked items proportionally to reach 100', () => {
+    const result = normalize(makeItems([60, 30, 30]));
+    expect(weightsOf(result)).toEqual([50, 25, 25]);
+  });
+
+  test('fixes rounding error so the total is exact', () => {
+    const result = normalize(makeItems([10, 10, 10]));
+    expect(sumWeights(result)).toBe(TOTAL_WEIGHT);
+  });
+
+  test('gives the single unlocked item the remaining weight', () => {
+    const result = normalize(makeItems([30, 50, 10], [0, 1]));
+    expect(weightsOf(result)).toEqual([30, 50, 20]);
+  });
+
+  test('splits evenly when unlocked items have no weight', () => {
+    const result = normalize(makeItems([40, 0, 0, 0], [0]));
+    expect(weightsOf(result)).toEqual([40, 20, 20, 20]);
+  });
+
+  test('returns items unchanged when locked weight is already 100%', () => {
+    const items = makeItems([60, 40, 10], [0, 1]);
+    expect(normalize(items)).toBe(items);
+  });
+
+  test('splits evenly when every weight is zero', () => {
+    expect(weightsOf(normalize(makeItems([0, 0])))).toEqual([50, 50]);
+  });
+
+  test('keeps the pinned item at its new weight and scales the others', () => {
+    // Creative 1 was dragged from 50 to 80
+    const result = normalize(makeItems([80, 25, 21, 4]), { pinnedId: 1 });
+    expect(weightsOf(result)).toEqual([80, 10, 8, 2]);
+  });
+
+  test('caps the pinned item at the weight left by locked items', () => {
+    const result = normalize(makeItems([70, 95, 5], [0]), { pinnedId: 2 });
+    expect(weightsOf(result)).toEqual([70, 30, 0]);
+  });
+
+  test('lets the pinned item absorb the difference when it is the only unlocked one', () => {
+    const result = normalize(makeItems([60, 10, 30], [0, 2]), { pinnedId: 2 });
+    expect(weightsOf(result)).toEqual([60, 10, 30]);
+  });
+
+  test('splits the rest evenly when the other items have no weight', () => {
+    const result = normalize(makeItems([40, 0, 0]), { pinnedId: 1 });
+    expect(weightsOf(result)).toEqual([40, 30, 30]);
+  });
+});
+
+describe('precision', () => {
+  test('even split uses the precision grid and still sums to 100', () => {
+    const result = distribute(makeItems([0, 0, 0]), 'even', { precision: 'hundredth' });
+    expect(weightsOf(result)).toEqual([33.34, 33.33, 33.33]);
+    expect(sumWeights(result)).toBe(TOTAL_WEIGHT);
+  });
+
+  test.each(['tenth', 'hundredth', 'basisPoints'])('%s presets sum exactly to 100', (precision) => {
+    for (let count = 1; count <= 40; count++) {
+      const items = makeItems(Array.from({ length: count }, () => 1));
+      for (const strategy of Object.keys(strategies)) {
+        expect(sumWeights(distribute(items, strategy, { precision }))).toBe(TOTAL_WEIGHT);
+      }
+    }
+  });
+
+  test('fine precision avoids zero weights for long lists', () => {
+    const result = distribute(makeItems(Array.from({ length: 35 }, () => 1)), 'exponential', { precision: 'hundredth' });
+    expect(result.every(item => item.weight > 0)).toBe(true);
+  });
+
+  test('normalize respects precision', () => {
+    const result = normalize(makeItems([1, 1, 1]), { precision: 'tenth' });
+    expect(weightsOf(result)).toEqual([33.4, 33.3, 33.3]);
+  });
+
+  test('snapToPrecision rounds to a coarser grid and keeps the total exact', () => {
+    const result = snapToPrecision(makeItems([33.33, 33.33, 33.34]), 'integer');
+    expect(result.every(item => Number.isInteger(item.weight))).toBe(true);
+    expect(sumWeights(result)).toBe(TOTAL_WEIGHT);
+  });
+});
+
+describe('bounds', () => {
+  const withBounds = (items, bounds) =>
+    items.map((item, index) => ({ ...item, ...bounds[index] }));
+
+  test('dragging one item up never pushes a bounded item below its minimum', () => {
+    const items = withBounds(makeItems([90, 25, 21, 4]), [{}, { min: 5 }, { min: 5 }, { min: 5 }]);
+    const result = normalize(items, { pinnedId: 1 });
+
+    expect(weightsOf(result)).toEqual([85, 5, 5, 5]);
+  });
+
+  test('caps an edited item at its own maximum', () => {
+    const items = withBounds(makeItems([70, 10, 20]), [{ max: 40 }, {}, {}]);
+    expect(weightsOf(normalize(items, { pinnedId: 1 }))[0]).toBe(40);
+  });
+
+  test('presets respect bounds', () => {
+    const items = withBounds(makeItems([25, 25, 25, 25]), [{ max: 30 }, {}, {}, { min: 10 }]);
+    const result = distribute(items, 'exponential');
+
+    expect(result[0].weight).toBeLessThanOrEqual(30);
+    expect(result[3].weight).toBeGreaterThanOrEqual(10);
+    expect(sumWeights(result)).toBe(TOTAL_WEIGHT);
+  });
+
+  test('bounds on locked items are ignored', () => {
+    const items = withBounds(makeItems([60, 20, 20], [0]), [{ max: 10 }, {}, {}]);
+    expect(findBoundsError(items)).toBeNull();
+  });
+
+  test('reports minimums that exceed the available weight', () => {
+    const items = withBounds(makeItems([30, 40, 30], [0]), [{}, { min: 40 }, { min: 40 }]);
+    expect(findBoundsError(items)).toBe('Minimums add up to 80%, more than the 70% available');
+  });
+
+  test('reports maximums that cannot reach the total', () => {
+    const items = withBounds(makeItems([50, 50]), [{ max: 40 }, { max: 40 }]);
+    expect(findBoundsError(items)).toMatch(/Maximums add up to 80%/);
+  });
+
+  test('reports a minimum above the maximum', () => {
+    const items = withBounds(makeItems([50, 50]), [{ min: 30, max: 20 }, {}]);
+    expect(findBoundsError(items)).toMatch(/Creative 1: minimum 30% is above its maximum 20%/);
+  });
+
+  test('normalize and distribute throw a BoundsError for infeasible bounds', () => {
+    const items = withBounds(makeItems([50, 50]), [{ min: 60 }, { min: 60 }]);
+
+    expect(() => normalize(items)).toThrow(BoundsError);
+    expect(() => distribute(items, 'even')).toThrow(BoundsError);
+  });
+});
+
+describe('availableWeight', () => {
+  test('is 100 minus the locked weight', () => {
+    expect(availableWeight(makeItems([30, 20, 50], [0, 1]))).toBe(50);
+  });
+});
+
+describe('transferWeight', () => {
+  test('moves weight between two items and leaves the rest alone', () => {
+    const result = transferWeight(makeItems([40, 30, 20, 10]), 2, 3, 45);
+    expect(weightsOf(result)).toEqual([40, 45, 5, 10]);
+  });
+
+  test('cannot take more than the donor has', () => {
+    expect(weightsOf(transferWeight(makeItems([40, 30, 20, 10]), 1, 4, 90))).toEqual([50, 30, 20, 0]);
+    expect(weightsOf(transferWeight(makeItems([40, 30, 20, 10]), 1, 4, -5))).toEqual([0, 30, 20, 50]);
+  });
+
+  test('respects both items\' bounds', () => {
+    const items = makeItems([40, 30, 20, 10]).map((item, index) =>
+      index === 0 ? { ...item, max: 45 } : index === 3 ? { ...item, min: 8 } : item
+    );
+    expect(weightsOf(transferWeight(items, 1, 4, 60))).toEqual([42, 30, 20, 8]);
+    expect(weightsOf(transferWeight(items, 1, 2, 60))).toEqual([45, 25, 20, 10]);
+  });
+
+  test('snaps to the precision grid', () => {
+    const result = transferWeight(makeItems([50, 50]), 1, 2, 33.333, { precision: 'tenth' });
+    expect(weightsOf(result)).toEqual([33.3, 66.7]);
+  });
+
+  test('does nothing when either item is locked', () => {
+    const items = makeItems([40, 30, 30], [1]);
+    expect(transferWeight(items, 1, 2, 50)).toBe(items);
+    expect(transferWeight(items, 2, 1, 50)).toBe(items);
+  });
+
+  test('works through a list of donors in order', () => {
+    const items = makeItems([10, 30, 20, 40]);
+    expect(weightsOf(transferWeight(items, 1, [4, 2, 3], 60))).toEqual([60, 20, 20, 0]);
+    expect(weightsOf(transferWeight(items, 1, [4, 2, 3], 0))).toEqual([0, 30, 20, 50]);
+  });
+
+  test('skips locked donors and stops when the donors run dry', () => {
+    const items = makeItems([10, 30, 20, 40], [3]);
+    expect(weightsOf(transferWeight(items, 1, [4, 3], 90))).toEqual([30, 30, 0, 40]);
+  });
+});
+
+describe('pairwiseDonors', () => {
+  const items = makeItems([10, 30, 20, 40], [1]);
+
+  test('picks the nearest unlocked neighbour, wrapping to the other side at the ends', () => {
+    expect(pairwiseDonors(items, 1, 'next')).toEqual([3]);
+    expect(pairwiseDonors(items, 3, 'previous')).toEqual([1]);
+    expect(pairwiseDonors(items, 4, 'next')).toEqual([3]);
+    expect(pairwiseDonors(items, 1, 'previous')).toEqual([3]);
+  });
+
+  test('orders every other unlocked item by size', () => {
+    expect(pairwiseDonors(items, 3, 'largest')).toEqual([4, 1]);
+    expect(pairwiseDonors(items, 3, 'smallest')).toEqual([1, 4]);
+  });
+
+  test('returns nobody when everyone else is locked', () => {
+    expect(pairwiseDonors(makeItems([60, 40], [1]), 1, 'next')).toEqual([]);
+  });
+});
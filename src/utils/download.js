@@ -0,0 +1,41 @@
+// Browser helpers for getting data out of the editor.
+
+// Save a Blob as a file through a temporary link
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadText = (text, fileName, mimeType = 'text/plain') => {
+  downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), fileName);
+};
+
+// Copy text to the clipboard; resolves to false if the browser refused
+export const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Read a File chosen in a picker or dropped on the page as text
+export const readFileText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+// Turn a display name into something safe to use as a file name
+export const toFileName = (name, extension) =>
+  `${(name || 'weights').trim().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'weights'}.${extension}`;
@@ -0,0 +1,139 @@
+// Groups of creatives, such as the ad groups of a campaign.
+//
+// A creative joins a group by carrying the group's name in `group`;
+// creatives without one stand alone. Weights stay absolute, each creative's
+// share of all traffic, so everything that works on the flat list of items
+// keeps working. A group's weight is the sum of its creatives' weights, a
+// creative's share of its group is its weight as a percentage of that, and a
+// group counts as locked when all of its creatives are.
+//
+// Editing at the group level goes through `groupLevel`, which turns the list
+// into one item-shaped entry per group or standalone creative, so the
+// distribution engine can work on it unchanged. `applyGroupLevel` then spreads
+// the entries' new weights back over the creatives.
+
+import { boundsOf, normalize, roundToTotal, sumWeights } from './distribution';
+import { FINEST_PRECISION, roundWeight } from './precision';
+
+export const hasGroups = (items) => items.some(item => item.group);
+
+// Group names in the order they first appear
+export const groupNames = (items) => [...new Set(items.filter(item => item.group).map(item => item.group))];
+
+export const membersOf = (items, group) => items.filter(item => item.group === group);
+
+// Keep each group's creatives together, at the position of its first creative
+export const orderByGroup = (items) => {
+  const firstIndex = new Map();
+  items.forEach((item, index) => {
+    if (item.group && !firstIndex.has(item.group)) firstIndex.set(item.group, index);
+  });
+
+  return items
+    .map((item, index) => ({ item, index, key: item.group ? firstIndex.get(item.group) : index }))
+    .sort((a, b) => a.key - b.key || a.index - b.index)
+    .map(({ item }) => item);
+};
+
+// Put a creative in `group`, or take it out of its group with an empty name
+export const assignGroup = (items, id, group) =>
+  orderByGroup(items.map(item => {
+    if (item.id !== id) return item;
+    const { group: _previous, ...rest } = item;
+    return group ? { ...rest, group } : rest;
+  }));
+
+export const renameGroup = (items, from, to) =>
+  items.map(item => (item.group === from ? { ...item, group: to } : item));
+
+export const setGroupLocked = (items, group, locked) =>
+  items.map(item => (item.group === group ? { ...item, locked } : item));
+
+export const isGroupLocked = (items, group) => membersOf(items, group).every(item => item.locked);
+
+// A creative's share of its group's weight in percent, or null for a
+// standalone creative or a group with no weight
+export const shareInGroup = (items, item) => {
+  if (!item.group) return null;
+  const total = sumWeights(membersOf(items, item.group));
+  return total > 0 ? (item.weight / total) * 100 : null;
+};
+
+// The top level of the hierarchy, in list order: one entry per group, with
+// the group's weight and bounds that keep its locked creatives' weight and
+// its creatives' own bounds achievable, and one per standalone creative.
+// Entries carry their creatives in `members`.
+export const groupLevel = (items) => {
+  const entries = [];
+  const seen = new Set();
+
+  items.forEach(item => {
+    if (!item.group) {
+      entries.push({ ...item, id: `item:${item.id}`, members: [item] });
+      return;
+    }
+    if (seen.has(item.group)) return;
+    seen.add(item.group);
+
+    const members = membersOf(items, item.group);
+    const locked = sumWeights(members.filter(member => member.locked));
+    const free = members.filter(member => !member.locked);
+    entries.push({
+      id: `group:${item.group}`,
+      name: item.group,
+      weight: sumWeights(members),
+      locked: free.length === 0,
+      min: roundWeight(locked + free.reduce((acc, member) => acc + boundsOf(member).min, 0), FINEST_PRECISION),
+      max: Math.min(100, roundWeight(locked + free.reduce((acc, member) => acc + boundsOf(member).max, 0), FINEST_PRECISION)),
+      members,
+      isGroup: true,
+    });
+  });
+
+  return entries;
+};
+
+// Spread the weights of `entries` (from `groupLevel`) back over the
+// creatives. Within a group the locked creatives keep their weight and the
+// others are scaled to make up the rest, or split it evenly if they have
+// none. Takes the engine's `precision` and `method` options and throws a
+// BoundsError if a group's creatives can't meet their bounds.
+export const applyGroupLevel = (items, entries, options = {}) => {
+  const weights = new Map();
+
+  entries.forEach(entry => {
+    if (entry.weight === sumWeights(entry.members)) return;
+
+    const free = entry.members.filter(member => !member.locked);
+    if (free.length === 0) return;
+
+    const rest = roundWeight(entry.weight - sumWeights(entry.members.filter(member => member.locked)), FINEST_PRECISION);
+    const shares = free.some(member => member.weight > 0) ? free.map(member => member.weight) : free.map(() => 1);
+    const spread = roundToTotal(shares, Math.max(0, rest), { ...options, bounds: free.map(boundsOf) });
+    free.forEach((member, index) => weights.set(member.id, spread[index]));
+  });
+
+  return items.map(item => (weights.has(item.id) ? { ...item, weight: weights.get(item.id) } : item));
+};
+
+// Stands in for everything outside a group, so normalize only moves weight
+// between the group's own creatives
+const OUTSIDE = Symbol('outside');
+
+// Set a creative's share of its group without changing the group's weight:
+// the group's other unlocked creatives make up the difference, as when a
+// weight is edited at the top level
+export const setShareInGroup = (items, id, share, options = {}) => {
+  const item = items.find(other => other.id === id);
+  if (!item || !item.group) return items;
+
+  const members = membersOf(items, item.group);
+  const total = sumWeights(members);
+  const outside = { id: OUTSIDE, name: 'Other creatives', weight: roundWeight(100 - total, FINEST_PRECISION), locked: true };
+  const edited = members.map(member => (member.id === id ? { ...member, weight: (share / 100) * total } : member));
+
+  const updated = new Map(
+    normalize([...edited, outside], { ...options, pinnedId: id }).map(member => [member.id, member])
+  );
+  return items.map(other => (other.group === item.group ? updated.get(other.id) : other));
+};
@@ -0,0 +1,106 @@
+import { normalize } from './distribution';
+import {
+  applyGroupLevel,
+  assignGroup,
+  groupLevel,
+  groupNames,
+  isGroupLocked,
+  orderByGroup,
+  setGroupLocked,
+  setShareInGroup,
+  shareInGroup,
+} from './groups';
+
+// Two creatives in Search, one standalone, two in Social
+const makeItems = () => [
+  { id: 1, name: 'A', weight: 30, locked: false, group: 'Search' },
+  { id: 2, name: 'B', weight: 10, locked: false, group: 'Search' },
+  { id: 3, name: 'C', weight: 20, locked: false },
+  { id: 4, name: 'D', weight: 25, locked: false, group: 'Social' },
+  { id: 5, name: 'E', weight: 15, locked: false, group: 'Social' },
+];
+
+const weightsOf = (items) => items.map(item => item.weight);
+
+describe('grouping', () => {
+  test('lists groups in order of first appearance', () => {
+    expect(groupNames(makeItems())).toEqual(['Search', 'Social']);
+  });
+
+  test('keeps a group\'s creatives together where its first creative is', () => {
+    const items = [
+      { id: 1, group: 'X' },
+      { id: 2 },
+      { id: 3, group: 'Y' },
+      { id: 4, group: 'X' },
+    ];
+    expect(orderByGroup(items).map(item => item.id)).toEqual([1, 4, 2, 3]);
+  });
+
+  test('assigning a creative moves it next to its new group', () => {
+    const items = assignGroup(makeItems(), 5, 'Search');
+    expect(items.map(item => item.id)).toEqual([1, 2, 5, 3, 4]);
+
+    const ungrouped = assignGroup(items, 1, '');
+    expect(ungrouped[0]).not.toHaveProperty('group');
+  });
+
+  test('a group is locked when all its creatives are', () => {
+    const items = setGroupLocked(makeItems(), 'Social', true);
+    expect(isGroupLocked(items, 'Social')).toBe(true);
+    expect(isGroupLocked(items, 'Search')).toBe(false);
+  });
+
+  test('shares are relative to the group\'s weight', () => {
+    const items = makeItems();
+    expect(shareInGroup(items, items[0])).toBe(75);
+    expect(shareInGroup(items, items[2])).toBeNull();
+  });
+});
+
+describe('groupLevel', () => {
+  test('has one entry per group and per standalone creative', () => {
+    const entries = groupLevel(makeItems());
+    expect(entries.map(entry => [entry.name, entry.weight])).toEqual([
+      ['Search', 40],
+      ['C', 20],
+      ['Social', 40],
+    ]);
+  });
+
+  test('a partly locked group can\'t shrink below its locked creatives', () => {
+    const items = makeItems().map(item => (item.id === 4 ? { ...item, locked: true } : item));
+    const social = groupLevel(items)[2];
+    expect(social.locked).toBe(false);
+    expect(social.min).toBe(25);
+  });
+
+  test('group weights spread back over the creatives in proportion', () => {
+    const items = makeItems();
+    const entries = normalize(
+      groupLevel(items).map(entry => (entry.name === 'Search' ? { ...entry, weight: 60 } : entry)),
+      { pinnedId: 'group:Search' }
+    );
+
+    expect(weightsOf(applyGroupLevel(items, entries))).toEqual([45, 15, 13, 17, 10]);
+  });
+
+  test('locked creatives keep their weight when their group changes', () => {
+    const items = makeItems().map(item => (item.id === 4 ? { ...item, locked: true } : item));
+    const entries = groupLevel(items).map(entry => (entry.name === 'Social' ? { ...entry, weight: 35 } : entry));
+
+    expect(weightsOf(applyGroupLevel(items, entries)).slice(3)).toEqual([25, 10]);
+  });
+});
+
+describe('setShareInGroup', () => {
+  test('moves weight within the group only', () => {
+    const items = setShareInGroup(makeItems(), 2, 50);
+    expect(weightsOf(items)).toEqual([20, 20, 20, 25, 15]);
+  });
+
+  test('leaves locked creatives in the group alone', () => {
+    const items = makeItems().map(item => (item.id === 1 ? { ...item, locked: true } : item));
+    expect(weightsOf(setShareInGroup(items, 2, 50))).toEqual(weightsOf(items));
+  });
+});
@@ -0,0 +1,260 @@
+// Reading and writing the creatives table as CSV or JSON.
+//
+// Both formats carry the same fields: `name` and `weight` are required,
+// `locked`, `id`, `min`, `max`, `group`, the performance metrics
+// `impressions`, `clicks` and `conversions`, and the ad server's creative ID
+// (`creative_id` in CSV, `creativeId` in JSON) are optional. Parsing never throws on bad
+// data; it returns the rows it could read plus an error for every row it
+// couldn't, so the editor can import what's valid and report the rest.
+
+export const FILE_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+};
+
+const METRIC_KEYS = ['impressions', 'clicks', 'conversions'];
+// New columns go at the end so existing spreadsheets keep their layout
+const CSV_COLUMNS = ['id', 'name', 'weight', 'locked', 'min', 'max', ...METRIC_KEYS, 'group', 'creative_id'];
+const REQUIRED_FIELDS = ['name', 'weight'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'locked'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'unlocked', ''];
+
+// Split CSV text into rows of fields, following RFC 4180 quoting. Each row
+// remembers the line it started on for error messages.
+export const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    // Skip blank lines
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) endRow();
+
+  return rows;
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value ?? '').trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+};
+
+// Numbers may come with a trailing % in spreadsheets
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const trimmed = String(value ?? '').trim().replace(/%$/, '');
+  return trimmed === '' ? NaN : Number(trimmed);
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Turn one raw record into an item, or describe what's wrong with it
+const readRecord = (record) => {
+  const name = String(record.name ?? '').trim();
+  if (name === '') return { error: 'Name is empty' };
+
+  const weight = parseNumber(record.weight);
+  if (isNaN(weight)) return { error: `Weight "${record.weight ?? ''}" is not a number` };
+  if (weight < 0 || weight > 100) return { error: `Weight ${weight} is outside 0-100` };
+
+  const locked = parseBoolean(record.locked);
+  if (locked === null) return { error: `Locked "${record.locked}" should be true or false` };
+
+  const item = { name, weight, locked };
+
+  const group = String(record.group ?? '').trim();
+  if (group !== '') item.group = group;
+
+  // JSON keys are lower-cased on the way in, so `creativeId` arrives as `creativeid`
+  const creativeId = String(record.creative_id ?? record.creativeid ?? '').trim();
+  if (creativeId !== '') item.creativeId = creativeId;
+
+  if (!isBlank(record.id)) {
+    const id = parseNumber(record.id);
+    if (!Number.isInteger(id) || id < 1) return { error: `Id "${record.id}" should be a positive whole number` };
+    item.id = id;
+  }
+
+  for (const key of ['min', 'max']) {
+    if (isBlank(record[key])) continue;
+    const bound = parseNumber(record[key]);
+    if (isNaN(bound) || bound < 0 || bound > 100) {
+      return { error: `${key === 'min' ? 'Minimum' : 'Maximum'} "${record[key]}" should be a number from 0 to 100` };
+    }
+    item[key] = bound;
+  }
+
+  for (const key of METRIC_KEYS) {
+    if (isBlank(record[key])) continue;
+    const count = parseNumber(record[key]);
+    if (!Number.isInteger(count) || count < 0) {
+      return { error: `${key[0].toUpperCase()}${key.slice(1)} "${record[key]}" should be a whole number` };
+    }
+    item[key] = count;
+  }
+
+  for (const key of ['clicks', 'conversions']) {
+    if (item[key] !== undefined && item[key] > (item.impressions ?? 0)) {
+      return { error: `${key[0].toUpperCase()}${key.slice(1)} (${item[key]}) can't exceed impressions (${item.impressions ?? 0})` };
+    }
+  }
+
+  return { item };
+};
+
+// Validate records, check ids are unique and hand out ids to rows without one
+const readRecords = (records) => {
+  const items = [];
+  const errors = [];
+  const seenIds = new Set();
+
+  records.forEach(({ row, record }) => {
+    const { item, error } = readRecord(record);
+    if (error) {
+      errors.push({ row, message: error });
+    } else if (item.id !== undefined && seenIds.has(item.id)) {
+      errors.push({ row, message: `Id ${item.id} is used more than once` });
+    } else {
+      if (item.id !== undefined) seenIds.add(item.id);
+      items.push(item);
+    }
+  });
+
+  let nextId = Math.max(0, ...seenIds) + 1;
+  return {
+    items: items.map(item => (item.id === undefined ? { ...item, id: nextId++ } : item)),
+    errors,
+  };
+};
+
+const parseCsvItems = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return { items: [], errors: [{ row: 1, message: 'The file is empty' }] };
+
+  const columns = header.fields.map(column => column.trim().toLowerCase());
+  const missing = REQUIRED_FIELDS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return {
+      items: [],
+      errors: missing.map(column => ({ row: header.line, message: `Missing required column "${column}"` })),
+    };
+  }
+
+  return readRecords(rows.map(({ line, fields }) => ({
+    row: line,
+    record: Object.fromEntries(columns.map((column, index) => [column, fields[index]])),
+  })));
+};
+
+const parseJsonItems = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { items: [], errors: [{ row: null, message: `Invalid JSON: ${error.message}` }] };
+  }
+
+  const records = Array.isArray(data) ? data : data && data.items;
+  if (!Array.isArray(records)) {
+    return { items: [], errors: [{ row: null, message: 'Expected an array of creatives or an object with an "items" array' }] };
+  }
+
+  // JSON rows are numbered by their position in the array, starting at 1
+  return readRecords(records.map((record, index) => ({
+    row: index + 1,
+    record: record && typeof record === 'object'
+      ? Object.fromEntries(Object.entries(record).map(([key, value]) => [key.toLowerCase(), value]))
+      : {},
+  })));
+};
+
+// Guess the format from the file name, falling back to sniffing the content
+export const detectFormat = (fileName = '', text = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (FILE_FORMATS[extension]) return extension;
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+};
+
+// Parse a file's text into `{ items, errors }`. Errors are `{ row, message }`;
+// `row` is the CSV line or JSON array position, or null for the whole file.
+export const parseItemsFile = (text, format) =>
+  format === 'json' ? parseJsonItems(text) : parseCsvItems(text);
+
+export const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const itemsToCsv = (items) => {
+  const rows = items.map(item =>
+    CSV_COLUMNS.map(column => {
+      if (column === 'locked') return escapeCsv(Boolean(item.locked));
+      return escapeCsv(column === 'creative_id' ? item.creativeId : item[column]);
+    }).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+};
+
+export const itemsToJson = (items) =>
+  JSON.stringify(
+    items.map(({ id, creativeId, name, group, weight, locked, min, max, impressions, clicks, conversions }) => ({
+      id,
+      creativeId,
+      name,
+      group,
+      weight,
+      locked: Boolean(locked),
+      min,
+      max,
+      impressions,
+      clicks,
+      conversions,
+    })),
+    null,
+    2
+  ) + '\n';
+
+export const serializeItems = (items, format) =>
+  format === 'json' ? itemsToJson(items) : itemsToCsv(items);
@@ -0,0 +1,148 @@
+import { detectFormat, itemsToCsv, itemsToJson, parseCsv, parseItemsFile } from './itemsFile';
+
+const items = [
+  { id: 1, name: 'Creative 1', weight: 60, locked: true },
+  { id: 2, name: 'Summer, "big" banner', weight: 40, locked: false, min: 5, max: 70 },
+];
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes and CRLF line endings', () => {
+    const rows = parseCsv('name,weight\r\n"A, B",10\r\n"Say ""hi""",20\r\n');
+    expect(rows.map(row => row.fields)).toEqual([
+      ['name', 'weight'],
+      ['A, B', '10'],
+      ['Say "hi"', '20'],
+    ]);
+  });
+
+  test('skips blank lines but keeps line numbers', () => {
+    const rows = parseCsv('name,weight\n\nA,10\n');
+    expect(rows.map(row => row.line)).toEqual([1, 3]);
+  });
+});
+
+describe('parseItemsFile', () => {
+  test('reads CSV with optional columns in any order', () => {
+    const { items: parsed, errors } = parseItemsFile('Weight,Name,Locked\n70%,Hero,yes\n30,Side,\n', 'csv');
+
+    expect(errors).toEqual([]);
+    expect(parsed).toEqual([
+      { id: 1, name: 'Hero', weight: 70, locked: true },
+      { id: 2, name: 'Side', weight: 30, locked: false },
+    ]);
+  });
+
+  test('reports bad rows and keeps the good ones', () => {
+    const csv = [
+      'id,name,weight,locked',
+      '1,Good,50,false',
+      '2,,10,false',
+      '3,Heavy,150,false',
+      '4,Odd,abc,false',
+      '5,Maybe,10,perhaps',
+      '1,Duplicate,10,false',
+      'x,Bad id,10,false',
+    ].join('\n');
+
+    const { items: parsed, errors } = parseItemsFile(csv, 'csv');
+
+    expect(parsed.map(item => item.name)).toEqual(['Good']);
+    expect(errors).toEqual([
+      { row: 3, message: 'Name is empty' },
+      { row: 4, message: 'Weight 150 is outside 0-100' },
+      { row: 5, message: 'Weight "abc" is not a number' },
+      { row: 6, message: 'Locked "perhaps" should be true or false' },
+      { row: 7, message: 'Id 1 is used more than once' },
+      { row: 8, message: 'Id "x" should be a positive whole number' },
+    ]);
+  });
+
+  test('requires the name and weight columns', () => {
+    const { items: parsed, errors } = parseItemsFile('title,share\nA,10\n', 'csv');
+
+    expect(parsed).toEqual([]);
+    expect(errors.map(error => error.message)).toEqual([
+      'Missing required column "name"',
+      'Missing required column "weight"',
+    ]);
+  });
+
+  test('assigns ids after the highest id in the file', () => {
+    const { items: parsed } = parseItemsFile('name,weight,id\nA,10,7\nB,20,\n', 'csv');
+    expect(parsed.map(item => item.id)).toEqual([7, 8]);
+  });
+
+  test('reads a JSON array or an object with items', () => {
+    const json = JSON.stringify({ items: [{ Name: 'A', Weight: 25, Locked: true }, { name: 'B', weight: '75' }] });
+    const { items: parsed, errors } = parseItemsFile(json, 'json');
+
+    expect(errors).toEqual([]);
+    expect(parsed).toEqual([
+      { id: 1, name: 'A', weight: 25, locked: true },
+      { id: 2, name: 'B', weight: 75, locked: false },
+    ]);
+  });
+
+  test('reads performance metrics and checks they add up', () => {
+    const csv = [
+      'name,weight,impressions,clicks,conversions',
+      'A,50,1000,40,3',
+      'B,50,,,',
+      'C,0,100,200,',
+      'D,0,1.5,,',
+    ].join('\n');
+    const { items: parsed, errors } = parseItemsFile(csv, 'csv');
+
+    expect(parsed).toEqual([
+      { id: 1, name: 'A', weight: 50, locked: false, impressions: 1000, clicks: 40, conversions: 3 },
+      { id: 2, name: 'B', weight: 50, locked: false },
+    ]);
+    expect(errors).toEqual([
+      { row: 4, message: "Clicks (200) can't exceed impressions (100)" },
+      { row: 5, message: 'Impressions "1.5" should be a whole number' },
+    ]);
+  });
+
+  test('reports invalid JSON and unexpected shapes', () => {
+    expect(parseItemsFile('{oops', 'json').errors[0].message).toMatch(/^Invalid JSON/);
+    expect(parseItemsFile('{"name":"A"}', 'json').errors[0].message).toMatch(/Expected an array/);
+  });
+});
+
+describe('export', () => {
+  test('CSV round-trips through the parser', () => {
+    expect(parseItemsFile(itemsToCsv(items), 'csv')).toEqual({ items, errors: [] });
+  });
+
+  test('metrics round-trip through both formats', () => {
+    const measured = [{ id: 3, name: 'Measured', weight: 100, locked: false, impressions: 500, clicks: 25, conversions: 2 }];
+
+    expect(parseItemsFile(itemsToCsv(measured), 'csv')).toEqual({ items: measured, errors: [] });
+    expect(parseItemsFile(itemsToJson(measured), 'json')).toEqual({ items: measured, errors: [] });
+  });
+
+  test('JSON round-trips through the parser', () => {
+    expect(parseItemsFile(itemsToJson(items), 'json')).toEqual({ items, errors: [] });
+  });
+
+  test('CSV has a header row and quotes awkward names', () => {
+    expect(itemsToCsv(items)).toBe(
+      'id,name,weight,locked,min,max,impressions,clicks,conversions,group,creative_id\n' +
+      '1,Creative 1,60,true,,,,,,,\n' +
+      '2,"Summer, ""big"" banner",40,false,5,70,,,,,\n'
+    );
+  });
+
+  test('groups and creative IDs round-trip through both formats', () => {
+    const grouped = items.map(item => ({ ...item, group: 'Display', creativeId: `13800${item.id}` }));
+    expect(parseItemsFile(itemsToCsv(grouped), 'csv')).toEqual({ items: grouped, errors: [] });
+    expect(parseItemsFile(itemsToJson(grouped), 'json')).toEqual({ items: grouped, errors: [] });
+  });
+});
+
+test('detectFormat uses the extension, then the content', () => {
+  expect(detectFormat('weights.JSON', '')).toBe('json');
+  expect(detectFormat('weights.csv', '[')).toBe('csv');
+  expect(detectFormat('clipboard', '  [{"name":"A"}]')).toBe('json');
+  expect(detectFormat('clipboard', 'name,weight')).toBe('csv');
+});
@@ -0,0 +1,113 @@
+// Performance metrics on creatives and the strategies that allocate by them.
+//
+// Items may carry `impressions`, `clicks` and `conversions` counts. The
+// strategies estimate each creative's success rate for a goal (clicks or
+// conversions per impression) and turn it into raw shares for `distribute`,
+// which respects locks and bounds and rounds to the precision grid like any
+// other preset. Rates are Bayesian estimates with a weak prior centred on the
+// pooled rate of the creatives being compared, so a creative with no data
+// counts as average rather than zero, and one lucky click doesn't win
+// everything.
+
+import { gamma } from './random';
+
+export const METRIC_FIELDS = [
+  { key: 'impressions', label: 'Impressions' },
+  { key: 'clicks', label: 'Clicks' },
+  { key: 'conversions', label: 'Conversions' },
+];
+
+export const METRIC_GOALS = {
+  clicks: { label: 'CTR' },
+  conversions: { label: 'Conversion rate' },
+};
+
+export const DEFAULT_METRIC_GOAL = 'clicks';
+
+export const hasMetrics = (item) => item.impressions !== undefined;
+
+// Successes and failures for `goal`, from the item's counts
+const outcomes = (item, goal) => {
+  const impressions = item.impressions ?? 0;
+  const successes = Math.min(item[goal] ?? 0, impressions);
+  return { successes, failures: impressions - successes };
+};
+
+// Observed rate, or null without impressions
+export const observedRate = (item, goal = DEFAULT_METRIC_GOAL) =>
+  item.impressions > 0 ? Math.min(item[goal] ?? 0, item.impressions) / item.impressions : null;
+
+// How many impressions' worth of evidence the prior counts as
+const PRIOR_STRENGTH = 2;
+
+const UNIFORM_PRIOR = { alpha: 1, beta: 1 };
+
+// Beta prior with the pooled rate of `items` as its mean; uniform when none
+// of them has data
+export const pooledPrior = (items, goal = DEFAULT_METRIC_GOAL) => {
+  const totals = items.map(item => outcomes(item, goal));
+  const successes = totals.reduce((acc, { successes }) => acc + successes, 0);
+  const trials = totals.reduce((acc, { successes, failures }) => acc + successes + failures, 0);
+  if (trials === 0) return UNIFORM_PRIOR;
+
+  // Keep both parameters positive even when nothing or everything succeeded
+  const mean = Math.min(Math.max(successes / trials, 0.001), 0.999);
+  return { alpha: mean * PRIOR_STRENGTH, beta: (1 - mean) * PRIOR_STRENGTH };
+};
+
+// Posterior mean of the rate
+export const estimatedRate = (item, goal = DEFAULT_METRIC_GOAL, { alpha, beta } = UNIFORM_PRIOR) => {
+  const { successes, failures } = outcomes(item, goal);
+  return (successes + alpha) / (successes + failures + alpha + beta);
+};
+
+const betaSample = (alpha, beta, random) => {
+  const x = gamma(alpha, random);
+  return x / (x + gamma(beta, random));
+};
+
+// Shape functions in the same form as `strategies` in ./distribution. They
+// read the unlocked items, which `distribute` passes in as `items`.
+export const metricStrategies = {
+  // Shares proportional to each creative's estimated rate
+  rateProportional: (count, { items = [], goal = DEFAULT_METRIC_GOAL } = {}) => {
+    const prior = pooledPrior(items, goal);
+    return items.map(item => estimatedRate(item, goal, prior));
+  },
+
+  // Thompson sampling: each creative's share is the probability that it's
+  // the best, estimated by drawing `samples` rates from every posterior
+  thompson: (count, { items = [], goal = DEFAULT_METRIC_GOAL, samples = 1000, random = Math.random } = {}) => {
+    const prior = pooledPrior(items, goal);
+    const wins = items.map(() => 0);
+    const posteriors = items.map(item => {
+      const { successes, failures } = outcomes(item, goal);
+      return [successes + prior.alpha, failures + prior.beta];
+    });
+
+    for (let draw = 0; draw < samples; draw++) {
+      let best = 0;
+      let bestRate = -1;
+      posteriors.forEach(([alpha, beta], index) => {
+        const rate = betaSample(alpha, beta, random);
+        if (rate > bestRate) {
+          best = index;
+          bestRate = rate;
+        }
+      });
+      wins[best] += 1;
+    }
+    return wins;
+  },
+
+  // Epsilon-greedy: `epsilon` % is spread evenly to keep exploring and the
+  // rest goes to the creative(s) with the best estimated rate
+  epsilonGreedy: (count, { items = [], goal = DEFAULT_METRIC_GOAL, epsilon = 10 } = {}) => {
+    const prior = pooledPrior(items, goal);
+    const rates = items.map(item => estimatedRate(item, goal, prior));
+    const bestRate = Math.max(...rates);
+    const leaders = rates.filter(rate => rate === bestRate).length;
+
+    return rates.map(rate => epsilon / count + (rate === bestRate ? (100 - epsilon) / leaders : 0));
+  },
+};
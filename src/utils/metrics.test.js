@@ -0,0 +1,88 @@
+import { distribute, sumWeights, TOTAL_WEIGHT } from './distribution';
+import { estimatedRate, metricStrategies, observedRate, pooledPrior } from './metrics';
+import { createRandom } from './random';
+
+const creative = (id, impressions, clicks, extra = {}) => ({
+  id,
+  name: `Creative ${id}`,
+  weight: 25,
+  locked: false,
+  impressions,
+  clicks,
+  ...extra,
+});
+
+const weightsOf = (items) => items.map(item => item.weight);
+
+describe('rates', () => {
+  test('observed rate needs impressions', () => {
+    expect(observedRate(creative(1, 200, 10))).toBe(0.05);
+    expect(observedRate({ id: 1 })).toBeNull();
+  });
+
+  test('estimated rate shrinks towards a half with little data', () => {
+    expect(estimatedRate({ id: 1 })).toBe(0.5);
+    expect(estimatedRate(creative(1, 1, 1))).toBeCloseTo(2 / 3);
+    expect(estimatedRate(creative(1, 10000, 500))).toBeCloseTo(0.05, 3);
+  });
+
+  test('the pooled prior centres unmeasured creatives on the average', () => {
+    const measured = [creative(1, 1000, 30), creative(2, 1000, 10)];
+    const prior = pooledPrior(measured);
+
+    expect(prior.alpha / (prior.alpha + prior.beta)).toBeCloseTo(0.02);
+    expect(estimatedRate({ id: 3 }, 'clicks', prior)).toBeCloseTo(0.02);
+    expect(pooledPrior([{ id: 1 }])).toEqual({ alpha: 1, beta: 1 });
+  });
+
+  test('uses the goal metric', () => {
+    const item = creative(1, 100, 20, { conversions: 5 });
+    expect(observedRate(item, 'conversions')).toBe(0.05);
+  });
+});
+
+describe('metric strategies', () => {
+  const items = [creative(1, 1000, 50), creative(2, 1000, 20), creative(3, 1000, 30)];
+
+  test('rate-proportional shares follow CTR', () => {
+    const weights = weightsOf(distribute(items, 'rateProportional'));
+    expect(weights[0]).toBeGreaterThan(weights[2]);
+    expect(weights[2]).toBeGreaterThan(weights[1]);
+    expect(sumWeights(weights.map(weight => ({ weight })))).toBe(TOTAL_WEIGHT);
+  });
+
+  test('Thompson sampling favours the clear winner', () => {
+    const shares = metricStrategies.thompson(3, { items, random: createRandom('bandit') });
+    expect(shares.reduce((acc, value) => acc + value, 0)).toBe(1000);
+    expect(shares[0]).toBeGreaterThan(900);
+  });
+
+  test('Thompson sampling explores when there is no data', () => {
+    const fresh = [{ id: 1 }, { id: 2 }];
+    const [first, second] = metricStrategies.thompson(2, { items: fresh, random: createRandom('even') });
+    expect(Math.abs(first - second)).toBeLessThan(150);
+  });
+
+  test('epsilon-greedy gives the leader all but the exploration floor', () => {
+    expect(weightsOf(distribute(items, 'epsilonGreedy', { epsilon: 30 }))).toEqual([80, 10, 10]);
+  });
+
+  test('leaders that tie share the exploitation weight', () => {
+    const tied = [creative(1, 100, 10), creative(2, 100, 10), creative(3, 100, 0), creative(4, 100, 0)];
+    expect(weightsOf(distribute(tied, 'epsilonGreedy', { epsilon: 20 }))).toEqual([45, 45, 5, 5]);
+  });
+
+  test('creatives without data do not beat measured ones', () => {
+    const mixed = [creative(1, 1000, 50), creative(2, 1000, 20), { id: 3, name: 'New', weight: 0, locked: false }];
+    const weights = weightsOf(distribute(mixed, 'epsilonGreedy', { epsilon: 30 }));
+
+    expect(weights).toEqual([80, 10, 10]);
+  });
+
+  test('locked creatives keep their weight and are left out of the contest', () => {
+    const withLock = [{ ...creative(1, 1000, 90), weight: 40, locked: true }, ...items.slice(1)];
+    const result = distribute(withLock, 'epsilonGreedy', { epsilon: 0 });
+
+    expect(weightsOf(result)).toEqual([40, 0, 60]);
+  });
+});
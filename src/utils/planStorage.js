@@ -0,0 +1,137 @@
+// Named weight plans and their persistence.
+//
+// All plans live in browser storage under one key, as a store shaped like
+// `{ currentPlanId, plans: [{ id, name, items, precision, apportionment, random, updatedAt }] }`,
+// where `random` holds the seed and settings (see ./random) of the random split
+// the weights came from, or null once they've been edited some other way,
+// `baseline` is an optional `{ pinnedAt, items }` snapshot to compare against,
+// `schedule` holds optional dated phases of weights (see ./schedule), and
+// `validation` optionally overrides the checks the plan is held to (see
+// ./validation).
+// The functions that change the store are pure and return a new store; the
+// usePlans hook holds it in React state and writes it back on every change.
+
+import { DEFAULT_APPORTIONMENT } from './apportionment';
+import { DEFAULT_PRECISION } from './precision';
+
+export const STORAGE_KEY = 'custom-weights-graph:plans';
+
+export const DEFAULT_ITEMS = [
+  { id: 1, name: 'Creative 1', weight: 50, locked: false },
+  { id: 2, name: 'Creative 2', weight: 25, locked: false },
+  { id: 3, name: 'Creative 3', weight: 21, locked: false },
+  { id: 4, name: 'Creative 4', weight: 4, locked: false },
+];
+
+const generateId = () =>
+  `plan-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// localStorage can be missing or throw (private browsing, disabled cookies)
+const defaultStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const createPlan = (name, fields = {}) => ({
+  id: generateId(),
+  name,
+  items: DEFAULT_ITEMS,
+  precision: DEFAULT_PRECISION,
+  apportionment: DEFAULT_APPORTIONMENT,
+  ...fields,
+  updatedAt: Date.now(),
+});
+
+export const createStore = () => {
+  const plan = createPlan('Untitled plan');
+  return { currentPlanId: plan.id, plans: [plan] };
+};
+
+const isValidPlan = (plan) =>
+  Boolean(plan) && typeof plan.id === 'string' && Array.isArray(plan.items);
+
+// Read the store, falling back to a fresh one if nothing usable is saved
+export const loadStore = (storage = defaultStorage()) => {
+  try {
+    const saved = storage && JSON.parse(storage.getItem(STORAGE_KEY));
+    const plans = saved && Array.isArray(saved.plans) ? saved.plans.filter(isValidPlan) : [];
+
+    if (plans.length > 0) {
+      const currentPlanId = plans.some(plan => plan.id === saved.currentPlanId)
+        ? saved.currentPlanId
+        : plans[0].id;
+      return { currentPlanId, plans };
+    }
+  } catch (error) {
+    // Corrupt JSON is treated the same as having nothing saved
+  }
+  return createStore();
+};
+
+// Write the store; returns false if the browser refused
+export const saveStore = (store, storage = defaultStorage()) => {
+  if (!storage) return false;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(store));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The store as it may be saved when `canSave` rejects some plans: those keep
+// the version in `saved`, the store last written, or are left out if they
+// were never saved
+export const withSavablePlans = (store, saved, canSave) => ({
+  ...store,
+  plans: store.plans.flatMap(plan => {
+    if (canSave(plan)) return [plan];
+    const previous = saved?.plans.find(savedPlan => savedPlan.id === plan.id);
+    return previous ? [previous] : [];
+  }),
+});
+
+export const getCurrentPlan = (store) =>
+  store.plans.find(plan => plan.id === store.currentPlanId) || store.plans[0];
+
+export const selectPlan = (store, id) =>
+  store.plans.some(plan => plan.id === id) ? { ...store, currentPlanId: id } : store;
+
+// Add a plan and make it the current one
+export const addPlan = (store, plan) => ({
+  currentPlanId: plan.id,
+  plans: [...store.plans, plan],
+});
+
+export const updatePlan = (store, id, changes) => ({
+  ...store,
+  plans: store.plans.map(plan =>
+    plan.id === id ? { ...plan, ...changes, updatedAt: Date.now() } : plan
+  ),
+});
+
+// Copy a plan next to the original and switch to the copy
+export const duplicatePlan = (store, id) => {
+  const original = store.plans.find(plan => plan.id === id);
+  if (!original) return store;
+
+  const { id: _id, updatedAt, name, ...fields } = original;
+  return addPlan(store, createPlan(`${name} (copy)`, fields));
+};
+
+// Delete a plan. The last remaining plan can't be deleted; if the current plan
+// goes, its neighbour becomes current.
+export const deletePlan = (store, id) => {
+  const index = store.plans.findIndex(plan => plan.id === id);
+  if (index === -1 || store.plans.length <= 1) return store;
+
+  const plans = store.plans.filter(plan => plan.id !== id);
+  const currentPlanId = store.currentPlanId === id
+    ? plans[Math.min(index, plans.length - 1)].id
+    : store.currentPlanId;
+
+  return { currentPlanId, plans };
+};
@@ -0,0 +1,125 @@
+import {
+  DEFAULT_ITEMS,
+  STORAGE_KEY,
+  addPlan,
+  createPlan,
+  createStore,
+  deletePlan,
+  duplicatePlan,
+  getCurrentPlan,
+  loadStore,
+  saveStore,
+  selectPlan,
+  updatePlan,
+  withSavablePlans,
+} from './planStorage';
+
+// Minimal in-memory Storage
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data,
+  };
+};
+
+describe('plan storage', () => {
+  test('starts with a single default plan when nothing is saved', () => {
+    const store = loadStore(memoryStorage());
+
+    expect(store.plans).toHaveLength(1);
+    expect(getCurrentPlan(store).items).toEqual(DEFAULT_ITEMS);
+  });
+
+  test('round-trips the store through storage', () => {
+    const storage = memoryStorage();
+    const store = addPlan(createStore(), createPlan('Spring launch'));
+
+    expect(saveStore(store, storage)).toBe(true);
+    expect(loadStore(storage)).toEqual(store);
+  });
+
+  test('falls back to a fresh store when saved data is corrupt', () => {
+    const store = loadStore(memoryStorage({ [STORAGE_KEY]: '{not json' }));
+    expect(store.plans).toHaveLength(1);
+  });
+
+  test('drops invalid plans and repairs a dangling current plan id', () => {
+    const plan = createPlan('Kept');
+    const storage = memoryStorage({
+      [STORAGE_KEY]: JSON.stringify({ currentPlanId: 'gone', plans: [{ name: 'broken' }, plan] }),
+    });
+
+    expect(loadStore(storage)).toEqual({ currentPlanId: plan.id, plans: [plan] });
+  });
+
+  test('reports failure when the browser refuses to save', () => {
+    const storage = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(saveStore(createStore(), storage)).toBe(false);
+    expect(saveStore(createStore(), null)).toBe(false);
+  });
+
+  test('adding a plan makes it current', () => {
+    const plan = createPlan('Second');
+    const store = addPlan(createStore(), plan);
+
+    expect(store.plans).toHaveLength(2);
+    expect(getCurrentPlan(store)).toBe(plan);
+  });
+
+  test('updating a plan bumps its timestamp', () => {
+    const store = createStore();
+    const plan = getCurrentPlan(store);
+    jest.spyOn(Date, 'now').mockReturnValue(plan.updatedAt + 1000);
+
+    const updated = getCurrentPlan(updatePlan(store, plan.id, { name: 'Renamed' }));
+
+    expect(updated.name).toBe('Renamed');
+    expect(updated.updatedAt).toBe(plan.updatedAt + 1000);
+    Date.now.mockRestore();
+  });
+
+  test('duplicating copies the contents under a new id and name', () => {
+    const store = createStore();
+    const original = getCurrentPlan(store);
+    const duplicated = duplicatePlan(store, original.id);
+    const copy = getCurrentPlan(duplicated);
+
+    expect(copy.id).not.toBe(original.id);
+    expect(copy.name).toBe(`${original.name} (copy)`);
+    expect(copy.items).toEqual(original.items);
+  });
+
+  test('deleting the current plan selects its neighbour', () => {
+    const first = createPlan('First');
+    const second = createPlan('Second');
+    const third = createPlan('Third');
+    const store = selectPlan({ currentPlanId: first.id, plans: [first, second, third] }, second.id);
+
+    const result = deletePlan(store, second.id);
+
+    expect(result.plans.map(plan => plan.name)).toEqual(['First', 'Third']);
+    expect(result.currentPlanId).toBe(third.id);
+  });
+
+  test('the last plan cannot be deleted', () => {
+    const store = createStore();
+    expect(deletePlan(store, store.currentPlanId)).toBe(store);
+  });
+
+  test('selecting an unknown plan does nothing', () => {
+    const store = createStore();
+    expect(selectPlan(store, 'missing')).toBe(store);
+  });
+
+  test('plans that can\'t be saved keep their last saved version', () => {
+    const saved = addPlan(createStore(), createPlan('Saved'));
+    const edited = addPlan(updatePlan(saved, saved.currentPlanId, { name: 'Broken' }), createPlan('New and broken'));
+    const canSave = (plan) => !plan.name.includes('Broken') && !plan.name.includes('broken');
+
+    const result = withSavablePlans(edited, saved, canSave);
+    expect(result.plans.map(plan => plan.name)).toEqual(['Untitled plan', 'Saved']);
+    expect(result.currentPlanId).toBe(edited.currentPlanId);
+  });
+});
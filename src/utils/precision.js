@@ -0,0 +1,81 @@
+// Weight precision modes.
+//
+// Weights are always stored as percentages. A precision decides the grid they
+// snap to: the engine converts weights to whole "units" of that grid, does all
+// of its rounding there, and converts back so totals stay exact.
+
+export const PRECISIONS = {
+  integer: { label: '1%', decimals: 0, unit: '%' },
+  tenth: { label: '0.1%', decimals: 1, unit: '%' },
+  hundredth: { label: '0.01%', decimals: 2, unit: '%' },
+  basisPoints: { label: 'Basis points', decimals: 2, unit: 'bps' },
+};
+
+export const DEFAULT_PRECISION = 'integer';
+
+// The finest grid any precision uses, for sums that must not drift
+export const FINEST_PRECISION = 'hundredth';
+
+const BASIS_POINTS_PER_PERCENT = 100;
+
+export const getPrecision = (precision = DEFAULT_PRECISION) => {
+  const config = PRECISIONS[precision];
+  if (!config) {
+    throw new Error(`Unknown precision: ${precision}`);
+  }
+  return config;
+};
+
+// Number of grid units in one percentage point
+export const unitsPerPoint = (precision) => Math.pow(10, getPrecision(precision).decimals);
+
+export const toUnits = (weight, precision) => Math.round(weight * unitsPerPoint(precision));
+
+export const fromUnits = (units, precision) => units / unitsPerPoint(precision);
+
+// Snap a weight to the nearest value on the precision grid
+export const roundWeight = (weight, precision) => fromUnits(toUnits(weight, precision), precision);
+
+// Smallest weight change possible at this precision
+export const weightStep = (precision) => 1 / unitsPerPoint(precision);
+
+const isBasisPoints = (precision) => getPrecision(precision).unit === 'bps';
+
+// Number shown in inputs: percent, or basis points in basis-point mode
+export const toDisplayValue = (weight, precision) =>
+  isBasisPoints(precision)
+    ? Math.round(weight * BASIS_POINTS_PER_PERCENT)
+    : roundWeight(weight, precision);
+
+// Parse an input value back to a percentage; NaN if it is not a number
+export const fromDisplayValue = (value, precision) => {
+  const parsed = parseFloat(value);
+  if (isNaN(parsed)) return NaN;
+
+  const percent = isBasisPoints(precision) ? parsed / BASIS_POINTS_PER_PERCENT : parsed;
+  return roundWeight(percent, precision);
+};
+
+// Input attributes (step and max) in display units
+export const displayStep = (precision) => (isBasisPoints(precision) ? 1 : weightStep(precision));
+
+export const displayMax = (precision) => (isBasisPoints(precision) ? 100 * BASIS_POINTS_PER_PERCENT : 100);
+
+export const formatWeight = (weight, precision) => {
+  if (isBasisPoints(precision)) {
+    return `${toDisplayValue(weight, precision)} bps`;
+  }
+  return `${weight.toFixed(getPrecision(precision).decimals)}%`;
+};
+
+// A change in weight with its sign, in percentage points or basis points
+export const formatDelta = (delta, precision) => {
+  const snapped = roundWeight(delta, precision);
+  const sign = snapped > 0 ? '+' : snapped < 0 ? '-' : '±';
+  const size = Math.abs(snapped);
+
+  if (isBasisPoints(precision)) {
+    return `${sign}${toDisplayValue(size, precision)} bps`;
+  }
+  return `${sign}${size.toFixed(getPrecision(precision).decimals)} pts`;
+};
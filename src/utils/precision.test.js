@@ -0,0 +1,54 @@
+import {
+  PRECISIONS,
+  formatDelta,
+  formatWeight,
+  fromDisplayValue,
+  roundWeight,
+  toDisplayValue,
+  toUnits,
+  weightStep,
+} from './precision';
+
+describe('precision helpers', () => {
+  test('snap weights to the precision grid', () => {
+    expect(roundWeight(33.3333, 'integer')).toBe(33);
+    expect(roundWeight(33.3333, 'tenth')).toBe(33.3);
+    expect(roundWeight(33.3333, 'hundredth')).toBe(33.33);
+    expect(roundWeight(33.3333, 'basisPoints')).toBe(33.33);
+  });
+
+  test('convert weights to whole grid units', () => {
+    expect(toUnits(12.34, 'hundredth')).toBe(1234);
+    expect(toUnits(12.3, 'tenth')).toBe(123);
+    expect(weightStep('tenth')).toBe(0.1);
+  });
+
+  test('basis points are shown and parsed in bps', () => {
+    expect(toDisplayValue(33.34, 'basisPoints')).toBe(3334);
+    expect(fromDisplayValue('3334', 'basisPoints')).toBe(33.34);
+    expect(formatWeight(33.34, 'basisPoints')).toBe('3334 bps');
+  });
+
+  test('percent modes format with a fixed number of decimals', () => {
+    expect(formatWeight(25, 'integer')).toBe('25%');
+    expect(formatWeight(25, 'tenth')).toBe('25.0%');
+    expect(formatWeight(33.3, 'hundredth')).toBe('33.30%');
+  });
+
+  test('deltas carry a sign and the unit of change', () => {
+    expect(formatDelta(4, 'integer')).toBe('+4 pts');
+    expect(formatDelta(-2.5, 'tenth')).toBe('-2.5 pts');
+    expect(formatDelta(0.0000001, 'hundredth')).toBe('±0.00 pts');
+    expect(formatDelta(-0.25, 'basisPoints')).toBe('-25 bps');
+  });
+
+  test('parsing rejects non-numbers and snaps the rest', () => {
+    expect(fromDisplayValue('abc', 'integer')).toBeNaN();
+    expect(fromDisplayValue('12.345', 'tenth')).toBe(12.3);
+  });
+
+  test('unknown precisions throw', () => {
+    expect(() => roundWeight(1, 'furlongs')).toThrow(/Unknown precision/);
+    expect(Object.keys(PRECISIONS)).toContain('integer');
+  });
+});
@@ -0,0 +1,78 @@
+// Seeded random numbers for reproducible random splits.
+//
+// A split generated from a seed can be regenerated exactly from the same
+// seed and settings, so it can be explained and repeated later. Seeds are
+// free text; any string works.
+
+export const RANDOM_GENERATORS = {
+  uniform: { label: 'Uniform' },
+  dirichlet: { label: 'Dirichlet' },
+};
+
+export const DEFAULT_RANDOM_SETTINGS = {
+  seed: '',
+  generator: 'uniform',
+  // Dirichlet concentration: below 1 favours lopsided splits, above 1 even ones
+  concentration: 1,
+  // Smallest weight every unlocked creative must get, in percent
+  minShare: 0,
+};
+
+// FNV-1a, to turn a text seed into 32 bits of state
+const hashSeed = (seed) => {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// A Math.random replacement (mulberry32) that always produces the same
+// sequence for the same seed
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A short seed that's easy to read out or paste into a ticket
+export const newSeed = (random = Math.random) =>
+  Math.floor(random() * 36 ** 6).toString(36).padStart(6, '0');
+
+// Uniform on (0, 1], so it's safe to take the log of
+const nonZero = (random) => 1 - random();
+
+// Standard normal sample (Box-Muller)
+const normal = (random) =>
+  Math.sqrt(-2 * Math.log(nonZero(random))) * Math.cos(2 * Math.PI * random());
+
+// Gamma(shape, 1) sample (Marsaglia and Tsang). Normalising one sample per
+// creative gives a Dirichlet split.
+export const gamma = (shape, random) => {
+  if (shape < 1) {
+    return gamma(shape + 1, random) * Math.pow(nonZero(random), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = normal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+
+    const u = nonZero(random);
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+};
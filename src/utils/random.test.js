@@ -0,0 +1,37 @@
+import { createRandom, gamma, newSeed } from './random';
+
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+describe('createRandom', () => {
+  test('repeats the same sequence for the same seed', () => {
+    expect(take(createRandom('spring-launch'), 5)).toEqual(take(createRandom('spring-launch'), 5));
+  });
+
+  test('gives different sequences for different seeds', () => {
+    expect(take(createRandom('a'), 5)).not.toEqual(take(createRandom('b'), 5));
+  });
+
+  test('returns numbers in [0, 1)', () => {
+    const values = take(createRandom(42), 1000);
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
+
+describe('newSeed', () => {
+  test('makes six character base-36 seeds', () => {
+    expect(newSeed(() => 0)).toBe('000000');
+    expect(newSeed(() => 0.999999999)).toMatch(/^[0-9a-z]{6}$/);
+  });
+});
+
+describe('gamma', () => {
+  test.each([0.3, 1, 5])('samples with shape %s are positive and average the shape', (shape) => {
+    const random = createRandom(`gamma-${shape}`);
+    const samples = Array.from({ length: 4000 }, () => gamma(shape, random));
+    const mean = samples.reduce((acc, value) => acc + value, 0) / samples.length;
+
+    expect(samples.every(value => value > 0)).toBe(true);
+    expect(mean).toBeGreaterThan(shape * 0.9);
+    expect(mean).toBeLessThan(shape * 1.1);
+  });
+});
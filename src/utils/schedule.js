@@ -0,0 +1,203 @@
+// Flights: weights that change over a campaign in dated phases.
+//
+// A plan may hold a schedule shaped like
+// `{ interpolation, activePhaseId, phases: [{ id, start, weights }] }`, where
+// `start` is an ISO date (YYYY-MM-DD) and `weights` maps item ids to weights.
+// Phases are kept in start order. The creatives themselves (names, locks,
+// bounds, groups) are shared by every phase; only their weights differ.
+//
+// The editor edits one phase at a time with the usual chart and table: the
+// active phase's weights live in the plan's `items`, and its entry in
+// `phases` is only brought up to date when another phase is selected or the
+// schedule is read (see `syncSchedule`).
+//
+// Between phases the weights either hold until the next phase starts
+// ('step') or ramp from one phase to the next a day at a time ('linear').
+
+import { BoundsError, TOTAL_WEIGHT, normalize, roundToTotal, sumWeights } from './distribution';
+import { escapeCsv } from './itemsFile';
+import { FINEST_PRECISION, roundWeight } from './precision';
+
+export const INTERPOLATIONS = {
+  step: { label: 'Step' },
+  linear: { label: 'Linear ramp' },
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Dates are whole days in UTC, so daylight saving never shifts them
+const toDay = (date) => Date.parse(`${date}T00:00:00Z`) / DAY;
+const fromDay = (day) => new Date(day * DAY).toISOString().slice(0, 10);
+
+export const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(toDay(value));
+export const addDays = (date, days) => fromDay(toDay(date) + days);
+export const today = () => new Date().toISOString().slice(0, 10);
+
+const weightsOf = (items) => Object.fromEntries(items.map(item => [item.id, item.weight]));
+
+const sortPhases = (phases) => [...phases].sort((a, b) => a.start.localeCompare(b.start) || a.id - b.id);
+
+// A schedule with a single phase holding the current weights
+export const createSchedule = (items, start = today()) => ({
+  interpolation: 'step',
+  activePhaseId: 1,
+  phases: [{ id: 1, start, weights: weightsOf(items) }],
+});
+
+export const activePhase = (schedule) => schedule.phases.find(phase => phase.id === schedule.activePhaseId);
+
+// The schedule with the active phase's weights taken from `items`
+export const syncSchedule = (schedule, items) => ({
+  ...schedule,
+  phases: schedule.phases.map(phase =>
+    phase.id === schedule.activePhaseId ? { ...phase, weights: weightsOf(items) } : phase
+  ),
+});
+
+// `items` with a phase's weights; creatives added since the phase was last
+// edited weren't running then and get nothing
+export const applyPhase = (items, phase) => items.map(item => ({ ...item, weight: phase.weights[item.id] ?? 0 }));
+
+// The schedule with every other phase brought back to 100% after creatives
+// were removed or replaced: each keeps the weights of the creatives still
+// there, scaled up by `normalize` with the engine `options`. Creatives that
+// are new to a phase get nothing in it, as with `applyPhase`. Returns the
+// schedule itself when every phase still adds up.
+export const fitPhases = (schedule, items, options = {}) => {
+  let changed = false;
+  const phases = schedule.phases.map(phase => {
+    if (phase.id === schedule.activePhaseId) return phase;
+    const applied = applyPhase(items, phase);
+    if (sumWeights(applied) === TOTAL_WEIGHT) return phase;
+
+    let fitted;
+    try {
+      fitted = normalize(applied, options);
+    } catch (error) {
+      if (!(error instanceof BoundsError)) throw error;
+      fitted = applied;
+    }
+    changed = true;
+    return { ...phase, weights: weightsOf(fitted) };
+  });
+  return changed ? { ...schedule, phases } : schedule;
+};
+
+// Switch to editing another phase. Returns the new `{ schedule, items }`.
+export const selectPhase = (schedule, items, phaseId) => {
+  const synced = syncSchedule(schedule, items);
+  const phase = synced.phases.find(other => other.id === phaseId);
+  if (!phase) return { schedule, items };
+  return { schedule: { ...synced, activePhaseId: phaseId }, items: applyPhase(items, phase) };
+};
+
+// Add a phase starting on `start` with the current weights, and switch to
+// it. The items don't change.
+export const addPhase = (schedule, items, start) => {
+  const id = Math.max(0, ...schedule.phases.map(phase => phase.id)) + 1;
+  const synced = syncSchedule(schedule, items);
+  return {
+    ...synced,
+    activePhaseId: id,
+    phases: sortPhases([...synced.phases, { id, start, weights: weightsOf(items) }]),
+  };
+};
+
+// Remove a phase; removing the active one switches to the phase before it,
+// or the next one if it was first. Returns the new `{ schedule, items }`.
+export const removePhase = (schedule, items, phaseId) => {
+  if (schedule.phases.length <= 1) return { schedule, items };
+
+  const synced = syncSchedule(schedule, items);
+  const index = synced.phases.findIndex(phase => phase.id === phaseId);
+  const phases = synced.phases.filter(phase => phase.id !== phaseId);
+  if (phaseId !== schedule.activePhaseId) return { schedule: { ...synced, phases }, items };
+
+  const next = phases[Math.max(0, index - 1)];
+  return { schedule: { ...synced, phases, activePhaseId: next.id }, items: applyPhase(items, next) };
+};
+
+// The phase other than `phaseId` that already starts on `start`, if any
+export const findStartClash = (schedule, phaseId, start) =>
+  schedule.phases.find(phase => phase.id !== phaseId && phase.start === start) ?? null;
+
+// Move a phase to start on `start`. Two phases can't start on the same day,
+// as which one applies then is undefined, so a date another phase already
+// has leaves the schedule as it is.
+export const setPhaseStart = (schedule, phaseId, start) => {
+  if (findStartClash(schedule, phaseId, start)) return schedule;
+  return {
+    ...schedule,
+    phases: sortPhases(schedule.phases.map(phase => (phase.id === phaseId ? { ...phase, start } : phase))),
+  };
+};
+
+// Describe what's wrong with the schedule, or return null
+export const findScheduleError = (schedule) => {
+  const clash = schedule.phases.find((phase, index) => index > 0 && phase.start === schedule.phases[index - 1].start);
+  return clash ? `Two phases start on ${clash.start}` : null;
+};
+
+// Each creative's weight on `date`, in item order. Before the first phase
+// the first phase's weights apply. Ramped weights are rounded to the
+// precision grid with the engine's `precision` and `method` options, so they
+// still add up exactly.
+export const weightsOn = (schedule, items, date, options = {}) => {
+  const { phases } = syncSchedule(schedule, items);
+  const day = toDay(date);
+  const index = Math.max(0, phases.filter(phase => toDay(phase.start) <= day).length - 1);
+  const phase = phases[index];
+  const next = phases[index + 1];
+  const from = items.map(item => phase.weights[item.id] ?? 0);
+
+  if (schedule.interpolation !== 'linear' || !next || day < toDay(phase.start)) return from;
+
+  const t = (day - toDay(phase.start)) / (toDay(next.start) - toDay(phase.start));
+  const ramped = items.map((item, i) => (1 - t) * from[i] + t * (next.weights[item.id] ?? 0));
+  const total = roundWeight(ramped.reduce((acc, weight) => acc + weight, 0), FINEST_PRECISION);
+  return roundToTotal(ramped, total, options);
+};
+
+// The full schedule as date ranges, `[{ start, end, weights }]`, with
+// weights in item order and a null `end` for the last, open-ended range.
+// Stepped schedules have a range per phase; ramps have one per day until
+// the last phase starts.
+export const scheduleRows = (schedule, items, options = {}) => {
+  const { phases } = syncSchedule(schedule, items);
+
+  return phases.flatMap((phase, index) => {
+    const next = phases[index + 1];
+    if (!next) return [{ start: phase.start, end: null, weights: weightsOn(schedule, items, phase.start, options) }];
+
+    if (schedule.interpolation !== 'linear') {
+      return [{ start: phase.start, end: addDays(next.start, -1), weights: items.map(item => phase.weights[item.id] ?? 0) }];
+    }
+
+    return Array.from({ length: toDay(next.start) - toDay(phase.start) }, (_, offset) => {
+      const date = addDays(phase.start, offset);
+      return { start: date, end: date, weights: weightsOn(schedule, items, date, options) };
+    });
+  });
+};
+
+export const scheduleToCsv = (schedule, items, options) => {
+  const header = ['start', 'end', ...items.map(item => item.name)].map(escapeCsv).join(',');
+  const rows = scheduleRows(schedule, items, options).map(({ start, end, weights }) =>
+    [start, end, ...weights].map(escapeCsv).join(',')
+  );
+  return [header, ...rows].join('\n') + '\n';
+};
+
+export const scheduleToJson = (schedule, items, options) =>
+  JSON.stringify(
+    {
+      interpolation: schedule.interpolation,
+      schedule: scheduleRows(schedule, items, options).map(({ start, end, weights }) => ({
+        start,
+        end,
+        weights: items.map((item, index) => ({ id: item.id, name: item.name, weight: weights[index] })),
+      })),
+    },
+    null,
+    2
+  ) + '\n';
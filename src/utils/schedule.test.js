@@ -0,0 +1,128 @@
+import {
+  addDays,
+  addPhase,
+  createSchedule,
+  findScheduleError,
+  findStartClash,
+  fitPhases,
+  removePhase,
+  scheduleRows,
+  scheduleToCsv,
+  selectPhase,
+  setPhaseStart,
+  weightsOn,
+} from './schedule';
+
+const launch = [
+  { id: 1, name: 'Hero', weight: 70, locked: false },
+  { id: 2, name: 'Side, left', weight: 30, locked: false },
+];
+
+const even = launch.map(item => ({ ...item, weight: 50 }));
+
+// Launch weights from 1 March, even weights from 11 March
+const twoPhases = (interpolation = 'step') => ({
+  ...addPhase(createSchedule(launch, '2024-03-01'), launch, '2024-03-11'),
+  interpolation,
+});
+
+const weightsOf = (items) => items.map(item => item.weight);
+
+describe('phases', () => {
+  test('adding a phase copies the current weights and switches to it', () => {
+    const schedule = twoPhases();
+    expect(schedule.activePhaseId).toBe(2);
+    expect(schedule.phases.map(phase => phase.start)).toEqual(['2024-03-01', '2024-03-11']);
+    expect(schedule.phases[1].weights).toEqual({ 1: 70, 2: 30 });
+  });
+
+  test('switching phases saves the edited weights and loads the other phase', () => {
+    const back = selectPhase(twoPhases(), even, 1);
+    expect(weightsOf(back.items)).toEqual([70, 30]);
+    expect(back.schedule.phases[1].weights).toEqual({ 1: 50, 2: 50 });
+
+    const forward = selectPhase(back.schedule, back.items, 2);
+    expect(weightsOf(forward.items)).toEqual([50, 50]);
+  });
+
+  test('creatives added after a phase get nothing in it', () => {
+    const items = [...even, { id: 3, name: 'New', weight: 0, locked: false }];
+    expect(weightsOf(selectPhase(twoPhases(), items, 1).items)).toEqual([70, 30, 0]);
+  });
+
+  test('removing a creative refits every other phase to the creatives left', () => {
+    const three = [...launch.map(item => ({ ...item, weight: item.weight - 10 })), { id: 3, name: 'Footer', weight: 20, locked: false }];
+    const schedule = addPhase(createSchedule(three, '2024-03-01'), three, '2024-03-11');
+    const remaining = three.slice(0, 2).map(item => ({ ...item, weight: 50 }));
+
+    const fitted = fitPhases(schedule, remaining);
+    expect(fitted.phases[0].weights).toEqual({ 1: 75, 2: 25 });
+    expect(weightsOf(selectPhase(fitted, remaining, 1).items)).toEqual([75, 25]);
+    expect(scheduleRows(fitted, remaining).map(row => row.weights)).toEqual([[75, 25], [50, 50]]);
+    expect(fitPhases(fitted, remaining)).toBe(fitted);
+  });
+
+  test('removing the active phase switches to the one before', () => {
+    const { schedule, items } = removePhase(twoPhases(), even, 2);
+    expect(schedule.phases).toHaveLength(1);
+    expect(schedule.activePhaseId).toBe(1);
+    expect(weightsOf(items)).toEqual([70, 30]);
+  });
+
+  test('phases stay in date order and clashing dates are rejected', () => {
+    const moved = setPhaseStart(twoPhases(), 2, '2024-02-20');
+    expect(moved.phases.map(phase => phase.id)).toEqual([2, 1]);
+    expect(findScheduleError(moved)).toBeNull();
+    expect(findStartClash(moved, 1, '2024-02-20')).toBe(moved.phases[0]);
+    expect(setPhaseStart(moved, 1, '2024-02-20')).toBe(moved);
+
+    // Plans saved before the check can still hold a clash
+    const clashing = { ...moved, phases: moved.phases.map(phase => ({ ...phase, start: '2024-02-20' })) };
+    expect(findScheduleError(clashing)).toBe('Two phases start on 2024-02-20');
+  });
+});
+
+describe('weightsOn', () => {
+  test('steps hold until the next phase', () => {
+    const schedule = twoPhases();
+    expect(weightsOn(schedule, even, '2024-02-01')).toEqual([70, 30]);
+    expect(weightsOn(schedule, even, '2024-03-10')).toEqual([70, 30]);
+    expect(weightsOn(schedule, even, '2024-03-11')).toEqual([50, 50]);
+  });
+
+  test('ramps move a day at a time and stay on the grid', () => {
+    const schedule = twoPhases('linear');
+    expect(weightsOn(schedule, even, '2024-03-06')).toEqual([60, 40]);
+    expect(weightsOn(schedule, even, '2024-03-04')).toEqual([64, 36]);
+    expect(weightsOn(schedule, even, '2024-03-04', { precision: 'tenth' })).toEqual([64, 36]);
+    expect(weightsOn(schedule, even, '2024-04-01')).toEqual([50, 50]);
+  });
+});
+
+describe('export', () => {
+  test('a stepped schedule has one range per phase', () => {
+    expect(scheduleRows(twoPhases(), even)).toEqual([
+      { start: '2024-03-01', end: '2024-03-10', weights: [70, 30] },
+      { start: '2024-03-11', end: null, weights: [50, 50] },
+    ]);
+  });
+
+  test('a ramp has one range per day until the last phase', () => {
+    const rows = scheduleRows(twoPhases('linear'), even);
+    expect(rows).toHaveLength(11);
+    expect(rows[5]).toEqual({ start: '2024-03-06', end: '2024-03-06', weights: [60, 40] });
+  });
+
+  test('CSV has a column per creative', () => {
+    expect(scheduleToCsv(twoPhases(), even)).toBe(
+      'start,end,Hero,"Side, left"\n' +
+      '2024-03-01,2024-03-10,70,30\n' +
+      '2024-03-11,,50,50\n'
+    );
+  });
+
+  test('dates count whole days across month ends', () => {
+    expect(addDays('2024-02-28', 2)).toBe('2024-03-01');
+    expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+  });
+});
@@ -0,0 +1,87 @@
+// Encoding a plan into the URL hash so a link reproduces the distribution.
+//
+// Everything lives in the hash, so it works on a static host like GitHub
+// Pages with no server involved. The payload is compact JSON,
+//   [version, name, precision, apportionment, [[name, weight, locked, min?, max?, group?], ...]]
+// encoded as base64url. Item order is kept; ids are renumbered on the way in.
+
+import { APPORTIONMENT_METHODS, DEFAULT_APPORTIONMENT } from './apportionment';
+import { DEFAULT_PRECISION, PRECISIONS } from './precision';
+
+export const HASH_PARAM = 'plan';
+
+const FORMAT_VERSION = 1;
+
+// btoa/atob only handle Latin-1, so go through UTF-8 bytes first
+const toBase64Url = (text) => {
+  const bytes = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+  return btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const bytes = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return decodeURIComponent(
+    Array.from(bytes, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+  );
+};
+
+const compactItem = ({ name, weight, locked, min, max, group }) => {
+  const compact = [name, weight, locked ? 1 : 0];
+  if (min !== undefined || max !== undefined || group) {
+    compact.push(min ?? null, max ?? null);
+  }
+  if (group) compact.push(group);
+  return compact;
+};
+
+const isWeight = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+const expandItem = (compact, index) => {
+  if (!Array.isArray(compact)) return null;
+
+  const [name, weight, locked, min, max, group] = compact;
+  if (typeof name !== 'string' || !isWeight(weight)) return null;
+
+  const item = { id: index + 1, name, weight, locked: locked === 1 };
+  if (isWeight(min)) item.min = min;
+  if (isWeight(max)) item.max = max;
+  if (typeof group === 'string' && group !== '') item.group = group;
+  return item;
+};
+
+export const encodePlan = ({ name, precision, apportionment, items }) =>
+  toBase64Url(JSON.stringify([FORMAT_VERSION, name, precision, apportionment, items.map(compactItem)]));
+
+// Returns `{ name, precision, apportionment, items }`, or null if the payload
+// is damaged or from an unknown version
+export const decodePlan = (encoded) => {
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(encoded));
+  } catch (error) {
+    return null;
+  }
+
+  if (!Array.isArray(data) || data[0] !== FORMAT_VERSION || !Array.isArray(data[4])) return null;
+
+  const [, name, precision, apportionment, compactItems] = data;
+  const items = compactItems.map(expandItem);
+  if (items.length === 0 || items.includes(null)) return null;
+
+  return {
+    name: typeof name === 'string' && name !== '' ? name : 'Shared plan',
+    precision: PRECISIONS[precision] ? precision : DEFAULT_PRECISION,
+    apportionment: APPORTIONMENT_METHODS[apportionment] ? apportionment : DEFAULT_APPORTIONMENT,
+    items,
+  };
+};
+
+export const planHash = (plan) => `#${HASH_PARAM}=${encodePlan(plan)}`;
+
+// Read a plan from a location hash such as `#plan=...`
+export const readPlanFromHash = (hash) => {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_PARAM);
+  return encoded ? decodePlan(encoded) : null;
+};
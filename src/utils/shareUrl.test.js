@@ -0,0 +1,61 @@
+import { HASH_PARAM, decodePlan, encodePlan, planHash, readPlanFromHash } from './shareUrl';
+
+const plan = {
+  name: 'Spring – “launch” 🚀',
+  precision: 'hundredth',
+  apportionment: 'sainteLague',
+  items: [
+    { id: 7, name: 'Hero', weight: 33.34, locked: true },
+    { id: 3, name: 'Side, left', weight: 33.33, locked: false, min: 5 },
+    { id: 9, name: 'Footer', weight: 33.33, locked: false, max: 40 },
+  ],
+};
+
+describe('share URL encoding', () => {
+  test('round-trips names, weights, locks, bounds and order', () => {
+    expect(decodePlan(encodePlan(plan))).toEqual({
+      ...plan,
+      items: [
+        { id: 1, name: 'Hero', weight: 33.34, locked: true },
+        { id: 2, name: 'Side, left', weight: 33.33, locked: false, min: 5 },
+        { id: 3, name: 'Footer', weight: 33.33, locked: false, max: 40 },
+      ],
+    });
+  });
+
+  test('keeps groups', () => {
+    const grouped = { ...plan, items: plan.items.map((item, index) => (index > 0 ? { ...item, group: 'Sides' } : item)) };
+    expect(decodePlan(encodePlan(grouped)).items.map(item => item.group)).toEqual([undefined, 'Sides', 'Sides']);
+  });
+
+  test('produces URL-safe text', () => {
+    expect(encodePlan(plan)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  test('reads the plan back from a location hash', () => {
+    const hash = planHash(plan);
+
+    expect(hash.startsWith(`#${HASH_PARAM}=`)).toBe(true);
+    expect(readPlanFromHash(hash).items.map(item => item.name)).toEqual(['Hero', 'Side, left', 'Footer']);
+  });
+
+  test('ignores hashes without a plan', () => {
+    expect(readPlanFromHash('')).toBeNull();
+    expect(readPlanFromHash('#section-2')).toBeNull();
+  });
+
+  test('rejects damaged payloads', () => {
+    expect(decodePlan('not base64!')).toBeNull();
+    expect(decodePlan(btoa('[1,"x","integer","largestRemainder",[["A",150,0]]]'))).toBeNull();
+    expect(decodePlan(btoa('[2,"x","integer","largestRemainder",[["A",50,0]]]'))).toBeNull();
+    expect(decodePlan(btoa('[1,"x","integer","largestRemainder",[]]'))).toBeNull();
+  });
+
+  test('falls back to defaults for unknown settings', () => {
+    const decoded = decodePlan(btoa('[1,"","cubits","coinToss",[["A",100,0]]]'));
+
+    expect(decoded.name).toBe('Shared plan');
+    expect(decoded.precision).toBe('integer');
+    expect(decoded.apportionment).toBe('largestRemainder');
+  });
+});
@@ -0,0 +1,153 @@
+// Simulated traffic: what a split means in impressions.
+//
+// A picker chooses the creative for each impression in proportion to the
+// weights. 'random' draws from a seeded generator (see ./random), so a run
+// can be repeated exactly; 'roundRobin' is smooth weighted round robin (as
+// in nginx), which spaces each creative's turns evenly and never strays more
+// than an impression or so from its share.
+
+import { createRandom } from './random';
+import { FINEST_PRECISION, toUnits } from './precision';
+
+export const PICKERS = {
+  random: { label: 'Weighted random' },
+  roundRobin: { label: 'Smooth round robin' },
+};
+
+export const DEFAULT_SIMULATION_SETTINGS = {
+  impressions: 10000,
+  // Impressions a day, or null for no cap
+  dailyCap: null,
+  picker: 'random',
+  seed: 'simulation',
+};
+
+// Runs are done in the browser, one pick at a time
+export const MAX_IMPRESSIONS = 1000000;
+
+// Points recorded on the way, for the convergence chart
+const CHECKPOINTS = 50;
+
+// Delivery a daily cap may spread over, as every day is reported
+export const MAX_DAYS = 366;
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+// A function returning the index of the next creative, drawn at random with
+// probability proportional to its weight. `random` returns numbers in [0, 1).
+export const weightedRandomPicker = (weights, random) => {
+  const total = sum(weights);
+  let running = 0;
+  const cumulative = weights.map(weight => (running += weight));
+  const last = weights.reduce((found, weight, index) => (weight > 0 ? index : found), -1);
+
+  return () => {
+    const target = random() * total;
+    const index = cumulative.findIndex(bound => target < bound);
+    return index === -1 ? last : index;
+  };
+};
+
+// A function returning the index of the next creative in smooth weighted
+// round robin order: every creative earns its weight each turn, the richest
+// is picked and pays back the total. Weights 5, 1, 1 go a, a, b, a, c, a, a.
+export const smoothRoundRobinPicker = (weights) => {
+  const total = sum(weights);
+  const current = weights.map(() => 0);
+
+  return () => {
+    let best = -1;
+    weights.forEach((weight, index) => {
+      current[index] += weight;
+      if (weight > 0 && (best === -1 || current[index] > current[best])) best = index;
+    });
+    current[best] -= total;
+    return best;
+  };
+};
+
+// Describe what's wrong with the settings, or return null
+export const findSimulationError = (items, { impressions, dailyCap }) => {
+  if (!Number.isInteger(impressions) || impressions < 1) return 'Impressions should be a whole number above 0';
+  if (impressions > MAX_IMPRESSIONS) return `At most ${MAX_IMPRESSIONS.toLocaleString('en-US')} impressions can be simulated`;
+  if (dailyCap !== null && (!Number.isInteger(dailyCap) || dailyCap < 1)) {
+    return 'The daily cap should be a whole number above 0';
+  }
+  if (dailyCap !== null && Math.ceil(impressions / dailyCap) > MAX_DAYS) {
+    return `A daily cap this low takes more than ${MAX_DAYS} days to deliver`;
+  }
+  if (!items.some(item => item.weight > 0)) return 'No creative has any weight to serve';
+  return null;
+};
+
+// Serve `impressions` one at a time and report, per creative, its share of
+// the total weight in percent, the expected and served impressions and the
+// variance of the served count over repeated runs, plus `convergence`: the
+// realised split in percent at checkpoints
+// along the way. With a daily cap the checkpoints fall at the end of each
+// day when there aren't too many days, `days` is how long delivery takes and
+// `daily` has each day's impressions with every creative's expected and
+// served count for that day; without one both are null.
+export const simulateTraffic = (items, { impressions, dailyCap = null, picker = 'random', seed = '' }) => {
+  // Whole grid units, so round robin doesn't pick up float drift
+  const weights = items.map(item => toUnits(item.weight, FINEST_PRECISION));
+  const total = sum(weights);
+  const pick = picker === 'roundRobin'
+    ? smoothRoundRobinPicker(weights)
+    : weightedRandomPicker(weights, createRandom(seed));
+
+  const days = dailyCap ? Math.ceil(impressions / dailyCap) : null;
+  const step = days && days <= CHECKPOINTS ? dailyCap : Math.ceil(impressions / CHECKPOINTS);
+
+  const shares = weights.map(weight => weight / total);
+  const served = weights.map(() => 0);
+  const convergence = [];
+  const daily = dailyCap ? [] : null;
+  const servedToday = weights.map(() => 0);
+  for (let count = 1; count <= impressions; count++) {
+    const index = pick();
+    served[index] += 1;
+    servedToday[index] += 1;
+    if (dailyCap && (count % dailyCap === 0 || count === impressions)) {
+      const today = count - daily.length * dailyCap;
+      daily.push({
+        day: daily.length + 1,
+        impressions: today,
+        creatives: items.map((item, creative) => ({
+          id: item.id,
+          expected: today * shares[creative],
+          served: servedToday[creative],
+        })),
+      });
+      servedToday.fill(0);
+    }
+    if (count % step === 0 || count === impressions) {
+      convergence.push({
+        impressions: count,
+        day: dailyCap ? Math.ceil(count / dailyCap) : null,
+        shares: served.map(value => (value / count) * 100),
+      });
+    }
+  }
+
+  return {
+    impressions,
+    days,
+    daily,
+    convergence,
+    creatives: items.map((item, index) => {
+      const share = shares[index];
+      return {
+        id: item.id,
+        name: item.name,
+        weight: item.weight,
+        share: share * 100,
+        expected: impressions * share,
+        served: served[index],
+        // Each random pick is an independent draw, so the count is binomial;
+        // a round robin serves the same counts every time
+        variance: picker === 'roundRobin' ? 0 : impressions * share * (1 - share),
+      };
+    }),
+  };
+};
@@ -0,0 +1,129 @@
+import fc from 'fast-check';
+import { createRandom } from './random';
+import {
+  findSimulationError,
+  simulateTraffic,
+  smoothRoundRobinPicker,
+  weightedRandomPicker,
+} from './simulation';
+
+const items = [
+  { id: 1, name: 'Hero', weight: 50, locked: false },
+  { id: 2, name: 'Banner', weight: 30, locked: false },
+  { id: 3, name: 'Footer', weight: 20, locked: true },
+];
+
+const countPicks = (pick, creatives, picks) => {
+  const counts = new Array(creatives).fill(0);
+  for (let i = 0; i < picks; i++) counts[pick()] += 1;
+  return counts;
+};
+
+describe('pickers', () => {
+  test('smooth round robin spreads each creative out over the rotation', () => {
+    const pick = smoothRoundRobinPicker([5, 1, 1]);
+    const names = ['a', 'b', 'c'];
+    expect(Array.from({ length: 7 }, () => names[pick()])).toEqual(['a', 'a', 'b', 'a', 'c', 'a', 'a']);
+  });
+
+  test('smooth round robin serves every creative exactly its weight in each rotation', () => {
+    fc.assert(
+      fc.property(fc.array(fc.nat({ max: 20 }), { minLength: 1, maxLength: 8 }), fc.integer({ min: 1, max: 4 }), (weights, rotations) => {
+        fc.pre(weights.some(weight => weight > 0));
+        const total = weights.reduce((acc, weight) => acc + weight, 0);
+        const counts = countPicks(smoothRoundRobinPicker(weights), weights.length, total * rotations);
+        expect(counts).toEqual(weights.map(weight => weight * rotations));
+      })
+    );
+  });
+
+  test('weighted random honours the weights within a few standard deviations', () => {
+    const weights = [50, 30, 15, 5];
+    const picks = 20000;
+    const counts = countPicks(weightedRandomPicker(weights, createRandom('honours')), weights.length, picks);
+    weights.forEach((weight, index) => {
+      const share = weight / 100;
+      const sd = Math.sqrt(picks * share * (1 - share));
+      expect(Math.abs(counts[index] - picks * share)).toBeLessThan(4 * sd);
+    });
+  });
+
+  test('weighted random never picks a creative without weight', () => {
+    fc.assert(
+      fc.property(fc.array(fc.nat({ max: 10 }), { minLength: 1, maxLength: 8 }), fc.string(), (weights, seed) => {
+        fc.pre(weights.some(weight => weight > 0));
+        const counts = countPicks(weightedRandomPicker(weights, createRandom(seed)), weights.length, 200);
+        expect(counts.filter((count, index) => weights[index] === 0 && count > 0)).toEqual([]);
+      })
+    );
+  });
+
+  test('weighted random repeats exactly for the same seed', () => {
+    const run = (seed) => countPicks(weightedRandomPicker([60, 40], createRandom(seed)), 2, 500);
+    expect(run('same')).toEqual(run('same'));
+  });
+});
+
+describe('simulateTraffic', () => {
+  test('reports expected impressions and binomial variance per creative', () => {
+    const result = simulateTraffic(items, { impressions: 10000, seed: 'report' });
+    expect(result.creatives.map(creative => creative.expected)).toEqual([5000, 3000, 2000]);
+    expect(result.creatives.map(creative => creative.variance)).toEqual([2500, 2100, 1600]);
+    expect(result.creatives.reduce((acc, creative) => acc + creative.served, 0)).toBe(10000);
+    expect(result.days).toBeNull();
+    expect(result.daily).toBeNull();
+  });
+
+  test('round robin serves the exact split with no variance', () => {
+    const result = simulateTraffic(items, { impressions: 1000, picker: 'roundRobin' });
+    expect(result.creatives.map(creative => creative.served)).toEqual([500, 300, 200]);
+    expect(result.creatives.every(creative => creative.variance === 0)).toBe(true);
+  });
+
+  test('with a daily cap the split is checked at the end of each day', () => {
+    const result = simulateTraffic(items, { impressions: 2500, dailyCap: 1000, picker: 'roundRobin' });
+    expect(result.days).toBe(3);
+    expect(result.convergence.map(point => [point.impressions, point.day])).toEqual([[1000, 1], [2000, 2], [2500, 3]]);
+    expect(result.convergence[2].shares).toEqual([50, 30, 20]);
+  });
+
+  test('with a daily cap each day reports served against expected impressions', () => {
+    const result = simulateTraffic(items, { impressions: 2500, dailyCap: 1000, picker: 'roundRobin' });
+    expect(result.daily.map(day => [day.day, day.impressions])).toEqual([[1, 1000], [2, 1000], [3, 500]]);
+    expect(result.daily[2].creatives).toEqual([
+      { id: 1, expected: 250, served: 250 },
+      { id: 2, expected: 150, served: 150 },
+      { id: 3, expected: 100, served: 100 },
+    ]);
+
+    const random = simulateTraffic(items, { impressions: 2500, dailyCap: 1000, seed: 'days' });
+    random.creatives.forEach((creative, index) => {
+      expect(random.daily.reduce((acc, day) => acc + day.creatives[index].served, 0)).toBe(creative.served);
+    });
+  });
+
+  test('the realised split converges on the weights', () => {
+    const { convergence } = simulateTraffic(items, { impressions: 50000, seed: 'converge' });
+    expect(convergence).toHaveLength(50);
+    const last = convergence[convergence.length - 1];
+    last.shares.forEach((share, index) => expect(Math.abs(share - items[index].weight)).toBeLessThan(1));
+  });
+
+  test('shares are of the total weight, so the split converges when weights fall short of 100', () => {
+    const halved = items.map(item => ({ ...item, weight: item.weight / 2 }));
+    const result = simulateTraffic(halved, { impressions: 1000, picker: 'roundRobin' });
+    expect(result.creatives.map(creative => creative.share)).toEqual([50, 30, 20]);
+    const last = result.convergence[result.convergence.length - 1];
+    expect(last.shares.map((share, index) => share - result.creatives[index].share)).toEqual([0, 0, 0]);
+  });
+
+  test('settings are checked before a run', () => {
+    expect(findSimulationError(items, { impressions: 0, dailyCap: null })).toBe('Impressions should be a whole number above 0');
+    expect(findSimulationError(items, { impressions: 2000000, dailyCap: null })).toBe('At most 1,000,000 impressions can be simulated');
+    expect(findSimulationError(items, { impressions: 100, dailyCap: 1.5 })).toBe('The daily cap should be a whole number above 0');
+    expect(findSimulationError(items, { impressions: 1000, dailyCap: 2 })).toBe('A daily cap this low takes more than 366 days to deliver');
+    expect(findSimulationError(items.map(item => ({ ...item, weight: 0 })), { impressions: 100, dailyCap: null }))
+      .toBe('No creative has any weight to serve');
+    expect(findSimulationError(items, { impressions: 100, dailyCap: 10 })).toBeNull();
+  });
+});
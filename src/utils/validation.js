@@ -0,0 +1,141 @@
+// Validation rules: the checks a plan's creatives are held to before they're
+// saved or exported.
+//
+// Each rule in VALIDATION_RULES has a default `level` and `check(items,
+// setting)`, returning `{ message, itemIds }` for everything it finds, where
+// `itemIds` are the creatives the problem is about (none for problems with
+// the whole plan). A plan's `validation` settings override rules by key as
+// `{ level, limit }`; a level of 'off' turns the rule off, and `limit` is the
+// threshold of the rules that take one. Problems come out as `{ rule, level,
+// message, itemIds }`, with levels as in ./adServers: 'error' blocks saving
+// and exporting, 'warning' doesn't.
+
+import { TOTAL_WEIGHT, sumWeights } from './distribution';
+
+export const SEVERITIES = {
+  error: { label: 'Error' },
+  warning: { label: 'Warning' },
+  off: { label: 'Off' },
+};
+
+const problem = (message, itemIds = []) => ({ message, itemIds });
+
+const nameOf = (item, index) => item.name.trim() || `Creative ${index + 1}`;
+
+export const VALIDATION_RULES = {
+  total: {
+    label: 'Weights add up to 100%',
+    level: 'error',
+    check: (items) => {
+      const total = sumWeights(items);
+      return items.length > 0 && total !== TOTAL_WEIGHT
+        ? [problem(`Total must equal ${TOTAL_WEIGHT}% (currently: ${total}%)`)]
+        : [];
+    },
+  },
+
+  // Locks that take more than everything leave nothing for the engine to
+  // rebalance, so edits to the other creatives have no effect
+  lockedOverflow: {
+    label: 'Locked weights fit in 100%',
+    level: 'error',
+    check: (items) => {
+      const locked = items.filter(item => item.locked);
+      const total = sumWeights(locked);
+      return total > TOTAL_WEIGHT
+        ? [problem(`Locked creatives add up to ${total}%, more than ${TOTAL_WEIGHT}%; unlock one to rebalance`, locked.map(item => item.id))]
+        : [];
+    },
+  },
+
+  emptyNames: {
+    label: 'Every creative has a name',
+    level: 'error',
+    check: (items) =>
+      items.flatMap((item, index) =>
+        item.name.trim() === '' ? [problem(`Creative ${index + 1} has no name`, [item.id])] : []
+      ),
+  },
+
+  // Names are compared ignoring case and surrounding spaces
+  duplicateNames: {
+    label: 'Names are unique',
+    level: 'warning',
+    check: (items) => {
+      const byName = new Map();
+      items.forEach(item => {
+        const key = item.name.trim().toLowerCase();
+        if (key !== '') byName.set(key, [...(byName.get(key) ?? []), item]);
+      });
+      return [...byName.values()]
+        .filter(named => named.length > 1)
+        .map(named => problem(`${named.length} creatives are named "${named[0].name.trim()}"`, named.map(item => item.id)));
+    },
+  },
+
+  zeroWeight: {
+    label: 'Every creative has weight',
+    level: 'warning',
+    check: (items) =>
+      items.flatMap((item, index) =>
+        item.weight === 0 ? [problem(`${nameOf(item, index)} has no weight and won't serve`, [item.id])] : []
+      ),
+  },
+
+  dominance: {
+    label: 'No creative dominates',
+    level: 'warning',
+    limit: { label: 'Above', unit: '%', value: 80, min: 0, max: TOTAL_WEIGHT },
+    check: (items, { limit }) =>
+      items.length > 1
+        ? items.flatMap((item, index) =>
+          item.weight > limit ? [problem(`${nameOf(item, index)} gets ${item.weight}%, more than ${limit}%`, [item.id])] : []
+        )
+        : [],
+  },
+
+  maxCreatives: {
+    label: 'Not too many creatives',
+    level: 'warning',
+    limit: { label: 'More than', unit: 'creatives', value: 20, min: 1, max: 1000 },
+    check: (items, { limit }) =>
+      items.length > limit ? [problem(`${items.length} creatives, more than the ${limit} allowed`)] : [],
+  },
+};
+
+// Every rule's level and limit, with the plan's `validation` settings applied
+export const resolveRules = (settings = {}) =>
+  Object.fromEntries(Object.entries(VALIDATION_RULES).map(([key, rule]) => [key, {
+    level: settings?.[key]?.level ?? rule.level,
+    limit: settings?.[key]?.limit ?? rule.limit?.value,
+  }]));
+
+// Everything the enabled rules find in `items`, errors first
+export const validateItems = (items, settings) => {
+  const resolved = resolveRules(settings);
+  const problems = Object.entries(VALIDATION_RULES).flatMap(([key, rule]) => {
+    const { level } = resolved[key];
+    if (level === 'off') return [];
+    return rule.check(items, resolved[key]).map(found => ({ rule: key, level, ...found }));
+  });
+  return [...problems.filter(found => found.level === 'error'), ...problems.filter(found => found.level === 'warning')];
+};
+
+export const validatePlan = (plan) => validateItems(plan.items, plan.validation);
+
+export const hasErrors = (problems) => problems.some(found => found.level === 'error');
+
+// Why `items` can't be exported, or null if they can: the first error found
+export const findExportError = (items, settings) => {
+  const error = validateItems(items, settings).find(found => found.level === 'error');
+  return error ? `Can't export: ${error.message}` : null;
+};
+
+// The problems about each creative, by id
+export const problemsByItem = (problems) => {
+  const byItem = new Map();
+  problems.forEach(found => {
+    found.itemIds.forEach(id => byItem.set(id, [...(byItem.get(id) ?? []), found]));
+  });
+  return byItem;
+};
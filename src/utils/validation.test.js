@@ -0,0 +1,77 @@
+import { hasErrors, problemsByItem, resolveRules, validateItems } from './validation';
+
+const items = [
+  { id: 1, name: 'Hero', weight: 50, locked: false },
+  { id: 2, name: 'Banner', weight: 30, locked: false },
+  { id: 3, name: 'Footer', weight: 20, locked: false },
+];
+
+const messages = (problems) => problems.map(found => `${found.level}: ${found.message}`);
+
+describe('rules', () => {
+  test('a healthy plan has no problems', () => {
+    expect(validateItems(items)).toEqual([]);
+  });
+
+  test('weights must add up to 100%', () => {
+    expect(messages(validateItems(items.slice(0, 2)))).toEqual(['error: Total must equal 100% (currently: 80%)']);
+  });
+
+  test('locked weights over 100% are reported against the locked creatives', () => {
+    const locked = [
+      { ...items[0], weight: 70, locked: true },
+      { ...items[1], weight: 40, locked: true },
+      { ...items[2], weight: 0 },
+    ];
+    const found = validateItems(locked).find(problem => problem.rule === 'lockedOverflow');
+    expect(found).toEqual({
+      rule: 'lockedOverflow',
+      level: 'error',
+      message: 'Locked creatives add up to 110%, more than 100%; unlock one to rebalance',
+      itemIds: [1, 2],
+    });
+  });
+
+  test('names must be filled in and unique', () => {
+    const named = [items[0], { ...items[1], name: '  ' }, { ...items[2], name: ' hero' }];
+    expect(messages(validateItems(named))).toEqual([
+      'error: Creative 2 has no name',
+      'warning: 2 creatives are named "Hero"',
+    ]);
+  });
+
+  test('zero weights and dominant creatives are warnings', () => {
+    const lopsided = [{ ...items[0], weight: 90 }, { ...items[1], weight: 10 }, { ...items[2], weight: 0 }];
+    expect(messages(validateItems(lopsided))).toEqual([
+      'warning: Footer has no weight and won\'t serve',
+      'warning: Hero gets 90%, more than 80%',
+    ]);
+    expect(hasErrors(validateItems(lopsided))).toBe(false);
+  });
+
+  test('too many creatives', () => {
+    const many = Array.from({ length: 25 }, (_, index) => ({ id: index + 1, name: `C${index + 1}`, weight: 4, locked: false }));
+    expect(messages(validateItems(many))).toEqual(['warning: 25 creatives, more than the 20 allowed']);
+  });
+});
+
+describe('settings', () => {
+  test('rules can be turned off, made stricter and given other limits', () => {
+    const lopsided = [{ ...items[0], weight: 70 }, { ...items[1], weight: 30 }, { ...items[2], weight: 0 }];
+    const settings = { zeroWeight: { level: 'off' }, dominance: { level: 'error', limit: 60 } };
+    expect(messages(validateItems(lopsided, settings))).toEqual(['error: Hero gets 70%, more than 60%']);
+  });
+
+  test('missing settings fall back to the defaults', () => {
+    expect(resolveRules({ dominance: { level: 'error' } }).dominance).toEqual({ level: 'error', limit: 80 });
+    expect(resolveRules(null).total).toEqual({ level: 'error', limit: undefined });
+  });
+
+  test('problems are grouped by creative', () => {
+    const named = [items[0], { ...items[1], name: 'Hero', weight: 0 }, items[2]];
+    const byItem = problemsByItem(validateItems(named));
+    expect(byItem.get(1).map(found => found.rule)).toEqual(['duplicateNames']);
+    expect(byItem.get(2).map(found => found.rule)).toEqual(['duplicateNames', 'zeroWeight']);
+    expect(byItem.has(3)).toBe(false);
+  });
+});